@@ -0,0 +1,430 @@
+/**
+ * Local Eveve stand-in for offline development and QA (mock mode).
+ *
+ * A Vite plugin that serves the Eveve endpoints the widget calls from
+ * scripted scenario files in `mock/scenarios/<name>.json`:
+ *
+ *   /__eveve-mock/<scenario>/web/form         → venue config (HTML, like Eveve)
+ *   /__eveve-mock/<scenario>/web/month-avail  → closed days + event days
+ *   /__eveve-mock/<scenario>/web/day-avail    → shifts, times, areas, addons
+ *   /__eveve-mock/<scenario>/web/hold         → hold with card 0/1/2
+ *   /__eveve-mock/<scenario>/web/update, /web/cancel
+ *   /__eveve-mock/<scenario>/int/pi-get, /int/deposit-get, /int/pm-id
+ *   /__eveve-mock/<scenario>/api/restore
+ *
+ * The app switches over with `?mock=<scenario>` (see src/api/mock.js).
+ * Scenario files are re-read on every request, so they can be edited while
+ * the dev server runs. See mock/README.md for the scenario format.
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// Kept in sync with MOCK_PATH in src/api/mock.js
+const MOCK_PATH = '/__eveve-mock';
+const SCENARIO_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'scenarios');
+
+const DAY_MS = 86400000;
+
+// Config every scenario starts from; a scenario's `config` overrides these
+const BASE_CONFIG = {
+  estName: 'Mock Bistro',
+  estFull: 'Mock Bistro (offline)',
+  partyMin: 1,
+  partyMax: 10,
+  areaAny: true,
+  arSelect: 'true',
+  usrLang: 'en',
+  estLang: 'en',
+  currSym: '$',
+  country: 'NZ',
+  horizon: 90,
+  timeStep: 15,
+  startSun: false,
+  standbyOnline: false,
+  noStandby: [],
+  sisters: [],
+  eventsB: [],
+  weekDays: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'],
+  weekDaysSun: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+  months: ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December']
+};
+
+/* ------------------------------------------------------------------
+   Scenario loading
+------------------------------------------------------------------ */
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Objects merge key by key; arrays and scalars from the override replace the base
+const deepMerge = (base, override) => {
+  if (!isPlainObject(base) || !isPlainObject(override)) return override === undefined ? base : override;
+  const merged = { ...base };
+  Object.entries(override).forEach(([key, value]) => {
+    merged[key] = deepMerge(base[key], value);
+  });
+  return merged;
+};
+
+/**
+ * Reads a scenario file, following `extends` chains
+ *
+ * @param {string} name - Scenario name (file name without .json)
+ * @param {string[]} [seen=[]] - Scenarios already on the chain (cycle guard)
+ * @returns {Object|null} - Merged scenario, or null when the file is missing
+ */
+const loadScenario = (name, seen = []) => {
+  if (!/^[a-z0-9_-]+$/.test(name) || seen.includes(name)) return null;
+  const file = path.join(SCENARIO_DIR, `${name}.json`);
+  if (!fs.existsSync(file)) return null;
+
+  const scenario = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!scenario.extends) return scenario;
+  const parent = loadScenario(scenario.extends, [...seen, name]);
+  if (!parent) throw new Error(`Scenario "${name}" extends unknown scenario "${scenario.extends}"`);
+  return deepMerge(parent, scenario);
+};
+
+/* ------------------------------------------------------------------
+   Dates – scenarios give dates as YYYY-MM-DD or "+N" days from today
+------------------------------------------------------------------ */
+
+const startOfToday = () => {
+  const now = new Date();
+  return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+};
+
+const resolveDate = (value) => {
+  if (typeof value === 'number') return new Date(startOfToday().getTime() + value * DAY_MS);
+  const text = String(value || '').trim();
+  if (/^[+-]\d+$/.test(text)) {
+    const today = startOfToday();
+    return new Date(today.getFullYear(), today.getMonth(), today.getDate() + Number(text));
+  }
+  const match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+};
+
+const dateKey = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// Same 1900-01-01 epoch as src/utils/dateConversion.js; noon keeps DST shifts from flipping the day
+const toSerial = (date) => {
+  const noon = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 12);
+  return Math.floor((noon.getTime() - new Date(1900, 0, 1).getTime()) / DAY_MS);
+};
+
+/* ------------------------------------------------------------------
+   Scenario → availability
+------------------------------------------------------------------ */
+
+// Shift times: explicit `times`, else every `step` hours from start to end
+const buildShiftTimes = (shift) => {
+  if (Array.isArray(shift.times)) return shift.times;
+  const step = shift.step || 0.25;
+  const times = [];
+  for (let time = shift.start; time <= shift.end + 1e-9; time += step) {
+    times.push(Math.round(time * 100) / 100);
+  }
+  // Fully booked slots come back negative (the app hides them)
+  const full = shift.full || [];
+  return times.map((time) => (full.includes(time) ? -time : time));
+};
+
+// Scenario events with from/to resolved to Excel serials, as /web/form sends them in eventsB
+const buildEvents = (scenario) =>
+  (scenario.events || []).map((event) => {
+    const from = resolveDate(event.from ?? '+0');
+    const to = resolveDate(event.to ?? event.from ?? '+0');
+    const { shift, ...configEvent } = event;
+    return {
+      area: -1,
+      min: 1,
+      max: 10,
+      addons: [],
+      usage: 0,
+      exclude: [],
+      noServ: false,
+      showCal: true,
+      desc: '',
+      ...configEvent,
+      from: toSerial(from),
+      to: toSerial(to),
+      early: event.early ?? Math.min(...event.avail),
+      late: event.late ?? Math.max(...event.avail)
+    };
+  });
+
+const getClosure = (scenario, date) => {
+  const closed = scenario.closed || {};
+  const key = dateKey(date);
+  const closedDate = (closed.dates || []).find((entry) => {
+    const value = typeof entry === 'object' ? entry.date : entry;
+    const resolved = resolveDate(value);
+    return resolved && dateKey(resolved) === key;
+  });
+  if (closedDate) return { closed: true, message: closedDate.message || closed.message || '' };
+  if ((closed.weekdays || []).includes(date.getDay())) return { closed: true, message: closed.message || '' };
+  return { closed: false, message: '' };
+};
+
+const eventsOn = (events, date) => {
+  const serial = toSerial(date);
+  return events.filter((event) => serial >= event.from && serial <= event.to);
+};
+
+/**
+ * Shifts offered on a date: the scenario's regular shifts plus a shift per
+ * running event. Events with `noServ` suppress regular service that day.
+ */
+const buildDayShifts = (scenario, date) => {
+  const { closed } = getClosure(scenario, date);
+  if (closed) return [];
+
+  const events = eventsOn(buildEvents(scenario), date);
+  const scenarioEvents = scenario.events || [];
+  const eventShifts = events.map((event) => {
+    const overrides = scenarioEvents.find((entry) => entry.uid === event.uid)?.shift || {};
+    return {
+      name: event.name,
+      type: 'Event',
+      uid: event.uid,
+      start: event.early,
+      end: event.late,
+      times: event.avail,
+      addons: event.addons,
+      usage: event.usage,
+      charge: 0,
+      maxMenuTypes: 0,
+      message: event.desc,
+      ...overrides
+    };
+  });
+
+  const suppressRegular = events.some((event) => event.noServ);
+  const regular = suppressRegular ? [] : (scenario.shifts || []).map((shift) => ({
+    usage: 0,
+    charge: 0,
+    maxMenuTypes: 0,
+    addons: [],
+    ...shift,
+    times: buildShiftTimes(shift)
+  }));
+  return [...regular, ...eventShifts];
+};
+
+const bookableTimes = (shifts) =>
+  [...new Set(shifts.flatMap((shift) => shift.times.map((t) => (typeof t === 'object' ? t.time : t))))]
+    .filter((time) => time >= 0)
+    .sort((a, b) => a - b);
+
+/* ------------------------------------------------------------------
+   Endpoint handlers – each returns [status, body, contentType?]
+------------------------------------------------------------------ */
+
+// JSON inside a <script> block: no "</script>"
+const toScriptValue = (value) =>
+  JSON.stringify(value).replace(/</g, '\\u003c');
+
+const handlers = {
+  'web/form': (scenario, query, ctx) => {
+    const config = {
+      ...BASE_CONFIG,
+      ...(scenario.config || {}),
+      eventsB: buildEvents(scenario),
+      // Every later request from the app (dapi-based) stays on the stand-in
+      dapi: ctx.baseUrl,
+      test: true
+    };
+    const lines = Object.entries(config).map(([name, value]) => `var ${name} = ${toScriptValue(value)};`);
+    const html = `<!DOCTYPE html>
+<html><head><title>${config.estName} (mock: ${ctx.scenarioName})</title></head>
+<body>
+<script>
+const weekDays = ${toScriptValue(config.weekDays)};
+var PERHEAD = 0;
+${lines.filter((line) => !line.startsWith('var weekDays ')).join('\n')}
+</script>
+</body></html>`;
+    return [200, html, 'text/html; charset=utf-8'];
+  },
+
+  'web/month-avail': (scenario, query) => {
+    const anchor = resolveDate(query.get('date')) || startOfToday();
+    const year = anchor.getFullYear();
+    const month = anchor.getMonth();
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+    const events = buildEvents(scenario);
+
+    const times = [];
+    const eventAvail = events.map(() => []);
+    for (let day = 1; day <= daysInMonth; day += 1) {
+      const date = new Date(year, month, day);
+      const { closed, message } = getClosure(scenario, date);
+      const shifts = buildDayShifts(scenario, date);
+      const regular = bookableTimes(shifts.filter((shift) => shift.type !== 'Event'));
+      const eventTimes = bookableTimes(shifts.filter((shift) => shift.type === 'Event'));
+      const all = bookableTimes(shifts);
+
+      // tuple[0] is regular times only, tuple[1] event times, as the month-avail adapter expects
+      times.push(closed || all.length === 0
+        ? [[], [], [[], [], [], []], [], message]
+        : [regular, eventTimes, shifts.map((shift) => [shift.start, shift.end]), shifts.map((_, index) => index), regular.length ? '' : message]);
+
+      const running = eventsOn(events, date).map((event) => event.uid);
+      events.forEach((event, index) => {
+        eventAvail[index].push(!closed && running.includes(event.uid) ? 1 : 0);
+      });
+    }
+
+    const config = { ...BASE_CONFIG, ...(scenario.config || {}) };
+    return [200, {
+      est: query.get('est'),
+      estFull: config.estFull,
+      noStandby: config.noStandby,
+      from: dateKey(new Date(year, month, 1)),
+      times,
+      events: events.map((event, index) => ({ uid: event.uid, avail: eventAvail[index] }))
+    }];
+  },
+
+  'web/day-avail': (scenario, query) => {
+    const date = resolveDate(query.get('date')) || startOfToday();
+    const { message } = getClosure(scenario, date);
+    const shifts = buildDayShifts(scenario, date);
+    const times = bookableTimes(shifts);
+    const areas = (scenario.areas || []).map((area) => ({
+      ...area,
+      times: Array.isArray(area.times) ? area.times.filter((time) => times.includes(time)) : times
+    }));
+    return [200, shifts.length ? { shifts, areas } : { shifts: [], areas: [], message }];
+  },
+
+  'web/hold': (scenario, query) => {
+    const hold = scenario.hold || {};
+    const covers = Number(query.get('covers')) || 2;
+    const created = Math.floor(Date.now() / 1000);
+    const card = hold.card ?? 0;
+    const perHead = hold.perHead ?? (typeof card === 'object' ? card.perHead : 0) ?? 0;
+    return [200, {
+      ok: true,
+      uid: hold.uid || 90000 + Math.floor(Math.random() * 9999),
+      created,
+      full: hold.full ?? 0,
+      ots: hold.ots ?? 0,
+      card: typeof card === 'object' ? { ...card, total: card.total ?? card.perHead * covers } : card,
+      perHead,
+      covers,
+      ...(query.get('event') ? { event: Number(query.get('event')) } : {}),
+      until: created + (hold.seconds ?? 180)
+    }];
+  },
+
+  'web/update': () => [200, { ok: true }],
+
+  'web/cancel': () => [200, { ok: true }],
+
+  'int/pi-get': (scenario, query) => {
+    const stripe = scenario.stripe || {};
+    return [200, {
+      client_secret: stripe.clientSecret || `seti_mock_${query.get('uid')}_secret_mock`,
+      public_key: stripe.publicKey || 'pk_test_mock',
+      cust: stripe.customer || 'cus_mock'
+    }];
+  },
+
+  'int/deposit-get': (scenario) => [200, depositResponse(scenario)],
+
+  'int/pm-id': (scenario) => [200, depositResponse(scenario)],
+
+  'api/restore': (scenario) => [200, { ok: true, table: scenario.restore?.table ?? 1 }]
+};
+
+const depositResponse = (scenario) => {
+  const deposit = scenario.deposit || {};
+  const code = deposit.code ?? 1;
+  const total = deposit.total ?? 0;
+  return {
+    ok: true,
+    code,
+    noshow: code === 1,
+    total,
+    perHead: deposit.perHead ?? total,
+    totalFloat: total / 100,
+    amount: deposit.amount ?? (total / 100).toFixed(2),
+    currency: deposit.currency || 'NZD',
+    message: deposit.message || '',
+    error: '',
+    stripePK: scenario.stripe?.publicKey || 'pk_test_mock'
+  };
+};
+
+/* ------------------------------------------------------------------
+   Middleware
+------------------------------------------------------------------ */
+
+const send = (res, status, body, contentType = 'application/json') => {
+  res.statusCode = status;
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Cache-Control', 'no-store');
+  res.end(typeof body === 'string' ? body : JSON.stringify(body));
+};
+
+const mockMiddleware = (req, res, next) => {
+  const url = new URL(req.url, 'http://localhost');
+  if (!url.pathname.startsWith(`${MOCK_PATH}/`)) return next();
+
+  const [scenarioName, ...endpointParts] = url.pathname.slice(MOCK_PATH.length + 1).split('/');
+  const endpoint = endpointParts.join('/');
+
+  let scenario;
+  try {
+    scenario = loadScenario(scenarioName);
+  } catch (err) {
+    return send(res, 500, { ok: false, message: `Invalid mock scenario: ${err.message}` });
+  }
+  if (!scenario) return send(res, 404, { ok: false, message: `Unknown mock scenario "${scenarioName}"` });
+
+  const handler = handlers[endpoint];
+  if (!handler) return send(res, 404, { ok: false, message: `Endpoint /${endpoint} is not mocked` });
+
+  const origin = `${req.headers['x-forwarded-proto'] || 'http'}://${req.headers.host}`;
+  const ctx = { scenarioName, baseUrl: `${origin}${MOCK_PATH}/${scenarioName}` };
+
+  const respond = () => {
+    // Scripted failures: an HTTP error, or a 200 carrying ok:false
+    const failure = scenario.failures?.[endpoint];
+    if (failure) {
+      if (failure.status) return send(res, failure.status, failure.body ?? `Mock ${endpoint} failure`, 'text/plain');
+      return send(res, 200, { ok: false, message: failure.message || `Mock ${endpoint} failure` });
+    }
+    try {
+      const [status, body, contentType] = handler(scenario, url.searchParams, ctx);
+      return send(res, status, body, contentType);
+    } catch (err) {
+      return send(res, 500, { ok: false, message: `Mock ${endpoint} error: ${err.message}` });
+    }
+  };
+
+  const latency = typeof scenario.latency === 'object' ? scenario.latency?.[endpoint] : scenario.latency;
+  if (latency > 0) setTimeout(respond, latency);
+  else respond();
+};
+
+/**
+ * Vite plugin serving the stand-in on the dev and preview servers
+ *
+ * @returns {import('vite').Plugin}
+ */
+export default function eveveMockServer() {
+  return {
+    name: 'eveve-mock-server',
+    configureServer(server) {
+      server.middlewares.use(mockMiddleware);
+    },
+    configurePreviewServer(server) {
+      server.middlewares.use(mockMiddleware);
+    }
+  };
+}
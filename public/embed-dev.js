@@ -57,7 +57,14 @@
       if (config.lang) queryParams.append('lang', config.lang);
       if (config.defaultGuests) queryParams.append('guests', config.defaultGuests);
       if (config.defaultDate) queryParams.append('date', config.defaultDate);
+      if (config.defaultTime) queryParams.append('time', config.defaultTime);
+      if (config.defaultEvent) queryParams.append('event', config.defaultEvent);
+      if (config.defaultArea) queryParams.append('area', config.defaultArea);
+      if (config.defaultShift) queryParams.append('shift', config.defaultShift);
+      if (config.redirectDelay) queryParams.append('redirectDelay', config.redirectDelay);
+      if (config.layout) queryParams.append('layout', config.layout);
       if (config.debug) queryParams.append('debug', 'true');
+      if (config.mock) queryParams.append('mock', config.mock);
       
       // Create the full URL to the development server
       iframe.src = `${CONFIG.devServerOrigin}/?${queryParams.toString()}`;
@@ -101,6 +108,16 @@
             }
           }
           
+          // Navigate the parent page to the thank-you URL on request
+          if (event.data && event.data.type === 'redirect') {
+            const url = String(event.data.url || '');
+            if (/^https?:\/\//i.test(url)) {
+              console.log(`[Eveve Widget DEV] Redirecting to thank-you page: ${url}`);
+              window.location.assign(url);
+            }
+            return;
+          }
+          
           // Forward booking events to parent document
           if (event.data && event.data.type === 'booking-event') {
             // Create and dispatch a custom event on the parent document
@@ -292,10 +309,17 @@
       restaurant: container.dataset.restaurant || container.dataset.est,
       theme: container.dataset.theme || CONFIG.defaultTheme,
       themeCss: container.dataset.themeCss || null,
-      lang: container.dataset.lang || 'en',
+      lang: container.dataset.lang || null, // null → venue language (usrLang)
       defaultGuests: container.dataset.defaultGuests || null,
       defaultDate: container.dataset.defaultDate || null,
-      debug: container.dataset.debug === 'true'
+      defaultTime: container.dataset.defaultTime || null,
+      defaultEvent: container.dataset.defaultEvent || null,
+      defaultArea: container.dataset.defaultArea || null,
+      defaultShift: container.dataset.defaultShift || null,
+      redirectDelay: container.dataset.redirectDelay || null,
+      layout: container.dataset.layout || null, // 'wizard' → step-by-step flow
+      debug: container.dataset.debug === 'true',
+      mock: container.dataset.mock || null // scenario for the local Eveve stand-in (mock/scenarios)
     };
 
     // Show loading state
@@ -320,7 +344,13 @@
     if (config.lang) queryParams.append('lang', config.lang);
     if (config.defaultGuests) queryParams.append('guests', config.defaultGuests);
     if (config.defaultDate) queryParams.append('date', config.defaultDate);
+    if (config.defaultTime) queryParams.append('time', config.defaultTime);
+    if (config.defaultEvent) queryParams.append('event', config.defaultEvent);
+    if (config.defaultArea) queryParams.append('area', config.defaultArea);
+    if (config.defaultShift) queryParams.append('shift', config.defaultShift);
+    if (config.layout) queryParams.append('layout', config.layout);
     if (config.debug) queryParams.append('debug', 'true');
+    if (config.mock) queryParams.append('mock', config.mock);
 
     // Create a global configuration object for the React app to read
     window.__EVEVE_CONFIG__ = window.__EVEVE_CONFIG__ || {};
@@ -331,6 +361,7 @@
       lang: config.lang,
       guests: config.defaultGuests,
       date: config.defaultDate,
+      layout: config.layout,
       debug: config.debug,
       containerId: container.id,
       queryString: queryParams.toString()
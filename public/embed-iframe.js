@@ -9,6 +9,13 @@
  * Usage on a customer site:
  * <div id="eveve-booking" data-restaurant="TestNZB" data-theme="cave-arrowtown"></div>
  * <script src="https://form-1-0-2.hosting.eveve.co.nz/embed-iframe.js"></script>
+ *
+ * Programmatic control (see EMBED_GUIDE.md § 5):
+ *   EveveWidget.mount(el, { restaurant: 'TestNZB', layout: 'wizard' });
+ *   EveveWidget.open({ date: '2025-10-17', guests: 4, time: '19:00' });
+ *   EveveWidget.on('booking-success', function (detail) { ... });
+ *   EveveWidget.setAnalyticsConsent(false);
+ *   EveveWidget.unmount(el);
  */
 
 (function() {
@@ -33,8 +40,56 @@
     devModeIndicator: false
   };
 
+  // App event names → public EveveWidget.on() names
+  const API_EVENTS = {
+    'booking-ready': 'ready',
+    'booking-step-change': 'step-change',
+    'booking-success': 'booking-success',
+    'booking-error': 'error',
+    'booking-funnel': 'funnel'
+  };
+
+  // mount() options → container data attributes (dataset keys)
+  const OPTION_ATTRIBUTES = {
+    restaurant: 'restaurant',
+    est: 'restaurant',
+    theme: 'theme',
+    themeCss: 'themeCss',
+    lang: 'lang',
+    guests: 'defaultGuests',
+    date: 'defaultDate',
+    time: 'defaultTime',
+    event: 'defaultEvent',
+    area: 'defaultArea',
+    shift: 'defaultShift',
+    redirectDelay: 'redirectDelay',
+    layout: 'layout',
+    debug: 'debug',
+    mock: 'mock',
+    analytics: 'analytics',
+    refreshConfig: 'refreshConfig',
+    hideEvents: 'hideEvents',
+    showEventOnLoad: 'showEventOnLoad',
+    shiftTypes: 'shiftTypes',
+    minGuests: 'minGuests',
+    maxGuests: 'maxGuests',
+    hideOptin: 'hideOptin',
+    heading: 'heading'
+  };
+
+  // Presentation overrides (data-hide-events, data-shift-types, …), passed through as
+  // ?hideEvents=… and validated by the app (src/utils/embedOptions.js)
+  const FEATURE_OPTIONS = ['hideEvents', 'showEventOnLoad', 'shiftTypes', 'minGuests', 'maxGuests', 'hideOptin', 'heading'];
+
+  // data-analytics / setAnalyticsConsent() values that turn tracking off
+  const ANALYTICS_OFF = ['off', 'false', '0', 'no', 'denied'];
+
+  // Mounted widgets: { container, iframe, onMessage, ready, queue, analytics }
+  const widgets = [];
+  const listeners = {};
+
   const utils = {
-    createIframe: function(container, config) {
+    createIframe: function(container, config, widget) {
       const iframe = document.createElement('iframe');
       iframe.style.width = '100%';
       iframe.style.height = CONFIG.iframeHeight;
@@ -54,7 +109,19 @@
       if (config.lang) queryParams.append('lang', config.lang);
       if (config.defaultGuests) queryParams.append('guests', config.defaultGuests);
       if (config.defaultDate) queryParams.append('date', config.defaultDate);
+      if (config.defaultTime) queryParams.append('time', config.defaultTime);
+      if (config.defaultEvent) queryParams.append('event', config.defaultEvent);
+      if (config.defaultArea) queryParams.append('area', config.defaultArea);
+      if (config.defaultShift) queryParams.append('shift', config.defaultShift);
+      if (config.redirectDelay) queryParams.append('redirectDelay', config.redirectDelay);
+      if (config.layout) queryParams.append('layout', config.layout);
       if (config.debug) queryParams.append('debug', 'true');
+      if (config.mock) queryParams.append('mock', config.mock);
+      if (config.analytics) queryParams.append('analytics', config.analytics);
+      if (config.refreshConfig) queryParams.append('refreshConfig', config.refreshConfig);
+      FEATURE_OPTIONS.forEach((name) => {
+        if (config[name]) queryParams.append(name, config[name]);
+      });
 
       // Load the app root with params
       iframe.src = `${CONFIG.appOrigin}/?${queryParams.toString()}`;
@@ -68,7 +135,7 @@
         return r.bottom > 0 && r.top < (window.innerHeight || document.documentElement.clientHeight);
       };
 
-      window.addEventListener('message', function(event) {
+      widget.onMessage = function(event) {
         if (event.source === iframe.contentWindow) {
           // Height adjustments from inside app (when available)
           if (event.data && event.data.type === 'resize') {
@@ -90,6 +157,16 @@
             }
           }
 
+          // Thank-you redirect after a confirmed booking: the app cannot
+          // navigate the top window from inside the iframe, so we do it here
+          if (event.data && event.data.type === 'redirect') {
+            const url = String(event.data.url || '');
+            if (/^https?:\/\//i.test(url)) {
+              window.location.assign(url);
+            }
+            return;
+          }
+
           // Forward booking events as bubbling CustomEvents
           if (event.data && event.data.type === 'booking-event') {
             const eventName = event.data.eventName;
@@ -100,7 +177,19 @@
             });
             container.dispatchEvent(customEvent);
 
-            // Push to GTM/GA4
+            if (eventName === 'booking-ready') {
+              widget.ready = true;
+              flushCommands(widget);
+            }
+            emitApiEvent(eventName, detail, container);
+
+            // Push to GTM/GA4 – the app's own dataLayer is invisible from here
+            if (!widget.analytics) return;
+            if (eventName === 'booking-funnel') {
+              window.dataLayer = window.dataLayer || [];
+              window.dataLayer.push(detail);
+              if (window.gtag) window.gtag('event', detail.event, detail);
+            }
             if (eventName === 'booking-success') {
               window.dataLayer = window.dataLayer || [];
               window.dataLayer.push({ event: 'eveve_booking_success', ...detail });
@@ -113,21 +202,16 @@
             }
           }
         }
-      });
+      };
+      window.addEventListener('message', widget.onMessage);
 
       // Attempt same-origin injection during local dev only
       iframe.addEventListener('load', function() {
         try {
           if (iframe.contentWindow.location.origin === window.location.origin) {
             const script = document.createElement('script');
+            // Booking events are posted by the app itself; only add height updates
             script.textContent = `
-              // Forward booking events to parent
-              document.addEventListener('booking-success', function(e) {
-                window.parent.postMessage({ type: 'booking-event', eventName: 'booking-success', detail: e.detail }, '*');
-              });
-              document.addEventListener('booking-error', function(e) {
-                window.parent.postMessage({ type: 'booking-event', eventName: 'booking-error', detail: e.detail }, '*');
-              });
               // Height updates
               const sendHeight = () => {
                 const doc = document.documentElement;
@@ -208,11 +292,23 @@
       restaurant: container.dataset.restaurant || container.dataset.est || 'TestNZB',
       theme: container.dataset.theme || CONFIG.defaultTheme,
       themeCss: container.dataset.themeCss || null,
-      lang: container.dataset.lang || 'en',
+      lang: container.dataset.lang || null, // null → venue language (usrLang)
       defaultGuests: container.dataset.defaultGuests || null,
       defaultDate: container.dataset.defaultDate || null,
-      debug: container.dataset.debug === 'true'
+      defaultTime: container.dataset.defaultTime || null,
+      defaultEvent: container.dataset.defaultEvent || null,
+      defaultArea: container.dataset.defaultArea || null,
+      defaultShift: container.dataset.defaultShift || null,
+      redirectDelay: container.dataset.redirectDelay || null,
+      layout: container.dataset.layout || null, // 'wizard' → step-by-step flow
+      debug: container.dataset.debug === 'true',
+      mock: container.dataset.mock || null, // scenario for the local Eveve stand-in (dev/preview only)
+      analytics: container.dataset.analytics || null, // 'off' → no GTM/GA4 events until consent is given
+      refreshConfig: container.dataset.refreshConfig || null // 'true' → skip the cached venue config
     };
+    FEATURE_OPTIONS.forEach((name) => {
+      config[name] = container.dataset[name] || null;
+    });
 
     const loader = utils.createLoader();
     container.appendChild(loader);
@@ -223,7 +319,129 @@
       return;
     }
 
-    utils.createIframe(container, config);
+    const widget = {
+      container,
+      iframe: null,
+      onMessage: null,
+      ready: false,
+      queue: [],
+      analytics: ANALYTICS_OFF.indexOf(String(config.analytics).toLowerCase()) === -1
+    };
+    widgets.push(widget);
+    widget.iframe = utils.createIframe(container, config, widget);
+  }
+
+  /* ------------------------------------------------------------------
+     Public API helpers
+  ------------------------------------------------------------------ */
+  function resolveElement(el) {
+    if (!el) return null;
+    return typeof el === 'string' ? document.querySelector(el) : el;
+  }
+
+  // Widgets a call applies to: the one in `el`, or every mounted widget
+  function targetWidgets(el) {
+    if (!el) return widgets.slice();
+    const container = resolveElement(el);
+    return widgets.filter(function(widget) { return widget.container === container; });
+  }
+
+  function emitApiEvent(eventName, detail, container) {
+    const apiName = API_EVENTS[eventName];
+    if (!apiName || !listeners[apiName]) return;
+    listeners[apiName].slice().forEach(function(callback) {
+      try {
+        callback(detail, container);
+      } catch (err) {
+        console.error(`[Eveve Widget] "${apiName}" listener failed:`, err);
+      }
+    });
+  }
+
+  function postCommand(widget, command, payload) {
+    if (!widget.iframe || !widget.iframe.contentWindow) return;
+    widget.iframe.contentWindow.postMessage({ type: 'eveve-command', command, payload }, CONFIG.appOrigin);
+  }
+
+  // Commands sent before the app has loaded its config wait for 'ready'
+  function sendCommand(widget, command, payload) {
+    if (widget.ready) postCommand(widget, command, payload);
+    else widget.queue.push({ command, payload });
+  }
+
+  function flushCommands(widget) {
+    const queued = widget.queue.splice(0);
+    queued.forEach(function(item) { postCommand(widget, item.command, item.payload); });
+  }
+
+  function mount(el, options) {
+    const container = resolveElement(el);
+    if (!container) {
+      console.error('[Eveve Widget] mount(): container not found', el);
+      return null;
+    }
+    if (container.dataset.eveveInitialized === 'true') unmount(container);
+
+    Object.keys(options || {}).forEach(function(key) {
+      const attribute = OPTION_ATTRIBUTES[key];
+      const value = options[key];
+      if (!attribute || value === undefined || value === null || value === '') return;
+      container.dataset[attribute] = String(value);
+    });
+
+    initializeWidget(container);
+    return container;
+  }
+
+  function unmount(el) {
+    const container = resolveElement(el);
+    const targets = targetWidgets(el);
+
+    targets.forEach(function(widget) {
+      window.removeEventListener('message', widget.onMessage);
+      widgets.splice(widgets.indexOf(widget), 1);
+      widget.container.innerHTML = '';
+      delete widget.container.dataset.eveveInitialized;
+    });
+    // A container that failed to initialise (e.g. missing ID) has no widget entry
+    if (container && !targets.length) {
+      container.innerHTML = '';
+      delete container.dataset.eveveInitialized;
+    }
+  }
+
+  function open(request, el) {
+    targetWidgets(el).forEach(function(widget) { sendCommand(widget, 'open', request || {}); });
+  }
+
+  function setTheme(theme, themeCss, el) {
+    if (!theme) return;
+    targetWidgets(el).forEach(function(widget) {
+      widget.container.dataset.theme = theme;
+      if (themeCss) widget.container.dataset.themeCss = themeCss;
+      else delete widget.container.dataset.themeCss;
+      sendCommand(widget, 'setTheme', { theme, themeCss: themeCss || null });
+    });
+  }
+
+  // Consent for GTM/GA4 tracking, e.g. from the host's cookie banner
+  function setAnalyticsConsent(granted, el) {
+    targetWidgets(el).forEach(function(widget) {
+      widget.analytics = !!granted;
+      widget.container.dataset.analytics = granted ? 'on' : 'off';
+      sendCommand(widget, 'setAnalyticsConsent', { granted: !!granted });
+    });
+  }
+
+  function on(apiName, callback) {
+    if (typeof callback !== 'function') return function() {};
+    (listeners[apiName] = listeners[apiName] || []).push(callback);
+    return function() { off(apiName, callback); };
+  }
+
+  function off(apiName, callback) {
+    if (!listeners[apiName]) return;
+    listeners[apiName] = listeners[apiName].filter(function(fn) { return fn !== callback; });
   }
 
   function initializeAllWidgets() {
@@ -251,9 +469,23 @@
           });
         }
       });
+      // SPA route changes may drop a container without calling unmount()
+      widgets.filter(function(widget) { return !widget.container.isConnected; }).forEach(function(widget) {
+        unmount(widget.container);
+      });
     });
     observer.observe(document.body, { childList: true, subtree: true });
   }
 
-  window.EveveWidget = { init: initializeWidget, initAll: initializeAllWidgets };
+  window.EveveWidget = {
+    init: initializeWidget,
+    initAll: initializeAllWidgets,
+    mount,
+    unmount,
+    open,
+    setTheme,
+    setAnalyticsConsent,
+    on,
+    off
+  };
 })();
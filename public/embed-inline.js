@@ -8,6 +8,13 @@
  * Usage on a customer site:
  * <div id="eveve-booking" data-restaurant="TestNZB" data-theme="light"></div>
  * <script src="https://form-1-0-2.hosting.eveve.co.nz/embed-inline.js"></script>
+ *
+ * Programmatic control (see EMBED_GUIDE.md § 5) – same API as embed-iframe.js:
+ *   EveveWidget.mount(el, { restaurant: 'TestNZB', layout: 'wizard' });
+ *   EveveWidget.open({ date: '2025-10-17', guests: 4, time: '19:00' });
+ *   EveveWidget.on('booking-success', function (detail) { ... });
+ *   EveveWidget.setAnalyticsConsent(false);
+ *   EveveWidget.unmount();
  */
 
 (function () {
@@ -25,6 +32,56 @@
   // Inline mode: target explicit inline containers only to avoid conflicts with iframe mode
   const SELECTOR = '#eveve-booking, [data-eveve-inline]';
 
+  // App event names → public EveveWidget.on() names
+  const API_EVENTS = {
+    'booking-ready': 'ready',
+    'booking-step-change': 'step-change',
+    'booking-success': 'booking-success',
+    'booking-error': 'error',
+    'booking-funnel': 'funnel'
+  };
+
+  // mount() options → container data attributes
+  // Presentation overrides, validated by the app (src/utils/embedOptions.js): option → attribute
+  const FEATURE_OPTIONS = {
+    hideEvents: 'data-hide-events',
+    showEventOnLoad: 'data-show-event-on-load',
+    shiftTypes: 'data-shift-types',
+    minGuests: 'data-min-guests',
+    maxGuests: 'data-max-guests',
+    hideOptin: 'data-hide-optin',
+    heading: 'data-heading'
+  };
+
+  const OPTION_ATTRIBUTES = {
+    restaurant: 'data-restaurant',
+    est: 'data-restaurant',
+    theme: 'data-theme',
+    themeCss: 'data-theme-css',
+    lang: 'data-lang',
+    guests: 'data-default-guests',
+    date: 'data-default-date',
+    time: 'data-default-time',
+    event: 'data-default-event',
+    area: 'data-default-area',
+    shift: 'data-default-shift',
+    redirectDelay: 'data-redirect-delay',
+    layout: 'data-layout',
+    debug: 'data-debug',
+    mock: 'data-mock',
+    analytics: 'data-analytics',
+    refreshConfig: 'data-refresh-config',
+    ...FEATURE_OPTIONS
+  };
+
+  // data-analytics / setAnalyticsConsent() values that turn tracking off
+  const ANALYTICS_OFF = ['off', 'false', '0', 'no', 'denied'];
+
+  // The one mounted widget: { container, rootId, ready, queue, urlChanges, analytics }
+  let current = null;
+  let scriptInjected = false;
+  const listeners = {};
+
   function pickContainer() {
     const nodes = document.querySelectorAll(SELECTOR);
     if (!nodes.length) return null;
@@ -50,15 +107,28 @@
   }
 
   function extractConfig(container) {
-    return {
+    const cfg = {
       est: container.getAttribute('data-restaurant') || container.getAttribute('data-est') || '',
       theme: container.getAttribute('data-theme') || 'light',
       themeCss: container.getAttribute('data-theme-css') || '',
-      lang: container.getAttribute('data-lang') || 'en',
+      lang: container.getAttribute('data-lang') || '', // Empty → venue language (usrLang)
       guests: container.getAttribute('data-default-guests') || '',
       date: container.getAttribute('data-default-date') || '',
-      debug: container.getAttribute('data-debug') === 'true'
+      time: container.getAttribute('data-default-time') || '',
+      event: container.getAttribute('data-default-event') || '',
+      area: container.getAttribute('data-default-area') || '',
+      shift: container.getAttribute('data-default-shift') || '',
+      redirectDelay: container.getAttribute('data-redirect-delay') || '',
+      layout: container.getAttribute('data-layout') || '', // 'wizard' → step-by-step flow
+      debug: container.getAttribute('data-debug') === 'true',
+      mock: container.getAttribute('data-mock') || '', // scenario for the local Eveve stand-in (dev/preview only)
+      analytics: container.getAttribute('data-analytics') || '', // 'off' → no GTM/GA4 events until consent is given
+      refreshConfig: container.getAttribute('data-refresh-config') || '' // 'true' → skip the cached venue config
     };
+    Object.keys(FEATURE_OPTIONS).forEach(function (name) {
+      cfg[name] = container.getAttribute(FEATURE_OPTIONS[name]) || '';
+    });
+    return cfg;
   }
 
   function injectCssOnce(href) {
@@ -93,44 +163,111 @@
     if (document.querySelector(`link[href="${href}"]`)) return;
     const link = document.createElement('link');
     link.rel = 'stylesheet';
+    link.id = 'external-theme-css'; // replaced by the app on EveveWidget.setTheme()
     link.href = href;
-    document.head.appendChild(link);
+    const existing = document.getElementById(link.id);
+    if (existing) existing.replaceWith(link);
+    else document.head.appendChild(link);
   }
 
-  function wireAnalytics(container) {
-    // Listen to app's DOM events and forward to GTM/GA4 + prefixed DOM events
-    const onSuccess = function (e) {
-      const detail = e.detail || {};
-      window.dataLayer = window.dataLayer || [];
-      window.dataLayer.push({ event: 'eveve_booking_success', ...detail });
-      if (window.gtag) window.gtag('event', 'eveve_booking_success', detail);
+  function emitApiEvent(eventName, detail, container) {
+    const apiName = API_EVENTS[eventName];
+    if (!apiName || !listeners[apiName]) return;
+    listeners[apiName].slice().forEach(function (callback) {
       try {
-        const ce = new CustomEvent('eveve-booking-success', { detail, bubbles: true });
-        container.dispatchEvent(ce);
-      } catch (_) {}
-    };
+        callback(detail, container);
+      } catch (err) {
+        console.error('[Eveve Inline] "' + apiName + '" listener failed:', err);
+      }
+    });
+  }
 
-    const onError = function (e) {
+  function wireAnalytics() {
+    // Listen to app's DOM events and forward to GTM/GA4, prefixed DOM events and EveveWidget.on()
+    const forward = function (e) {
+      if (!current) return;
+      const container = current.container;
       const detail = e.detail || {};
-      window.dataLayer = window.dataLayer || [];
-      window.dataLayer.push({ event: 'eveve_booking_error', ...detail });
-      if (window.gtag) window.gtag('event', 'eveve_booking_error', detail);
+
+      if (e.type === 'booking-ready') {
+        current.ready = true;
+        flushCommands();
+      }
+      // The app pushes its own funnel events (it shares this window); only success/error are pushed here
+      if (e.type === 'booking-success' && current.analytics) {
+        window.dataLayer = window.dataLayer || [];
+        window.dataLayer.push({ event: 'eveve_booking_success', ...detail });
+        if (window.gtag) window.gtag('event', 'eveve_booking_success', detail);
+      }
+      if (e.type === 'booking-error' && current.analytics) {
+        window.dataLayer = window.dataLayer || [];
+        window.dataLayer.push({ event: 'eveve_booking_error', ...detail });
+        if (window.gtag) window.gtag('event', 'eveve_booking_error', detail);
+      }
+
       try {
-        const ce = new CustomEvent('eveve-booking-error', { detail, bubbles: true });
+        const ce = new CustomEvent('eveve-' + e.type, { detail, bubbles: true });
         container.dispatchEvent(ce);
       } catch (_) {}
+      emitApiEvent(e.type, detail, container);
     };
 
-    document.addEventListener('booking-success', onSuccess);
-    document.addEventListener('booking-error', onError);
+    Object.keys(API_EVENTS).forEach(function (eventName) {
+      document.addEventListener(eventName, forward);
+    });
   }
 
-  function init() {
-    const container = pickContainer();
-    if (!container) {
-      console.error('[Eveve Inline] No container found. Add a div with id="eveve-booking" or class="eveve-widget".');
-      return;
-    }
+  // Sync URL params so the app (and any loaders expecting location.search) can read est/theme/etc.
+  // Params already on the page URL win unless mount() passed them explicitly. Every
+  // change is recorded so unmount() can put the URL back.
+  function syncUrlParams(cfg, explicitKeys) {
+    const changes = [];
+    try {
+      const params = new URLSearchParams(window.location.search);
+      const put = function (k, v) {
+        if (!v) return;
+        if (params.has(k) && (explicitKeys.indexOf(k) === -1 || params.get(k) === String(v))) return;
+        changes.push({ key: k, previous: params.get(k) });
+        params.set(k, v);
+      };
+      put('est', cfg.est);
+      put('theme', cfg.theme);
+      put('themeCss', cfg.themeCss);
+      put('lang', cfg.lang);
+      put('guests', cfg.guests);
+      put('date', cfg.date);
+      put('time', cfg.time);
+      put('event', cfg.event);
+      put('area', cfg.area);
+      put('shift', cfg.shift);
+      put('redirectDelay', cfg.redirectDelay);
+      put('layout', cfg.layout);
+      put('analytics', cfg.analytics);
+      if (cfg.debug) put('debug', 'true');
+      const newSearch = '?' + params.toString();
+      const newUrl = window.location.pathname + newSearch + window.location.hash;
+      if (newSearch !== window.location.search) {
+        window.history.replaceState(window.history.state, '', newUrl);
+      }
+    } catch (_) {}
+    return changes;
+  }
+
+  function restoreUrlParams(changes) {
+    if (!changes || !changes.length) return;
+    try {
+      const params = new URLSearchParams(window.location.search);
+      changes.forEach(function (change) {
+        if (change.previous === null) params.delete(change.key);
+        else params.set(change.key, change.previous);
+      });
+      const search = params.toString();
+      const newUrl = window.location.pathname + (search ? '?' + search : '') + window.location.hash;
+      window.history.replaceState(window.history.state, '', newUrl);
+    } catch (_) {}
+  }
+
+  function mountContainer(container, explicitKeys) {
     if (container.dataset.eveveInitialized === 'true') return;
     container.dataset.eveveInitialized = 'true';
 
@@ -141,11 +278,14 @@
     }
 
     const rootId = ensureRoot(container, cfg);
-    // Wire analytics listeners before app mounts
-    wireAnalytics(container);
-    // Expose config for the app to read (ReservationForm fallbacks)
+    // Expose config for the app to read (ReservationForm fallbacks, theme URLs)
     window.__EVEVE_INLINE_ROOT_ID = rootId;
-    window.__EVEVE_EMBED = cfg;
+    // Feature options the host page set on window.__EVEVE_EMBED itself stay unless an attribute overrides them
+    const hostOptions = window.__EVEVE_EMBED || {};
+    window.__EVEVE_EMBED = { ...cfg, appOrigin };
+    Object.keys(FEATURE_OPTIONS).forEach(function (name) {
+      if (!cfg[name] && hostOptions[name] !== undefined) window.__EVEVE_EMBED[name] = hostOptions[name];
+    });
 
     // Ensure theme attribute on wrapper (#eveve-widget) for DaisyUI/theme CSS scoping
     const wrapper = container.querySelector('#eveve-widget');
@@ -153,31 +293,146 @@
       wrapper.setAttribute('data-theme', cfg.theme);
     }
 
-    // Sync URL params so the app (and any loaders expecting location.search) can read est/theme/etc.
-    try {
-      const current = new URLSearchParams(window.location.search);
-      const addIfMissing = (k, v) => { if (v && !current.has(k)) current.append(k, v); };
-      addIfMissing('est', cfg.est);
-      addIfMissing('theme', cfg.theme);
-      if (cfg.themeCss) addIfMissing('themeCss', cfg.themeCss);
-      addIfMissing('lang', cfg.lang);
-      if (cfg.guests) addIfMissing('guests', cfg.guests);
-      if (cfg.date) addIfMissing('date', cfg.date);
-      if (cfg.debug) addIfMissing('debug', 'true');
-      const newSearch = '?' + current.toString();
-      const newUrl = window.location.pathname + newSearch + window.location.hash;
-      if (newSearch !== window.location.search) {
-        window.history.replaceState(null, '', newUrl);
-      }
-    } catch (_) {}
+    current = {
+      container,
+      rootId,
+      ready: false,
+      queue: [],
+      urlChanges: syncUrlParams(cfg, explicitKeys || []),
+      analytics: ANALYTICS_OFF.indexOf(String(cfg.analytics).toLowerCase()) === -1
+    };
 
     // Load app assets from our origin
     injectCssOnce(appOrigin + '/assets/index.css');
     // Load theme CSS (built-in or custom)
     injectThemeCss(cfg.theme, cfg.themeCss);
-    injectScript(appOrigin + '/assets/index.js');
+    // The bundle only executes once per page; later mounts go through the app's own hook
+    if (!scriptInjected) {
+      scriptInjected = true;
+      injectScript(appOrigin + '/assets/index.js');
+    } else if (window.__EVEVE_APP__) {
+      window.__EVEVE_APP__.mount(rootId);
+    }
+  }
+
+  function init() {
+    const container = pickContainer();
+    if (!container) {
+      console.error('[Eveve Inline] No container found. Add a div with id="eveve-booking" or class="eveve-widget".');
+      return;
+    }
+    mountContainer(container);
+  }
+
+  /* ------------------------------------------------------------------
+     Public API
+  ------------------------------------------------------------------ */
+  function resolveElement(el) {
+    if (!el) return null;
+    return typeof el === 'string' ? document.querySelector(el) : el;
+  }
+
+  function sendCommand(command, payload) {
+    if (!current) {
+      console.warn('[Eveve Inline] ' + command + '() called before mount()');
+      return;
+    }
+    // Commands sent before the app has loaded its config wait for 'ready'
+    if (!current.ready) {
+      current.queue.push({ command, payload });
+      return;
+    }
+    document.dispatchEvent(new CustomEvent('eveve-command', { detail: { command, payload } }));
+  }
+
+  function flushCommands() {
+    const queued = current.queue.splice(0);
+    queued.forEach(function (item) { sendCommand(item.command, item.payload); });
   }
 
+  function mount(el, options) {
+    const container = resolveElement(el);
+    if (!container) {
+      console.error('[Eveve Inline] mount(): container not found', el);
+      return null;
+    }
+    // Inline mode supports one widget per page – moving it unmounts the old one
+    if (current || container.dataset.eveveInitialized === 'true') unmount();
+
+    const explicitKeys = [];
+    Object.keys(options || {}).forEach(function (key) {
+      const attribute = OPTION_ATTRIBUTES[key];
+      const value = options[key];
+      if (!attribute || value === undefined || value === null || value === '') return;
+      container.setAttribute(attribute, String(value));
+      explicitKeys.push(key === 'restaurant' ? 'est' : key);
+    });
+
+    mountContainer(container, explicitKeys);
+    return container;
+  }
+
+  function unmount() {
+    if (!current) return;
+    const widget = current;
+    current = null;
+    if (window.__EVEVE_APP__) window.__EVEVE_APP__.unmount();
+    restoreUrlParams(widget.urlChanges);
+    widget.container.innerHTML = '';
+    delete widget.container.dataset.eveveInitialized;
+    delete window.__EVEVE_EMBED;
+    delete window.__EVEVE_INLINE_ROOT_ID;
+  }
+
+  function open(request) {
+    sendCommand('open', request || {});
+  }
+
+  function setTheme(theme, themeCss) {
+    if (!theme || !current) return;
+    current.container.setAttribute('data-theme', theme);
+    if (themeCss) current.container.setAttribute('data-theme-css', themeCss);
+    else current.container.removeAttribute('data-theme-css');
+    sendCommand('setTheme', { theme, themeCss: themeCss || null });
+  }
+
+  // Consent for GTM/GA4 tracking, e.g. from the host's cookie banner
+  function setAnalyticsConsent(granted) {
+    if (!current) return;
+    current.analytics = !!granted;
+    current.container.setAttribute('data-analytics', granted ? 'on' : 'off');
+    sendCommand('setAnalyticsConsent', { granted: !!granted });
+  }
+
+  function on(apiName, callback) {
+    if (typeof callback !== 'function') return function () {};
+    (listeners[apiName] = listeners[apiName] || []).push(callback);
+    return function () { off(apiName, callback); };
+  }
+
+  function off(apiName, callback) {
+    if (!listeners[apiName]) return;
+    listeners[apiName] = listeners[apiName].filter(function (fn) { return fn !== callback; });
+  }
+
+  // Wire analytics listeners before app mounts
+  wireAnalytics();
+
+  window.EveveWidget = {
+    init: function (el) {
+      const container = resolveElement(el) || pickContainer();
+      if (container) mountContainer(container);
+    },
+    initAll: init,
+    mount,
+    unmount,
+    open,
+    setTheme,
+    setAnalyticsConsent,
+    on,
+    off
+  };
+
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', init);
   } else {
@@ -10,6 +10,13 @@
  * 
  * 2. Add a container div anywhere on your page:
  *    <div id="eveve-booking" data-restaurant="123" data-theme="brand-roboto"></div>
+ *
+ * Programmatic control (see EMBED_GUIDE.md § 5):
+ *    EveveWidget.mount(el, { restaurant: '123' });
+ *    EveveWidget.open({ date: '2025-10-17', guests: 4, time: '19:00' });
+ *    EveveWidget.on('booking-success', function (detail) { ... });
+ *    EveveWidget.setAnalyticsConsent(false);
+ *    EveveWidget.unmount();
  */
 
 (function() {
@@ -39,6 +46,52 @@
     scriptLoadTimeout: 8000
   };
 
+  // App event names → public EveveWidget.on() names
+  const API_EVENTS = {
+    'booking-ready': 'ready',
+    'booking-step-change': 'step-change',
+    'booking-success': 'booking-success',
+    'booking-error': 'error',
+    'booking-funnel': 'funnel'
+  };
+
+  // mount() options → container data attributes (dataset keys)
+  const OPTION_ATTRIBUTES = {
+    restaurant: 'restaurant',
+    est: 'restaurant',
+    theme: 'theme',
+    themeCss: 'themeCss',
+    lang: 'lang',
+    guests: 'defaultGuests',
+    date: 'defaultDate',
+    time: 'defaultTime',
+    event: 'defaultEvent',
+    area: 'defaultArea',
+    shift: 'defaultShift',
+    redirectDelay: 'redirectDelay',
+    layout: 'layout',
+    debug: 'debug',
+    mock: 'mock',
+    analytics: 'analytics',
+    refreshConfig: 'refreshConfig',
+    hideEvents: 'hideEvents',
+    showEventOnLoad: 'showEventOnLoad',
+    shiftTypes: 'shiftTypes',
+    minGuests: 'minGuests',
+    maxGuests: 'maxGuests',
+    hideOptin: 'hideOptin',
+    heading: 'heading'
+  };
+
+  // Presentation overrides (data-hide-events, data-shift-types, …), passed through as
+  // ?hideEvents=… and validated by the app (src/utils/embedOptions.js)
+  const FEATURE_OPTIONS = ['hideEvents', 'showEventOnLoad', 'shiftTypes', 'minGuests', 'maxGuests', 'hideOptin', 'heading'];
+
+  // The React app renders into #root, so only one widget is live at a time:
+  // { container, ready, queue, addedParams }
+  let current = null;
+  const listeners = {};
+
   // Utility functions
   const utils = {
     // Load a script asynchronously with improved error detection
@@ -310,11 +363,23 @@
       restaurant: container.dataset.restaurant || container.dataset.est,
       theme: container.dataset.theme || CONFIG.defaultTheme,
       themeCss: container.dataset.themeCss || null,
-      lang: container.dataset.lang || 'en',
+      lang: container.dataset.lang || null, // null → venue language (usrLang)
       defaultGuests: container.dataset.defaultGuests || null,
       defaultDate: container.dataset.defaultDate || null,
-      debug: container.dataset.debug === 'true'
+      defaultTime: container.dataset.defaultTime || null,
+      defaultEvent: container.dataset.defaultEvent || null,
+      defaultArea: container.dataset.defaultArea || null,
+      defaultShift: container.dataset.defaultShift || null,
+      redirectDelay: container.dataset.redirectDelay || null,
+      layout: container.dataset.layout || null, // 'wizard' → step-by-step flow
+      debug: container.dataset.debug === 'true',
+      mock: container.dataset.mock || null, // scenario for the local Eveve stand-in (dev/preview only)
+      analytics: container.dataset.analytics || null, // 'off' → no GTM/GA4 events until consent is given
+      refreshConfig: container.dataset.refreshConfig || null // 'true' → skip the cached venue config
     };
+    FEATURE_OPTIONS.forEach((name) => {
+      config[name] = container.dataset[name] || null;
+    });
 
     // Show loading state
     const loader = utils.createLoader();
@@ -338,7 +403,19 @@
     if (config.lang) queryParams.append('lang', config.lang);
     if (config.defaultGuests) queryParams.append('guests', config.defaultGuests);
     if (config.defaultDate) queryParams.append('date', config.defaultDate);
+    if (config.defaultTime) queryParams.append('time', config.defaultTime);
+    if (config.defaultEvent) queryParams.append('event', config.defaultEvent);
+    if (config.defaultArea) queryParams.append('area', config.defaultArea);
+    if (config.defaultShift) queryParams.append('shift', config.defaultShift);
+    if (config.redirectDelay) queryParams.append('redirectDelay', config.redirectDelay);
+    if (config.layout) queryParams.append('layout', config.layout);
     if (config.debug) queryParams.append('debug', 'true');
+    if (config.mock) queryParams.append('mock', config.mock);
+    if (config.analytics) queryParams.append('analytics', config.analytics);
+    if (config.refreshConfig) queryParams.append('refreshConfig', config.refreshConfig);
+    FEATURE_OPTIONS.forEach((name) => {
+      if (config[name]) queryParams.append(name, config[name]);
+    });
 
     // Create a global configuration object for the React app to read
     // This allows the app to access parameters without relying on URL search params
@@ -350,7 +427,16 @@
       lang: config.lang,
       guests: config.defaultGuests,
       date: config.defaultDate,
+      time: config.defaultTime,
+      event: config.defaultEvent,
+      area: config.defaultArea,
+      shift: config.defaultShift,
+      redirectDelay: config.redirectDelay,
+      layout: config.layout,
       debug: config.debug,
+      mock: config.mock,
+      analytics: config.analytics,
+      refreshConfig: config.refreshConfig,
       containerId: container.id,
       queryString: queryParams.toString()
     };
@@ -366,21 +452,22 @@
        before the React bundle executes. This is simpler and far more
        reliable than proxying the location object.
     ---------------------------------------------------------------------*/
+    // Remember what we added so unmount() can put the URL back
+    const addedParams = [];
     (function syncUrlSearchParams() {
       const currentParams = new URLSearchParams(window.location.search);
-      let modified = false;
 
       for (const [key, value] of queryParams.entries()) {
         if (!currentParams.has(key)) {
           currentParams.append(key, value);
-          modified = true;
+          addedParams.push(key);
         }
       }
 
-      if (modified) {
+      if (addedParams.length > 0) {
         const newSearch = `?${currentParams.toString()}`;
         const newUrl = `${window.location.pathname}${newSearch}${window.location.hash}`;
-        window.history.replaceState(null, '', newUrl);
+        window.history.replaceState(window.history.state, '', newUrl);
       }
     })();
 
@@ -429,6 +516,14 @@
     window.__EVEVE_CONTAINERS__ = window.__EVEVE_CONTAINERS__ || {};
     window.__EVEVE_CONTAINERS__[container.id] = container;
 
+    current = { container, ready: false, queue: [], addedParams };
+
+    // The bundle only executes once per page – remounts go through the app's own hook
+    if (window.__EVEVE_APP__) {
+      window.__EVEVE_APP__.mount('root');
+      return;
+    }
+
     /* ------------------------------------------------------------
        Load main widget CSS & JS using stable filenames.
        No CORS request to manifest.json is required.
@@ -496,9 +591,141 @@
     });
   }
 
-  // Expose the initialization function globally for manual initialization
+  /* ------------------------------------------------------------------
+     Public API
+  ------------------------------------------------------------------ */
+  function resolveElement(el) {
+    if (!el) return null;
+    return typeof el === 'string' ? document.querySelector(el) : el;
+  }
+
+  function emitApiEvent(eventName, detail, container) {
+    const apiName = API_EVENTS[eventName];
+    if (!apiName || !listeners[apiName]) return;
+    listeners[apiName].slice().forEach(function(callback) {
+      try {
+        callback(detail, container);
+      } catch (err) {
+        console.error(`[Eveve Widget] "${apiName}" listener failed:`, err);
+      }
+    });
+  }
+
+  // The app emits its events on document; re-dispatch them on the container
+  Object.keys(API_EVENTS).forEach(function(eventName) {
+    document.addEventListener(eventName, function(e) {
+      if (!current) return;
+      const detail = e.detail || {};
+      if (eventName === 'booking-ready') {
+        current.ready = true;
+        flushCommands();
+      }
+      try {
+        current.container.dispatchEvent(new CustomEvent(`eveve-${eventName}`, { detail, bubbles: true }));
+      } catch (_) {}
+      emitApiEvent(eventName, detail, current.container);
+    });
+  });
+
+  function sendCommand(command, payload) {
+    if (!current) {
+      console.warn(`[Eveve Widget] ${command}() called before mount()`);
+      return;
+    }
+    // Commands sent before the app has loaded its config wait for 'ready'
+    if (!current.ready) {
+      current.queue.push({ command, payload });
+      return;
+    }
+    document.dispatchEvent(new CustomEvent('eveve-command', { detail: { command, payload } }));
+  }
+
+  function flushCommands() {
+    const queued = current.queue.splice(0);
+    queued.forEach(function(item) { sendCommand(item.command, item.payload); });
+  }
+
+  function mount(el, options) {
+    const container = resolveElement(el);
+    if (!container) {
+      console.error('[Eveve Widget] mount(): container not found', el);
+      return null;
+    }
+    if (current || container.dataset.eveveInitialized === 'true') unmount();
+
+    Object.keys(options || {}).forEach(function(key) {
+      const attribute = OPTION_ATTRIBUTES[key];
+      const value = options[key];
+      if (!attribute || value === undefined || value === null || value === '') return;
+      container.dataset[attribute] = String(value);
+    });
+
+    initializeWidget(container);
+    return container;
+  }
+
+  function unmount() {
+    if (!current) return;
+    const widget = current;
+    current = null;
+    if (window.__EVEVE_APP__) window.__EVEVE_APP__.unmount();
+
+    if (widget.addedParams.length > 0) {
+      const params = new URLSearchParams(window.location.search);
+      widget.addedParams.forEach(function(key) { params.delete(key); });
+      const search = params.toString();
+      window.history.replaceState(window.history.state, '', `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`);
+    }
+
+    const container = widget.container;
+    container.innerHTML = '';
+    delete container.dataset.eveveInitialized;
+    if (window.__EVEVE_CONFIG__) delete window.__EVEVE_CONFIG__[container.id];
+    if (window.__EVEVE_CONTAINERS__) delete window.__EVEVE_CONTAINERS__[container.id];
+  }
+
+  function open(request) {
+    sendCommand('open', request || {});
+  }
+
+  function setTheme(theme, themeCss) {
+    if (!theme || !current) return;
+    current.container.dataset.theme = theme;
+    if (themeCss) current.container.dataset.themeCss = themeCss;
+    else delete current.container.dataset.themeCss;
+    // Like initializeWidget, fall back to themes/{theme}.css next to this script
+    const themeCssUrl = utils.getAbsoluteUrl(themeCss || `${CONFIG.themesPath}${theme}.css`);
+    sendCommand('setTheme', { theme, themeCss: themeCssUrl });
+  }
+
+  // Consent for GTM/GA4 tracking; the app shares this window and pushes its own events
+  function setAnalyticsConsent(granted) {
+    if (!current) return;
+    current.container.dataset.analytics = granted ? 'on' : 'off';
+    sendCommand('setAnalyticsConsent', { granted: !!granted });
+  }
+
+  function on(apiName, callback) {
+    if (typeof callback !== 'function') return function() {};
+    (listeners[apiName] = listeners[apiName] || []).push(callback);
+    return function() { off(apiName, callback); };
+  }
+
+  function off(apiName, callback) {
+    if (!listeners[apiName]) return;
+    listeners[apiName] = listeners[apiName].filter(function(fn) { return fn !== callback; });
+  }
+
+  // Expose the widget API globally for manual initialization and control
   window.EveveWidget = {
     init: initializeWidget,
-    initAll: initializeAllWidgets
+    initAll: initializeAllWidgets,
+    mount,
+    unmount,
+    open,
+    setTheme,
+    setAnalyticsConsent,
+    on,
+    off
   };
 })();
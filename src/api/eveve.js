@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { resolveApiBase } from './mock';
 
 // Create axios instance for Eveve API calls
 const eveveApi = axios.create({
@@ -30,7 +31,7 @@ const BASE_URLS = {
  * @returns {Promise} - API response promise
  */
 export const hold = (params) => {
-  return eveveApi.get(`${BASE_URLS.NZ}/web/hold`, { params });
+  return eveveApi.get(`${resolveApiBase(BASE_URLS.NZ)}/web/hold`, { params });
 };
 
 /**
@@ -44,7 +45,7 @@ export const hold = (params) => {
  * @returns {Promise} - API response promise
  */
 export const piGet = (params) => {
-  return eveveApi.get(`${BASE_URLS.UK}/int/pi-get`, { params });
+  return eveveApi.get(`${resolveApiBase(BASE_URLS.UK)}/int/pi-get`, { params });
 };
 
 /**
@@ -58,7 +59,7 @@ export const piGet = (params) => {
  * @returns {Promise} - API response promise
  */
 export const depositGet = (params) => {
-  return eveveApi.get(`${BASE_URLS.UK}/int/deposit-get`, { params });
+  return eveveApi.get(`${resolveApiBase(BASE_URLS.UK)}/int/deposit-get`, { params });
 };
 
 /**
@@ -74,7 +75,7 @@ export const depositGet = (params) => {
  * @returns {Promise} - API response promise
  */
 export const pmId = (params) => {
-  return eveveApi.get(`${BASE_URLS.UK}/int/pm-id`, { params });
+  return eveveApi.get(`${resolveApiBase(BASE_URLS.UK)}/int/pm-id`, { params });
 };
 
 /**
@@ -97,7 +98,7 @@ export const pmId = (params) => {
  * @returns {Promise} - API response promise
  */
 export const update = (params) => {
-  return eveveApi.get(`${BASE_URLS.NZ}/web/update`, { params });
+  return eveveApi.get(`${resolveApiBase(BASE_URLS.NZ)}/web/update`, { params });
 };
 
 /**
@@ -109,7 +110,21 @@ export const update = (params) => {
  * @returns {Promise} - API response promise
  */
 export const restore = (params) => {
-  return eveveApi.get(`${BASE_URLS.UK}/api/restore`, { params });
+  return eveveApi.get(`${resolveApiBase(BASE_URLS.UK)}/api/restore`, { params });
+};
+
+/**
+ * CANCEL - Cancel an existing booking or release a hold (see docs/EVEVE_STRIPE_REQUESTS.md)
+ * @param {Object} params - Query parameters
+ * @param {string} params.est - Establishment code
+ * @param {number} params.uid - Booking UID
+ * @param {number} params.created - Booking creation timestamp
+ * @param {string} params.lng - Language code
+ * @param {string} [baseUrl] - The venue's `dapi` host, so other shards reach their own server
+ * @returns {Promise} - API response promise
+ */
+export const cancel = (params, baseUrl = BASE_URLS.NZ) => {
+  return eveveApi.get(`${resolveApiBase(baseUrl)}/web/cancel`, { params });
 };
 
 // Handle API errors
@@ -129,4 +144,5 @@ export default {
   pmId,
   update,
   restore,
+  cancel,
 };
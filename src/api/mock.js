@@ -0,0 +1,49 @@
+/**
+ * Mock mode – points the app at the local Eveve stand-in server
+ * (`mock/eveveMockServer.js`) instead of the live Eveve hosts.
+ *
+ * Enabled with `?mock=<scenario>` on the app URL, or `data-mock` on an
+ * inline embed (exposed on `window.__EVEVE_EMBED.mock`). The stand-in is
+ * Vite dev/preview middleware, so mock mode only works against
+ * `npm run dev` or `npm run preview`.
+ */
+
+// Path the stand-in server is mounted on (kept in sync with mock/eveveMockServer.js)
+export const MOCK_PATH = '/__eveve-mock';
+
+/**
+ * Reads the requested mock scenario
+ *
+ * @returns {string|null} - Scenario name, or null when mock mode is off
+ */
+export const getMockScenario = () => {
+  if (typeof window === 'undefined') return null;
+  const params = new URLSearchParams(window.location.search);
+  const raw = params.get('mock') || window.__EVEVE_EMBED?.mock;
+  if (!raw) return null;
+  // Scenario names map onto files, so keep them to a safe character set
+  const scenario = String(raw).trim().toLowerCase().replace(/[^a-z0-9_-]/g, '');
+  return scenario || null;
+};
+
+/**
+ * Base URL of the stand-in server for the active scenario
+ *
+ * @returns {string|null} - e.g. `http://localhost:5173/__eveve-mock/card-deposit`, or null when mock mode is off
+ */
+export const getMockBaseUrl = () => {
+  const scenario = getMockScenario();
+  if (!scenario) return null;
+  // Inline embeds run on the host page, so the stand-in lives on the app's own origin
+  const origin = window.__EVEVE_EMBED?.appOrigin || window.location.origin;
+  return `${origin}${MOCK_PATH}/${scenario}`;
+};
+
+/**
+ * Picks the API base URL for a request: the stand-in when mock mode is on,
+ * otherwise the live Eveve host
+ *
+ * @param {string} liveBaseUrl - Live Eveve host (e.g. https://nz.eveve.com)
+ * @returns {string}
+ */
+export const resolveApiBase = (liveBaseUrl) => getMockBaseUrl() || liveBaseUrl;
@@ -1,4 +1,5 @@
 import React from 'react';
+import { formatMoney } from '../utils/money';
 
 const AddonSelection = ({
   currentShiftAddons,
@@ -6,7 +7,7 @@ const AddonSelection = ({
   selectedAddons,
   onAddonChange, // This will be implemented in ReservationForm.jsx later
   guestCount,
-  currencySymbol,
+  moneyFormat, // From getMoneyFormat – currency/locale for prices
   languageStrings, // For labels like "Quantity" or other addon related texts
   selectedShiftTime // Needed for shift.maxMenuTypes
 }) => {
@@ -51,9 +52,7 @@ const AddonSelection = ({
     // Hide price display when zero or invalid
     if (typeof addon.price !== 'number' || addon.price <= 0) return '';
 
-    const displaySymbol = currencySymbol || '$';
-    const priceInDollars = (addon.price / 100).toFixed(2);
-    let priceString = `${displaySymbol}${priceInDollars}`;
+    let priceString = formatMoney(addon.price, moneyFormat);
 
     if (addon.per === 'Guest') {
       priceString += ` ${languageStrings?.perPerson || 'per Person'}`;
@@ -0,0 +1,62 @@
+import React from 'react';
+import { RECOVERY_ACTIONS } from '../utils/bookingErrors';
+
+/**
+ * BookingErrorNotice - Alert for a failed availability, hold or update
+ * request. Shows the localised message from describeBookingError and a
+ * button per recovery action the caller can handle; "call the venue" is a
+ * tel: link to the venue's `estPhone`.
+ */
+const BookingErrorNotice = ({
+  error,
+  onRetry,
+  onPickAnotherTime,
+  phone,
+  languageStrings,
+  className = 'my-4',
+}) => {
+  if (!error) return null;
+
+  const handlers = {
+    [RECOVERY_ACTIONS.RETRY]: onRetry,
+    [RECOVERY_ACTIONS.PICK_ANOTHER_TIME]: onPickAnotherTime
+  };
+  const actions = error.actions.filter((action) =>
+    action === RECOVERY_ACTIONS.CALL_VENUE ? !!phone : typeof handlers[action] === 'function'
+  );
+
+  return (
+    <div className={`${className} p-4 bg-error/10 border border-error text-error rounded-md shadow-sm`} role="alert">
+      {error.type && (
+        <strong className="font-bold">{languageStrings?.errNoticeTitle || 'Something went wrong.'} </strong>
+      )}
+      <span>{error.message}</span>
+      {actions.length > 0 && (
+        <div className="mt-3 flex flex-wrap gap-2">
+          {actions.map((action) => {
+            if (action === RECOVERY_ACTIONS.CALL_VENUE) {
+              return (
+                <a
+                  key={action}
+                  href={`tel:${String(phone).replace(/[^\d+]/g, '')}`}
+                  className="btn btn-sm btn-outline"
+                >
+                  {(languageStrings?.errCallVenue || 'Call {phone}').replace('{phone}', phone)}
+                </a>
+              );
+            }
+            return (
+              <button key={action} type="button" onClick={handlers[action]} className="btn btn-sm btn-primary">
+                {action === RECOVERY_ACTIONS.RETRY
+                  ? (languageStrings?.errRetry || 'Try again')
+                  : (languageStrings?.errPickAnotherTime || 'Pick another time')}
+              </button>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BookingErrorNotice;
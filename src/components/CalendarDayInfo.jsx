@@ -0,0 +1,108 @@
+import React, { useMemo } from 'react';
+import { formatDecimalTime } from '../utils/time';
+import { formatDayMonth, formatSummaryDate } from '../utils/localeDates';
+import { CALENDAR_DAY_STATE, getCalendarDayKey } from '../utils/calendarDays';
+
+// Legend order and fallback labels; legendClosed / legendUnavail come from the venue's language pack
+const LEGEND = [
+  { state: CALENDAR_DAY_STATE.OPEN, key: 'legendOpen', fallback: 'Available' },
+  { state: CALENDAR_DAY_STATE.LIMITED, key: 'legendLimited', fallback: 'Limited availability' },
+  { state: CALENDAR_DAY_STATE.EVENT_ONLY, key: 'legendEventOnly', fallback: 'Events only' },
+  { state: CALENDAR_DAY_STATE.CLOSED, key: 'legendClosed', fallback: 'Closed' },
+  { state: CALENDAR_DAY_STATE.UNAVAILABLE, key: 'legendUnavail', fallback: 'Unavailable during these Dates' }
+];
+
+/**
+ * Label for a calendar day state, from the language pack when available
+ *
+ * @param {string} state - One of CALENDAR_DAY_STATE
+ * @param {Object} languageStrings - appConfig.lng
+ * @returns {string}
+ */
+export const getDayStateLabel = (state, languageStrings) => {
+  const entry = LEGEND.find((item) => item.state === state);
+  return entry ? languageStrings?.[entry.key] || entry.fallback : '';
+};
+
+/**
+ * CalendarDayInfo - legend and notes under the date picker: which tile
+ * styles mean what, why days in the shown month are closed, and the
+ * selected day's service hours.
+ */
+const CalendarDayInfo = ({
+  dayStates,
+  activeMonth,
+  selectedDate,
+  languageStrings,
+  timeFormat,
+  dateLocalisation
+}) => {
+  // Day-state entries for the month currently shown
+  const monthEntries = useMemo(() => {
+    if (!activeMonth) return [];
+    const year = activeMonth.getFullYear();
+    const month = activeMonth.getMonth();
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+    return Array.from({ length: daysInMonth }, (_, index) => {
+      const date = new Date(year, month, index + 1);
+      return { date, ...dayStates[getCalendarDayKey(date)] };
+    }).filter((entry) => entry.state);
+  }, [dayStates, activeMonth]);
+
+  // Closure reasons, one line per message with every date it applies to
+  const closureNotes = useMemo(() => {
+    const today = new Date().setHours(0, 0, 0, 0);
+    const byMessage = new Map();
+    monthEntries.forEach((entry) => {
+      const isClosed = entry.state === CALENDAR_DAY_STATE.CLOSED || entry.state === CALENDAR_DAY_STATE.UNAVAILABLE;
+      if (!isClosed || !entry.message || entry.date < today) return;
+      if (!byMessage.has(entry.message)) byMessage.set(entry.message, []);
+      byMessage.get(entry.message).push(entry.date);
+    });
+    return Array.from(byMessage, ([message, dates]) => ({ message, dates }));
+  }, [monthEntries]);
+
+  if (monthEntries.length === 0) return null;
+
+  const shownStates = LEGEND.filter(({ state }) => monthEntries.some((entry) => entry.state === state));
+  const selected = selectedDate ? dayStates[getCalendarDayKey(selectedDate)] : null;
+
+  return (
+    <div className="calendar-day-info px-4 pb-4 space-y-3 text-sm text-base-content">
+      <ul className="flex flex-wrap gap-x-4 gap-y-1" aria-label={languageStrings?.legendTitle || 'Calendar key'}>
+        {shownStates.map(({ state }) => (
+          <li key={state} className="flex items-center gap-1.5">
+            <span className={`calendar-legend-swatch day-${state}`} aria-hidden="true"></span>
+            <span>{getDayStateLabel(state, languageStrings)}</span>
+          </li>
+        ))}
+      </ul>
+
+      {selected && selected.hours.length > 0 && (
+        <p className="text-base-content/80">
+          <span className="font-semibold">
+            {formatSummaryDate(selectedDate, dateLocalisation)} · {languageStrings?.openingHours || 'Opening hours'}:
+          </span>{' '}
+          {selected.hours
+            .map(({ start, end }) => `${formatDecimalTime(start, timeFormat)} – ${formatDecimalTime(end, timeFormat)}`)
+            .join(', ')}
+        </p>
+      )}
+
+      {closureNotes.length > 0 && (
+        <ul className="space-y-1">
+          {closureNotes.map(({ message, dates }) => (
+            <li key={message} className="p-2 bg-base-200 rounded">
+              <span className="font-semibold">
+                {dates.map((date) => formatDayMonth(date, dateLocalisation)).join(', ')}:
+              </span>{' '}
+              <span className="prose prose-sm max-w-none inline" dangerouslySetInnerHTML={{ __html: message }} />
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default CalendarDayInfo;
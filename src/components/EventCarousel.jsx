@@ -1,8 +1,8 @@
 // src/components/EventCarousel.jsx
 import React, { useState, useMemo } from 'react';
-import { format } from 'date-fns';
 import { generateDateRange, excelSerialToDate } from '../utils/dateConversion';
 import { formatDecimalTime } from '../utils/time';
+import { formatMonthYear, formatShortDate, formatDayMonth } from '../utils/localeDates';
 import { 
   fetchEventMonthAvailability, 
   parseEventAvailableDates, 
@@ -23,6 +23,7 @@ import {
  * @param {Object} props.languageStrings - Language strings from appConfig.lng
  * @param {string} props.timeFormat - Time format preference
  * @param {string} props.dateFormat - Date format preference
+ * @param {Object} [props.dateLocalisation] - Localised day/month names (getDateLocalisation)
  * @param {string} props.est - Restaurant UID for API calls
  * @param {string} props.baseApiUrl - Base API URL for month-avail calls
  * @param {Date} props.currentMonth - Current month being viewed for availability
@@ -36,6 +37,7 @@ export default function EventCarousel({
   languageStrings = {},
   timeFormat = 'h:mm a',
   dateFormat = 'MMM d, yyyy',
+  dateLocalisation = null,
   est,
   baseApiUrl,
   currentMonth = new Date(),
@@ -348,12 +350,7 @@ function EventCard({ event, onDateClick, onAvailabilityUpdate, languageStrings,
       );
       
       // Parse available dates from response using the target month
-      const eventAvailableDates = parseEventAvailableDates(
-        monthAvailResponse, 
-        event.uid, 
-        year, 
-        month
-      );
+      const eventAvailableDates = parseEventAvailableDates(monthAvailResponse, event.uid);
       
       setAvailableDates(eventAvailableDates);
       setViewedYear(year);
@@ -511,12 +508,7 @@ function EventCard({ event, onDateClick, onAvailabilityUpdate, languageStrings,
           numericGuests
         );
         
-        const eventAvailableDates = parseEventAvailableDates(
-          monthAvailResponse, 
-          event.uid, 
-          currentSearchYear, 
-          currentSearchMonth
-        );
+        const eventAvailableDates = parseEventAvailableDates(monthAvailResponse, event.uid);
         
         if (eventAvailableDates.length > 0) {
           // Found availability!
@@ -704,7 +696,7 @@ function EventCard({ event, onDateClick, onAvailabilityUpdate, languageStrings,
                 Looking for availability for {searchProgress.eventName}
               </div>
               <div className="text-xs text-base-content/60">
-                in {new Date(searchProgress.currentYear, searchProgress.currentMonth - 1).toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}
+                in {formatMonthYear(new Date(searchProgress.currentYear, searchProgress.currentMonth - 1), dateLocalisation)}
                 {searchProgress.attemptNumber > 1 && (
                   <span className="ml-1">(attempt {searchProgress.attemptNumber})</span>
                 )}
@@ -757,7 +749,7 @@ function EventCard({ event, onDateClick, onAvailabilityUpdate, languageStrings,
                 </button>
                 
                 <span className="text-sm font-semibold text-base-content">
-                  {new Date(viewedYear, viewedMonth - 1).toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}
+                  {formatMonthYear(new Date(viewedYear, viewedMonth - 1), dateLocalisation)}
                 </span>
                 
                 <button
@@ -783,7 +775,7 @@ function EventCard({ event, onDateClick, onAvailabilityUpdate, languageStrings,
                 {languageStrings.availableDates || 'Available Dates'} ({availableDates.length})
                 {viewedYear && viewedMonth && !eventSpansMultipleMonths && (
                   <span className="ml-2 text-xs font-normal text-base-content/60">
-                    ({new Date(viewedYear, viewedMonth - 1).toLocaleDateString('en-US', { month: 'long', year: 'numeric' })})
+                    ({formatMonthYear(new Date(viewedYear, viewedMonth - 1), dateLocalisation)})
                   </span>
                 )}
               </span>
@@ -827,9 +819,9 @@ function EventCard({ event, onDateClick, onAvailabilityUpdate, languageStrings,
                           : 'bg-success text-success-content hover:bg-success-focus hover:scale-105 cursor-pointer shadow-sm hover:shadow-md'
                         }
                       `}
-                      title={isPast ? languageStrings.pastDate || 'Date has passed' : `${languageStrings.clickToBook || 'Click to book'}: ${format(date, dateFormat)}`}
+                      title={isPast ? languageStrings.pastDate || 'Date has passed' : `${languageStrings.clickToBook || 'Click to book'}: ${formatShortDate(date, dateLocalisation, dateFormat)}`}
                     >
-                      {format(date, 'MMM d')}
+                      {formatDayMonth(date, dateLocalisation)}
                     </button>
                   );
                 })}
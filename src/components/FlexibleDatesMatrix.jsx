@@ -0,0 +1,200 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { addDays, startOfDay } from 'date-fns';
+import { formatDecimalTime } from '../utils/time';
+import { formatDayMonth, formatWeekdayShort } from '../utils/localeDates';
+import {
+  fetchDayAvailabilityRange,
+  getDisplayableSlots,
+  isInTimeWindow,
+  PREFERRED_TIME_WINDOWS
+} from '../utils/dayAvailability';
+
+// Range lengths offered, in days from the chosen date
+const RANGE_OPTIONS = [3, 7, 14];
+
+/**
+ * FlexibleDatesMatrix - "Flexible dates" view for guests comparing several
+ * days at once. Fetches day-avail for each day in the range (a few at a
+ * time, through the day-avail cache) and shows a day × time grid; picking
+ * a cell loads that date and time into the normal time-selection flow.
+ */
+const FlexibleDatesMatrix = ({
+  est,
+  covers,
+  startDate,
+  bookingWindow,
+  appConfig,
+  baseApiUrl,
+  onSelect,
+  languageStrings,
+  timeFormat,
+  dateLocalisation,
+}) => {
+  const [rangeDays, setRangeDays] = useState(7);
+  const [windowKey, setWindowKey] = useState('any');
+  const [days, setDays] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  // Bumped by "Try again" to re-fetch the range (failed days aren't cached)
+  const [attempt, setAttempt] = useState(0);
+
+  const startKey = startDate ? startDate.toDateString() : '';
+  useEffect(() => {
+    if (!startDate || !covers) return;
+
+    const controller = new AbortController();
+    const first = startOfDay(startDate);
+    const dates = Array.from({ length: rangeDays }, (_, index) => addDays(first, index))
+      .filter((date) => !bookingWindow?.maxDate || date <= bookingWindow.maxDate);
+
+    setIsLoading(true);
+    fetchDayAvailabilityRange({ est, dates, covers, baseApiUrl, signal: controller.signal })
+      .then((results) => {
+        if (!controller.signal.aborted) setDays(results);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setIsLoading(false);
+      });
+
+    // A newer range / party size supersedes this one
+    return () => controller.abort();
+  }, [est, covers, startKey, rangeDays, baseApiUrl, bookingWindow?.maxDate, attempt]);
+
+  // Rows of time → slot, plus the union of times as columns
+  const { rows, columns } = useMemo(() => {
+    const timeWindow = PREFERRED_TIME_WINDOWS.find((entry) => entry.key === windowKey);
+    const allTimes = new Set();
+    const gridRows = days.map(({ date, data, error }) => {
+      const slotsByTime = new Map();
+      if (data) {
+        getDisplayableSlots(data, appConfig)
+          .filter(({ time }) => isInTimeWindow(time, timeWindow))
+          .forEach((slot) => {
+            // First shift offering a time wins, as in the shift list
+            if (!slotsByTime.has(slot.time)) slotsByTime.set(slot.time, slot);
+            allTimes.add(slot.time);
+          });
+      }
+      return { date, error, slotsByTime };
+    });
+    return { rows: gridRows, columns: Array.from(allTimes).sort((a, b) => a - b) };
+  }, [days, windowKey, appConfig]);
+
+  // Without any times to show, failed days would otherwise read as "no availability"
+  const failedRows = rows.filter((row) => row.error);
+
+  return (
+    <div className="mt-6 p-4 border border-base-300 rounded-lg shadow-sm bg-base-100 space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <h4 className="text-lg font-semibold text-base-content mr-auto">
+          {languageStrings?.flexTitle || 'Flexible dates'}
+        </h4>
+        <select
+          className="select select-bordered select-sm"
+          value={rangeDays}
+          onChange={(e) => setRangeDays(Number(e.target.value))}
+          aria-label={languageStrings?.flexRange || 'Date range'}
+        >
+          {RANGE_OPTIONS.map((count) => (
+            <option key={count} value={count}>
+              {(languageStrings?.flexRangeDays || '{count} days').replace('{count}', count)}
+            </option>
+          ))}
+        </select>
+        <select
+          className="select select-bordered select-sm"
+          value={windowKey}
+          onChange={(e) => setWindowKey(e.target.value)}
+          aria-label={languageStrings?.nextAvailPreferredTime || 'Preferred time'}
+        >
+          {PREFERRED_TIME_WINDOWS.map((entry) => (
+            <option key={entry.key} value={entry.key}>
+              {languageStrings?.[entry.labelKey] || entry.fallback}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {isLoading && (
+        <div className="flex items-center gap-2 text-sm text-primary">
+          <span className="loading loading-spinner loading-sm"></span>
+          {languageStrings?.loading || 'Loading availability...'}
+        </div>
+      )}
+
+      {!isLoading && rows.length > 0 && columns.length === 0 && failedRows.length === 0 && (
+        <p className="text-sm text-base-content/70">
+          {languageStrings?.flexNone || 'No times available on these dates for your party size.'}
+        </p>
+      )}
+
+      {!isLoading && columns.length === 0 && failedRows.length > 0 && (
+        <div className="space-y-2">
+          <ul className="text-sm space-y-1">
+            {failedRows.map(({ date }) => (
+              <li key={date.toDateString()}>
+                <span className="font-semibold">
+                  {formatWeekdayShort(date, dateLocalisation)} {formatDayMonth(date, dateLocalisation)}:
+                </span>{' '}
+                <span className="text-error">{languageStrings?.flexDayError || "Couldn't load this day"}</span>
+              </li>
+            ))}
+          </ul>
+          <button type="button" className="btn btn-sm btn-outline" onClick={() => setAttempt((count) => count + 1)}>
+            {languageStrings?.errRetry || 'Try again'}
+          </button>
+        </div>
+      )}
+
+      {!isLoading && columns.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="table table-xs">
+            <thead>
+              <tr>
+                <th className="sticky left-0 bg-base-100"></th>
+                {columns.map((time) => (
+                  <th key={time} className="text-center whitespace-nowrap">{formatDecimalTime(time, timeFormat)}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(({ date, error, slotsByTime }) => (
+                <tr key={date.toDateString()}>
+                  <th className="sticky left-0 bg-base-100 whitespace-nowrap">
+                    {formatWeekdayShort(date, dateLocalisation)} {formatDayMonth(date, dateLocalisation)}
+                  </th>
+                  {error ? (
+                    <td colSpan={columns.length} className="text-xs text-error">
+                      {languageStrings?.flexDayError || "Couldn't load this day"}
+                    </td>
+                  ) : (
+                    columns.map((time) => {
+                      const slot = slotsByTime.get(time);
+                      return (
+                        <td key={time} className="text-center p-0.5">
+                          {slot ? (
+                            <button
+                              type="button"
+                              onClick={() => onSelect({ ...slot, date })}
+                              title={slot.shift.name}
+                              className="time-btn w-full px-1.5 py-1 text-xs font-medium rounded bg-primary text-primary-content hover:bg-primary focus:outline-none focus:ring-2 focus:ring-primary focus:ring-opacity-50 transition-colors"
+                            >
+                              {formatDecimalTime(time, timeFormat)}
+                            </button>
+                          ) : (
+                            <span className="text-base-content/30" aria-hidden="true">–</span>
+                          )}
+                        </td>
+                      );
+                    })
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FlexibleDatesMatrix;
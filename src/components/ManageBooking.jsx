@@ -0,0 +1,344 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { format } from 'date-fns';
+import GuestSelector from './guestSelector';
+import ReactCalendarPicker from './ReactCalendarPicker';
+import { useManageBooking } from '../hooks/booking';
+import { formatDecimalTime } from '../utils/time';
+import { fetchDayAvailability, getDisplayableSlots } from '../utils/dayAvailability';
+import { fetchMonthAvailability } from '../utils/monthAvailability';
+import { getUnbookableDates } from '../utils/availabilityAdapters';
+import { getBookingWindow } from '../utils/bookingWindow';
+import { getDateLocalisation, formatSummaryDate } from '../utils/localeDates';
+import { getMoneyFormat, formatMoney } from '../utils/money';
+import { getBookingLanguage } from '../i18n';
+
+/**
+ * ManageBooking - Manage-my-booking mode (`?manage=<uid>&created=<ts>`).
+ * Shows an existing booking and lets the guest move it to another date,
+ * time or party size, or cancel it. Changes use the same month-avail and
+ * day-avail fetches as the booking form, then the hold/update pipeline
+ * against the existing booking UID.
+ */
+const ManageBooking = ({ appConfig, est, request, baseApiUrl }) => {
+  const lng = appConfig?.lng || {};
+  const {
+    loadBooking,
+    modifyBooking,
+    cancelBooking,
+    booking,
+    deposit,
+    isLoading,
+    isSubmitting
+  } = useManageBooking(baseApiUrl, est);
+
+  const [loadError, setLoadError] = useState(null);
+  const [actionError, setActionError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [mode, setMode] = useState('view'); // 'view' | 'edit' | 'confirmCancel'
+
+  // Edit form state
+  const [newDate, setNewDate] = useState(null);
+  const [newCovers, setNewCovers] = useState('');
+  const [newTime, setNewTime] = useState(null);
+  const [slotTimes, setSlotTimes] = useState([]);
+  const [isSlotsLoading, setIsSlotsLoading] = useState(false);
+  // Month shown in the change calendar and its unbookable dates, per `covers|yyyy-m`
+  const [calendarMonth, setCalendarMonth] = useState(null);
+  const [closedDatesByMonth, setClosedDatesByMonth] = useState({});
+
+  const dateLocalisation = useMemo(() => getDateLocalisation(appConfig), [appConfig]);
+  const bookingWindow = useMemo(() => getBookingWindow(appConfig), [appConfig]);
+  const moneyFormat = useMemo(
+    () => getMoneyFormat(appConfig, deposit?.currency),
+    [appConfig, deposit]
+  );
+  const language = getBookingLanguage(appConfig);
+  const hasDeposit = deposit?.type === 'deposit';
+
+  useEffect(() => {
+    loadBooking(request).catch(() => {
+      setLoadError(lng.manageNotFound || "We couldn't find this booking. Please check the link in your confirmation email.");
+    });
+    // Load once per manage link
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [request.uid, request.created]);
+
+  // Re-run day-avail whenever the guest picks a new date or party size
+  useEffect(() => {
+    const covers = parseInt(newCovers, 10);
+    if (mode !== 'edit' || !newDate || !covers) {
+      setSlotTimes([]);
+      return;
+    }
+
+    const controller = new AbortController();
+    const fetchSlots = async () => {
+      setIsSlotsLoading(true);
+      setNewTime(null);
+      try {
+        const data = await fetchDayAvailability(est, newDate, covers, baseApiUrl, { signal: controller.signal });
+        // Event sittings need menu selection – those changes stay with the venue
+        const times = getDisplayableSlots(data, appConfig)
+          .filter(({ shift }) => shift.type !== 'Event')
+          .map(({ time }) => time);
+        if (!controller.signal.aborted) setSlotTimes([...new Set(times)].sort((a, b) => a - b));
+      } catch (error) {
+        if (error?.name === 'AbortError') return;
+        console.error('Failed to fetch availability for booking change:', error);
+        setSlotTimes([]);
+      } finally {
+        if (!controller.signal.aborted) setIsSlotsLoading(false);
+      }
+    };
+    fetchSlots();
+    return () => controller.abort();
+  }, [mode, newDate, newCovers, baseApiUrl, est, appConfig]);
+
+  // Load month-avail for the shown month so closed and full dates can't be picked
+  const monthCovers = parseInt(newCovers, 10) || booking?.covers || 0;
+  useEffect(() => {
+    if (mode !== 'edit' || !calendarMonth || !monthCovers) return;
+    const { year, month } = calendarMonth;
+    const key = `${monthCovers}|${year}-${month}`;
+    if (closedDatesByMonth[key]) return;
+
+    const controller = new AbortController();
+    fetchMonthAvailability(est, year, month, baseApiUrl, monthCovers, { signal: controller.signal })
+      .then((monthAvailability) => {
+        setClosedDatesByMonth((previous) => ({ ...previous, [key]: getUnbookableDates(monthAvailability) }));
+      })
+      .catch((error) => {
+        // Without month data every date stays selectable; day-avail still has the final say
+        if (error?.name !== 'AbortError') console.error('Failed to fetch month availability for booking change:', error);
+      });
+    return () => controller.abort();
+    // closedDatesByMonth only short-circuits months already loaded
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [mode, calendarMonth, monthCovers, baseApiUrl, est]);
+
+  const disabledDates = useMemo(
+    () => Object.entries(closedDatesByMonth)
+      .filter(([key]) => key.startsWith(`${monthCovers}|`))
+      .flatMap(([, dates]) => dates),
+    [closedDatesByMonth, monthCovers]
+  );
+
+  const startEdit = () => {
+    setNotice(null);
+    setActionError(null);
+    setNewDate(booking?.date || null);
+    setNewCovers(booking?.covers || '');
+    setNewTime(null);
+    const shown = booking?.date || new Date();
+    setCalendarMonth({ year: shown.getFullYear(), month: shown.getMonth() + 1 });
+    setMode('edit');
+  };
+
+  const handleSaveChanges = async () => {
+    const covers = parseInt(newCovers, 10);
+    if (!newDate || !covers || newTime === null) return;
+    setActionError(null);
+    try {
+      await modifyBooking({
+        date: format(newDate, 'yyyy-MM-dd'),
+        dateObj: newDate,
+        time: newTime,
+        covers,
+        lng: language
+      });
+      setMode('view');
+      setNotice(lng.manageUpdated || 'Your booking has been updated.');
+    } catch (error) {
+      setActionError(error.code === 'CARD_REQUIRED'
+        ? (lng.manageCardRequired || 'This change needs card details. Please contact us to make it.')
+        : (lng.manageUpdateError || "We couldn't change your booking. Please try another time or contact us."));
+    }
+  };
+
+  const handleConfirmCancel = async () => {
+    setActionError(null);
+    try {
+      await cancelBooking(language);
+      setMode('view');
+      setNotice(lng.manageCancelled || 'Your booking has been cancelled.');
+    } catch (error) {
+      setActionError(lng.manageCancelError || "We couldn't cancel your booking. Please contact us.");
+    }
+  };
+
+  const renderDepositNotice = () => {
+    if (!deposit?.type || booking?.cancelled) return null;
+    const amount = deposit.total > 0 ? formatMoney(deposit.total, moneyFormat) : '';
+    const message = deposit.type === 'deposit'
+      ? (lng.manageDepositTaken || 'A deposit of {{amount}} was paid for this booking. Cancelling may mean the deposit is kept under our cancellation policy. Please contact us about refunds.')
+      : (lng.manageNoShowCard || 'A card is held for this booking. A no-show fee of {{amount}} may apply if you do not attend or cancel.');
+    return (
+      <div className="p-3 rounded-md bg-warning/10 border border-warning text-sm" role="note">
+        {message.replace('{{amount}}', amount)}
+      </div>
+    );
+  };
+
+  if (isLoading || (!booking && !loadError)) {
+    return (
+      <div className="p-2 w-full max-w-[1000px] mx-auto bg-base-100 shadow-xl rounded-lg space-y-6 text-center">
+        <div className="animate-spin rounded-full h-16 w-16 border-t-4 border-b-4 border-primary mx-auto"></div>
+        <p className="text-xl text-primary mt-4">{lng.loading || 'Loading...'}</p>
+      </div>
+    );
+  }
+
+  if (loadError) {
+    return (
+      <div className="p-6 w-full max-w-[1000px] mx-auto bg-error/10 shadow-xl rounded-lg space-y-4 text-center border border-error">
+        <h2 className="text-2xl font-bold text-error">{lng.manageTitle || 'Manage your booking'}</h2>
+        <p className="text-error">{loadError}</p>
+      </div>
+    );
+  }
+
+  const guestsLabel = lng.guests || 'Guests';
+  const canSaveChanges = !!newDate && parseInt(newCovers, 10) > 0 && newTime !== null && !isSubmitting;
+
+  return (
+    <div className="p-4 w-full max-w-[1000px] mx-auto bg-base-100 shadow-xl rounded-lg space-y-6">
+      <h1 className="text-2xl font-bold text-center text-base-content">
+        {(lng.manageTitleAt || 'Your booking at {{venue}}').replace('{{venue}}', appConfig?.estFull || est)}
+      </h1>
+
+      {/* Booking summary */}
+      <div className="p-4 rounded-lg border border-base-300 bg-base-100 shadow space-y-2 max-w-[600px] mx-auto">
+        {booking.name && (
+          <p><span className="font-medium">{lng.manageNameLabel || 'Name'}:</span> {booking.name}</p>
+        )}
+        <p>
+          <span className="font-medium">{lng.date || 'Date'}:</span>{' '}
+          {booking.date ? formatSummaryDate(booking.date, dateLocalisation) : '—'}
+        </p>
+        <p>
+          <span className="font-medium">{lng.time || 'Time'}:</span>{' '}
+          {typeof booking.time === 'number' ? formatDecimalTime(booking.time, appConfig?.timeFormat) : '—'}
+        </p>
+        <p><span className="font-medium">{guestsLabel}:</span> {booking.covers || '—'}</p>
+        <p className="text-sm text-base-content/60">
+          {lng.manageReference || 'Booking reference'}: {booking.uid}
+        </p>
+        {booking.cancelled && (
+          <p className="font-semibold text-error">{lng.manageStatusCancelled || 'This booking is cancelled.'}</p>
+        )}
+      </div>
+
+      <div className="max-w-[600px] mx-auto space-y-4">
+        {renderDepositNotice()}
+
+        {notice && (
+          <div className="p-3 rounded-md bg-success/10 border border-success text-success" role="status">{notice}</div>
+        )}
+        {actionError && (
+          <div className="p-3 rounded-md bg-error/10 border border-error text-error" role="alert">{actionError}</div>
+        )}
+
+        {!booking.cancelled && mode === 'view' && (
+          <div className="flex flex-wrap justify-center gap-3">
+            <button type="button" className="btn btn-primary" onClick={startEdit}>
+              {lng.manageChangeButton || 'Change booking'}
+            </button>
+            <button type="button" className="btn btn-outline btn-error" onClick={() => { setNotice(null); setMode('confirmCancel'); }}>
+              {lng.manageCancelButton || 'Cancel booking'}
+            </button>
+          </div>
+        )}
+
+        {mode === 'confirmCancel' && (
+          <div className="p-4 rounded-lg border border-error bg-base-100 space-y-3 text-center">
+            <p>{lng.manageCancelConfirm || 'Are you sure you want to cancel this booking?'}</p>
+            {hasDeposit && (
+              <p className="text-sm text-warning">
+                {lng.manageCancelDepositWarning || 'Your deposit may not be refunded.'}
+              </p>
+            )}
+            <div className="flex justify-center gap-3">
+              <button type="button" className="btn btn-error" onClick={handleConfirmCancel} disabled={isSubmitting}>
+                {isSubmitting ? (lng.manageWorking || 'Please wait...') : (lng.manageCancelYes || 'Yes, cancel it')}
+              </button>
+              <button type="button" className="btn btn-ghost" onClick={() => setMode('view')} disabled={isSubmitting}>
+                {lng.manageKeepBooking || 'Keep my booking'}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {mode === 'edit' && (
+          <div className="p-4 rounded-lg border border-base-300 bg-base-100 shadow space-y-4">
+            <h2 className="text-lg font-semibold">{lng.manageChangeTitle || 'Change your booking'}</h2>
+
+            <div className="flex justify-center">
+              {hasDeposit ? (
+                // Deposits are charged per guest – a new party size needs a new payment
+                <p className="text-sm text-base-content/70">
+                  {guestsLabel}: {booking.covers}. {lng.manageDepositCoversLocked || 'To change the party size on a booking with a deposit, please contact us.'}
+                </p>
+              ) : (
+                <GuestSelector
+                  value={newCovers}
+                  onChange={setNewCovers}
+                  minGuests={appConfig?.partyMin || 1}
+                  maxGuests={appConfig?.partyMax || 10}
+                  guestLabel={lng.guest}
+                  guestsLabel={guestsLabel}
+                  forLargerMessage={appConfig?.ForLarger}
+                />
+              )}
+            </div>
+
+            <div className="rounded-lg shadow bg-base-100 border border-base-300">
+              <ReactCalendarPicker
+                date={newDate ?? new Date()}
+                onChange={(dates) => setNewDate(dates?.[0] || null)}
+                onMonthChange={(_selected, _dateStr, { currentYear, currentMonth }) =>
+                  setCalendarMonth({ year: currentYear, month: currentMonth + 1 })}
+                disabledDates={disabledDates}
+                dateFormat={appConfig?.dateFormat}
+                minDate={bookingWindow.minDate}
+                maxDate={bookingWindow.maxDate}
+                dateLocalisation={dateLocalisation}
+              />
+            </div>
+
+            {isSlotsLoading ? (
+              <p className="text-center text-primary">{lng.loading || 'Loading...'}</p>
+            ) : slotTimes.length > 0 ? (
+              <div className="flex flex-wrap justify-center gap-2">
+                {slotTimes.map((time) => (
+                  <button
+                    key={time}
+                    type="button"
+                    className={`btn btn-sm ${newTime === time ? 'btn-primary' : 'btn-outline'}`}
+                    onClick={() => setNewTime(time)}
+                  >
+                    {formatDecimalTime(time, appConfig?.timeFormat)}
+                  </button>
+                ))}
+              </div>
+            ) : newDate && newCovers ? (
+              <p className="text-center text-sm text-base-content/70 italic">
+                {lng.manageNoTimes || 'No times are available for this date and party size.'}
+              </p>
+            ) : null}
+
+            <div className="flex justify-center gap-3">
+              <button type="button" className="btn btn-primary" onClick={handleSaveChanges} disabled={!canSaveChanges}>
+                {isSubmitting ? (lng.manageWorking || 'Please wait...') : (lng.manageSaveButton || 'Confirm change')}
+              </button>
+              <button type="button" className="btn btn-ghost" onClick={() => setMode('view')} disabled={isSubmitting}>
+                {lng.manageBackButton || 'Back'}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ManageBooking;
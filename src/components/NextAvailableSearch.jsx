@@ -0,0 +1,122 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { formatDecimalTime } from '../utils/time';
+import { formatSummaryDate } from '../utils/localeDates';
+import { findNextAvailable } from '../utils/nextAvailable';
+import { PREFERRED_TIME_WINDOWS } from '../utils/dayAvailability';
+
+/**
+ * NextAvailableSearch - "Find next available" action shown when the chosen
+ * date has no bookable times. Scans forward for the party size (optionally
+ * within a preferred time window) and lists the nearest slots; picking one
+ * loads that date and time into the booking flow.
+ */
+const NextAvailableSearch = ({
+  est,
+  covers,
+  fromDate,
+  bookingWindow,
+  appConfig,
+  baseApiUrl,
+  onSelect,
+  languageStrings,
+  timeFormat,
+  dateLocalisation,
+}) => {
+  const [windowKey, setWindowKey] = useState('any');
+  const [results, setResults] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+  const [error, setError] = useState(null);
+  // Bumped on every new search / input change so late responses are dropped
+  const searchIdRef = useRef(0);
+
+  // A different date or party size makes earlier results stale
+  const fromKey = fromDate ? fromDate.toDateString() : '';
+  useEffect(() => {
+    searchIdRef.current += 1;
+    setResults(null);
+    setError(null);
+    setIsSearching(false);
+  }, [fromKey, covers, est]);
+
+  const handleSearch = async () => {
+    const searchId = ++searchIdRef.current;
+    const timeWindow = PREFERRED_TIME_WINDOWS.find((entry) => entry.key === windowKey);
+    setIsSearching(true);
+    setError(null);
+    setResults(null);
+    try {
+      const found = await findNextAvailable({
+        est,
+        covers,
+        fromDate,
+        bookingWindow,
+        appConfig,
+        baseApiUrl,
+        timeWindow: timeWindow && timeWindow.key !== 'any' ? timeWindow : null,
+        isCancelled: () => searchIdRef.current !== searchId
+      });
+      if (searchIdRef.current === searchId) setResults(found);
+    } catch (err) {
+      console.error('Next-available search failed:', err);
+      if (searchIdRef.current === searchId) {
+        setError(languageStrings?.nextAvailError || "We couldn't search for other dates. Please try again.");
+      }
+    } finally {
+      if (searchIdRef.current === searchId) setIsSearching(false);
+    }
+  };
+
+  return (
+    <div className="mt-6 p-4 border border-base-300 rounded-lg shadow-sm bg-base-100 space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          className="select select-bordered select-sm"
+          value={windowKey}
+          onChange={(e) => setWindowKey(e.target.value)}
+          aria-label={languageStrings?.nextAvailPreferredTime || 'Preferred time'}
+          disabled={isSearching}
+        >
+          {PREFERRED_TIME_WINDOWS.map((entry) => (
+            <option key={entry.key} value={entry.key}>
+              {languageStrings?.[entry.labelKey] || entry.fallback}
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          className="btn btn-primary btn-sm"
+          onClick={handleSearch}
+          disabled={isSearching}
+        >
+          {isSearching && <span className="loading loading-spinner loading-xs"></span>}
+          {languageStrings?.nextAvailButton || 'Find next available'}
+        </button>
+      </div>
+
+      {error && <p className="text-sm text-error">{error}</p>}
+
+      {results && results.length === 0 && (
+        <p className="text-sm text-base-content/70">
+          {languageStrings?.nextAvailNone || 'No availability found in our booking window for this party size.'}
+        </p>
+      )}
+
+      {results && results.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {results.map((option) => (
+            <button
+              key={`${option.date.toDateString()}-${option.shift.uid || option.shift.name}-${option.time}`}
+              type="button"
+              onClick={() => onSelect(option)}
+              className="time-btn px-3 py-1.5 text-sm font-medium rounded-md bg-primary text-primary-content hover:bg-primary focus:outline-none focus:ring-2 focus:ring-primary focus:ring-opacity-50 transition-colors"
+            >
+              {formatSummaryDate(option.date, dateLocalisation)} · {option.shift.name} · {formatDecimalTime(option.time, timeFormat)}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NextAvailableSearch;
@@ -3,6 +3,9 @@ import Calendar from 'react-calendar';
 import 'react-calendar/dist/Calendar.css';
 // Override specific default styles (removes fixed width & border)
 import './calendar-override.css';
+import { formatWeekdayShort, formatMonthYear } from '../utils/localeDates';
+import { getCalendarDayKey } from '../utils/calendarDays';
+import CalendarDayInfo, { getDayStateLabel } from './CalendarDayInfo';
 
 /**
  * ReactCalendarPicker - A modern React calendar component using react-calendar
@@ -15,8 +18,21 @@ const ReactCalendarPicker = ({
   eventDates = [], // NEW: Array of event dates to highlight
   onMonthChange,
   dateFormat,
-  disablePast = true
+  disablePast = true,
+  minDate = null, // First bookable date (booking window); disablePast still applies
+  maxDate = null, // Last bookable date (venue `horizon`/`days`); caps navigation
+  dateLocalisation = null, // From getDateLocalisation – localised day/month names
+  dayStates = null, // From buildCalendarDayStates – per-day state, closure message and hours
+  languageStrings = null,
+  timeFormat,
+  onDateHover = null // Called with a bookable tile's date on hover / focus (for prefetching)
 }) => {
+  // Month currently shown, so the legend / closure notes follow navigation
+  const [activeMonth, setActiveMonth] = useState(() => {
+    const shown = date || new Date();
+    return new Date(shown.getFullYear(), shown.getMonth(), 1);
+  });
+
   // Track when component renders for debugging
   useEffect(() => {
     console.log(
@@ -46,10 +62,16 @@ const ReactCalendarPicker = ({
     // Only apply to month view
     if (view !== 'month') return false;
 
-    // Disable past dates if required
+    // Disable past dates if required, and dates outside the booking window
     if (disablePast && date < new Date().setHours(0, 0, 0, 0)) {
       return true;
     }
+    if (minDate && date < minDate) {
+      return true;
+    }
+    if (maxDate && date > maxDate) {
+      return true;
+    }
 
     // Check if date is in disabledDates array
     return disabledDates.some(disabledDate => {
@@ -75,11 +97,42 @@ const ReactCalendarPicker = ({
       );
     });
 
-    return isEvent ? 'event-date' : null;
+    const classes = [];
+    if (isEvent) classes.push('event-date');
+    const dayState = dayStates?.[getCalendarDayKey(date)];
+    if (dayState) classes.push(`day-${dayState.state}`);
+    return classes.length ? classes.join(' ') : null;
+  };
+
+  // Screen-reader text for the day state (disabled tiles can't show a tooltip).
+  // `data-date` lets hover / focus handlers tell which day a tile is.
+  const tileContent = ({ date, view }) => {
+    if (view !== 'month') return null;
+    const key = getCalendarDayKey(date);
+    const dayState = dayStates?.[key];
+    return (
+      <span className="sr-only" data-date={key}>
+        {dayState ? getDayStateLabel(dayState.state, languageStrings) : ''}
+      </span>
+    );
+  };
+
+  // Delegated hover / focus on enabled tiles
+  const handleTileHover = (event) => {
+    if (!onDateHover) return;
+    const tile = event.target.closest?.('.react-calendar__tile');
+    if (!tile || tile.disabled) return;
+    const key = tile.querySelector('[data-date]')?.getAttribute('data-date');
+    if (!key) return;
+    const [year, month, day] = key.split('-').map(Number);
+    onDateHover(new Date(year, month - 1, day));
   };
 
   // Handle month navigation
   const handleActiveStartDateChange = ({ activeStartDate, view }) => {
+    if (view === 'month') {
+      setActiveMonth(activeStartDate);
+    }
     if (view === 'month' && onMonthChange) {
       console.groupCollapsed(
         `%c[ReactCalendar] onMonthChange fired – yr:${activeStartDate.getFullYear()} m:${activeStartDate.getMonth() + 1}`,
@@ -105,6 +158,23 @@ const ReactCalendarPicker = ({
     }
   };
 
+  // Localised day / month names and week start. English without config
+  // names keeps react-calendar's defaults.
+  const localisationProps = {};
+  if (dateLocalisation) {
+    const isNonEnglish = dateLocalisation.locale && dateLocalisation.locale !== 'en';
+    if (isNonEnglish) localisationProps.locale = dateLocalisation.locale;
+    if (dateLocalisation.startSun !== null && dateLocalisation.startSun !== undefined) {
+      localisationProps.calendarType = dateLocalisation.startSun ? 'gregory' : 'iso8601';
+    }
+    if (isNonEnglish || dateLocalisation.weekDays) {
+      localisationProps.formatShortWeekday = (_, d) => formatWeekdayShort(d, dateLocalisation);
+    }
+    if (isNonEnglish || dateLocalisation.months) {
+      localisationProps.formatMonthYear = (_, d) => formatMonthYear(d, dateLocalisation);
+    }
+  }
+
   // Handle date selection
   const handleDateChange = (newDate) => {
     if (onChange) {
@@ -121,13 +191,22 @@ const ReactCalendarPicker = ({
         – flex justify-center→ keeps the calendar centred within the wrapper
         – md:block           → reverts to normal block layout from the md breakpoint up
       */}
-      <div className="react-calendar-wrapper mx-auto flex justify-center md:block">
+      <div
+        className="react-calendar-wrapper mx-auto flex justify-center md:block"
+        onMouseOver={handleTileHover}
+        onFocus={handleTileHover}
+      >
       <Calendar
         value={date}
         onChange={handleDateChange}
         onActiveStartDateChange={handleActiveStartDateChange}
         tileDisabled={tileDisabled}
         tileClassName={tileClassName} // NEW: Add custom classes for event dates
+        tileContent={tileContent}
+        /* Cap month navigation to the booking window */
+        minDate={minDate || undefined}
+        maxDate={maxDate || undefined}
+        {...localisationProps}
         minDetail="month"
         maxDetail="month"
         /* Remove year-jump navigation (<< and >>) */
@@ -137,6 +216,16 @@ const ReactCalendarPicker = ({
         className="react-calendar-custom"
       />
       </div>
+      {dayStates && (
+        <CalendarDayInfo
+          dayStates={dayStates}
+          activeMonth={activeMonth}
+          selectedDate={date}
+          languageStrings={languageStrings}
+          timeFormat={timeFormat}
+          dateLocalisation={dateLocalisation}
+        />
+      )}
     </>
   );
 };
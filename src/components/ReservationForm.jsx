@@ -10,6 +10,8 @@ import GuestSelector from "./guestSelector";
 import ReactCalendarPicker from "./ReactCalendarPicker";
 import { format } from 'date-fns';
 import { loadAppConfig } from "../config/configLoader"; // Import the config loader
+import { LIVE_CONFIG_KEYS } from "../config/configCache";
+import { applyEmbedOptions, filterShiftsByType } from "../utils/embedOptions";
 import { formatDecimalTime } from "../utils/time"; // Import the utility function
 import { useDebounce } from "../hooks/useDebounce"; // Import the custom hook
 import AddonSelection from "./AddonSelection"; // Import the new component
@@ -31,8 +33,8 @@ import { BookingDetailsModal } from "./booking";
 // Month availability utilities
 import {
   fetchMonthAvailability,
-  parseClosedDatesFromMonthResponse,
-  defaultCoversForMonthAvail
+  getMonthAvailCovers,
+  getMonthAvailCacheKey
 } from "../utils/monthAvailability";
 // Import calculateTotalAddonCost from chargeDetection.js
 import { calculateTotalAddonCost } from "../utils/chargeDetection";
@@ -40,34 +42,105 @@ import { calculateTotalAddonCost } from "../utils/chargeDetection";
 import EventCarousel from "./EventCarousel";
 import { generateDateRange } from "../utils/dateConversion";
 import { findEventUsageFromConfig } from "../utils/eventUsageFallback";
+// One model for every month-avail / day-avail response variant
+import {
+  getUnbookableDates,
+  getSlotAddons,
+  getSlotUsage,
+  getSlotEventId
+} from "../utils/availabilityAdapters";
+import { buildCalendarDayStates } from "../utils/calendarDays";
+// Sister-restaurant fallback when the chosen venue is full
+import SisterVenueSuggestions from "./SisterVenueSuggestions";
+import NextAvailableSearch from "./NextAvailableSearch";
+import FlexibleDatesMatrix from "./FlexibleDatesMatrix";
+import {
+  parseSisterList,
+  fetchSistersAvailability
+} from "../utils/sisterAvailability";
+// Post-confirmation thank-you redirect (thankURL / redirect config)
+import {
+  getThankYouRedirect,
+  buildThankYouUrl,
+  performThankYouRedirect
+} from "../utils/redirect";
+// Booking horizon and slot-step rules from config
+import { getBookingWindow } from "../utils/bookingWindow";
+import { fetchDayAvailability, getBookableTimes, isDisplayableSlot } from "../utils/dayAvailability";
+import { clearAvailabilityCache, createLatestRequest, isAbortError } from "../utils/availabilityRequests";
+import { prefetchDay, prefetchMonths, runWhenIdle } from "../utils/prefetch";
+// Localised calendar / date-summary text
+import { getDateLocalisation, formatSummaryDate, formatShortDate } from "../utils/localeDates";
+// Language code sent with holds and updates
+import { getBookingLanguage } from "../i18n";
+// Currency-aware price formatting
+import { getMoneyFormat, getCurrencyCode } from "../utils/money";
+// Standby (waitlist) requests on full dates
+import StandbyRequest from "./StandbyRequest";
+import { getStandbyEligibility, getStandbyWindowOptions } from "../utils/standby";
+// Manage-my-booking mode (?manage=<uid>&created=<ts>)
+import ManageBooking from "./ManageBooking";
+import { getManageRequest } from "../utils/manageBooking";
+// Optional step-by-step layout (?layout=wizard / data-layout)
+import { WizardProgress, WizardReview } from "./wizard";
+import { LAYOUTS, WIZARD_STEPS, getRequestedLayout } from "../utils/layout";
+// Public EveveWidget API: events out to the host page, open/setTheme commands in
+import { WIDGET_EVENTS, emitWidgetEvent, onWidgetCommand } from "../utils/embedBridge";
+import { normalizeBookingRequest, getPrefillRequest, findRequestedSlot, findRequestedArea } from "../utils/bookingRequest";
+import { setWidgetTheme } from "../utils/themeUtils";
+// Typed booking errors: localised messages, recovery actions, booking-error events
+import {
+  BOOKING_ERROR_TYPES,
+  createBookingError,
+  classifyBookingError,
+  describeBookingError,
+  reportBookingError
+} from "../utils/bookingErrors";
+import BookingErrorNotice from "./BookingErrorNotice";
+// Funnel analytics (GTM dataLayer / GA4 / host page)
+import {
+  FUNNEL_EVENTS,
+  trackFunnelEvent,
+  updateFunnelContext,
+  setAnalyticsConsent,
+  centsToValue
+} from "../utils/analytics";
 
 /*  normalizeHold is now executed inside useHoldBooking.
     No additional normalization required in this component. */
 
 export default function ReservationForm() {
-  const EFFECTIVE_CURRENCY_SYMBOL = '$'; // Hardcoded currency symbol
-  
   // Ref to prevent multiple config loads
   const configLoadedRef = useRef(false);
 
   const urlParams = new URLSearchParams(window.location.search);
   // Read est from URL first; fallback to inline embed globals/attributes
-  let est = urlParams.get("est");
-  if (!est && typeof window !== 'undefined') {
+  let initialEst = urlParams.get("est");
+  if (!initialEst && typeof window !== 'undefined') {
     const embedCfg = window.__EVEVE_EMBED || {};
-    est = embedCfg.est || embedCfg.restaurant || est;
-    if (!est && window.__EVEVE_INLINE_ROOT_ID) {
+    initialEst = embedCfg.est || embedCfg.restaurant || initialEst;
+    if (!initialEst && window.__EVEVE_INLINE_ROOT_ID) {
       const rootEl = document.getElementById(window.__EVEVE_INLINE_ROOT_ID);
       if (rootEl) {
         const cont = rootEl.closest('[data-restaurant],[data-est]');
         if (cont) {
-          est = cont.getAttribute('data-restaurant') || cont.getAttribute('data-est') || est;
+          initialEst = cont.getAttribute('data-restaurant') || cont.getAttribute('data-est') || initialEst;
         }
       }
     }
   }
+  // The active establishment is state so the flow can be re-targeted at a
+  // sister venue when the chosen one is full.
+  const [est, setEst] = useState(initialEst);
   // Toggle developer debug features with ?debug=true in the URL
   const debugMode = urlParams.get("debug") === "true";
+  // Guests following the manage link from their confirmation see their booking instead of the form
+  const manageRequest = useMemo(() => getManageRequest(), []);
+  // Wizard layout: index into WIZARD_STEPS, mirrored into browser history
+  const isWizard = useMemo(() => getRequestedLayout() === LAYOUTS.WIZARD, []);
+  const [wizardStep, setWizardStep] = useState(0);
+  const maxWizardStepRef = useRef(0);
+  const formTopRef = useRef(null);
 
   /* ------------------------------------------------------------------
      Treat date as "unset" on initial load so the GuestSelector container
@@ -85,7 +158,7 @@ export default function ReservationForm() {
 
   const [availabilityData, setAvailabilityData] = useState(null);
   const [isLoading, setIsLoading] = useState(false); // For availability loading
-  const [apiError, setApiError] = useState(null); // For availability API errors
+  const [apiError, setApiError] = useState(null); // Availability failure (tagged Error, see bookingErrors.js) or "nothing available" text
 
   // State for accordion: stores UID or index of the expanded shift
   const [expandedShiftIdentifier, setExpandedShiftIdentifier] = useState(null);
@@ -115,6 +188,26 @@ export default function ReservationForm() {
     bookingSuccess: false
   });
 
+  // --- Sister-venue fallback state ---
+  const [sisterSuggestions, setSisterSuggestions] = useState([]);
+  const [isSisterLoading, setIsSisterLoading] = useState(false);
+  // Slot to auto-select once day-avail arrives – `{ time, shift, area }` from a
+  // sister venue card, a deep link or EveveWidget.open
+  const pendingSelectionRef = useRef(null);
+  // Area a deep link / data-default-area / open() asked for, preselected whenever the
+  // guest picks a time that offers it
+  const requestedAreaRef = useRef(null);
+  // Shown when a requested time turns out not to be bookable
+  const [requestedSlotNotice, setRequestedSlotNotice] = useState(null);
+  // Flexible-dates view: day × time grid across several days
+  const [isFlexibleView, setIsFlexibleView] = useState(false);
+
+  // --- Thank-you redirect state ---
+  const [pendingRedirectUrl, setPendingRedirectUrl] = useState(null);
+  const redirectTimerRef = useRef(null);
+  // Deposit charged during this booking (cents), passed to the thank-you page
+  const paidAmountRef = useRef(0);
+
   // State for the proceed button
   const [proceedButtonState, setProceedButtonState] = useState({
     text: appConfig?.lng?.selectTimePrompt || "Select a Time to Proceed", // Initial state
@@ -129,7 +222,9 @@ export default function ReservationForm() {
   ------------------------------------------------------------------ */
   // Initialize booking hooks
   const baseApiUrl = appConfig?.dapi || "https://nz6.eveve.com";
-  const { holdBooking, isLoading: isHoldLoading, error: holdError, holdData, clearHoldData } = useHoldBooking(baseApiUrl);
+  const { holdBooking, releaseHold, isLoading: isHoldLoading, error: holdError, holdData, clearHoldData } = useHoldBooking(baseApiUrl);
+  // UID of the hold already released, so expiry + close don't release twice
+  const releasedHoldUidRef = useRef(null);
   const { updateHold, isLoading: isUpdateLoading, error: updateError } = useUpdateHold(baseApiUrl);
 
   const areaAnyAllowed =
@@ -138,24 +233,92 @@ export default function ReservationForm() {
   // -----------------------------------------------------------
   // Month-availability state
   // -----------------------------------------------------------
-  // 1) Map monthKey → array of closed Date objects
+  // Month availability depends on party size, so everything below is kept per covers
+  // 1) Map covers → monthKey → array of closed Date objects
   const [monthClosedDates, setMonthClosedDates] = useState({});
-  // 2) Cache of monthKeys we have already fetched
+  // 1b) Map covers → monthKey → normalised month-avail days (state, hours, closure message)
+  const [monthDays, setMonthDays] = useState({});
+  // 2) Cache of `monthKey@covers` keys we have already fetched
   const [fetchedMonths, setFetchedMonths] = useState(() => new Set());
+  // Mirror for callbacks that deliberately don't re-create on every cached month
+  const fetchedMonthsRef = useRef(fetchedMonths);
+  fetchedMonthsRef.current = fetchedMonths;
+  // Covers to fetch month availability for (chosen guests, else the default)
+  const monthCovers = getMonthAvailCovers(guests);
+  const monthCoversRef = useRef(monthCovers);
+  monthCoversRef.current = monthCovers;
+  // Covers the calendar is showing – only switched once that party size's month has loaded
+  const [displayedMonthCovers, setDisplayedMonthCovers] = useState(monthCovers);
+  // Month the calendar is showing ({ year, month } with 1-based month)
+  const [visibleMonth, setVisibleMonth] = useState(null);
   // 3) Loading flag limited to month-availability calls
   const [isMonthAvailLoading, setIsMonthAvailLoading] = useState(false);
-  // Flag to suppress re-entrant onMonthChange while React state updates render
-  const isUpdatingMonthDataRef = useRef(false);
   // Track if we've fetched the very first month already
   const initialMonthFetchedRef = useRef(false);
-  // Prevent concurrent month-availability fetches
-  const monthFetchInProgressRef = useRef(false);
+  // Latest-wins month navigation: moving on aborts the previous month's fetch
+  const monthRequestRef = useRef(createLatestRequest());
+
+  // Cache one month's availability for a party size
+  const storeMonthAvailability = (covers, monthKey, monthAvailability) => {
+    setMonthClosedDates((prev) => ({
+      ...prev,
+      [covers]: { ...prev[covers], [monthKey]: getUnbookableDates(monthAvailability) }
+    }));
+    setMonthDays((prev) => ({
+      ...prev,
+      [covers]: { ...prev[covers], [monthKey]: monthAvailability.days }
+    }));
+    setFetchedMonths((prev) => {
+      const next = new Set(prev);
+      next.add(getMonthAvailCacheKey(monthAvailability.year, monthAvailability.month, covers));
+      return next;
+    });
+  };
+
+  // Helper function to decide whether a time button is shown for a shift
+  // (blocked times never; Event shifts all times; others only times on the slot step)
+  const isDisplayableTime = (shift, timeObj) => isDisplayableSlot(shift, timeObj, appConfig);
+
+  // "1 Guest" / "4 Guests" in the active language
+  const formatGuestCount = (count) =>
+    (parseInt(count, 10) === 1
+      ? (appConfig?.lng?.guestCountOne || '{{count}} Guest')
+      : (appConfig?.lng?.guestCountOther || '{{count}} Guests')
+    ).replace('{{count}}', count);
 
   // Helper function to check if a shift has available times
   const hasAvailableTimes = (shift) => {
-    return shift.times && shift.times.some(timeObj => {
-      const timeValue = typeof timeObj === 'object' ? timeObj.time : timeObj;
-      return timeValue >= 0;
+    return shift.times && shift.times.some(timeObj => isDisplayableTime(shift, timeObj));
+  };
+
+  // A cached config renders first; its background revalidation lands here.
+  // Calendar-affecting changes (party size, events, booking window), endpoint and
+  // contact changes (dapi, estPhone, …) and a new tmsVersion are swapped in now;
+  // anything else waits for the next load.
+  const configEstRef = useRef(null);
+  // A revalidation that lands before the cached copy reaches setAppConfig waits
+  // here, so the stale copy can't overwrite it
+  const configAppliedRef = useRef(false);
+  const pendingRevalidationRef = useRef(null);
+  const applyRevalidatedConfig = (configEst, freshConfig, change) => {
+    if (configEst !== configEstRef.current) return; // switched to a sister venue meanwhile
+    if (!configAppliedRef.current) {
+      pendingRevalidationRef.current = { configEst, freshConfig, change };
+      return;
+    }
+    const { changedKeys, tmsVersionChanged } = change;
+    if (!tmsVersionChanged && !changedKeys.some((key) => LIVE_CONFIG_KEYS.includes(key))) return;
+
+    console.log('Applying revalidated config:', changedKeys);
+    const config = applyEmbedOptions(freshConfig);
+    setAppConfig(config);
+
+    // A party size the venue no longer takes online goes back to the placeholder
+    const partyMin = parseInt(config.partyMin, 10) || 1;
+    const partyMax = parseInt(config.partyMax, 10) || Infinity;
+    setGuests((current) => {
+      const numericGuests = parseInt(current, 10);
+      return numericGuests < partyMin || numericGuests > partyMax ? '' : current;
     });
   };
 
@@ -180,8 +343,18 @@ export default function ReservationForm() {
         setConfigError(null);
         console.log(`Loading app configuration for est=${est}`);
         
-        const config = await loadAppConfig(est);
+        configEstRef.current = est;
+        configAppliedRef.current = false;
+        pendingRevalidationRef.current = null;
+        // Embedder options (data-* / ?option=) narrow the venue's own config
+        const config = applyEmbedOptions(await loadAppConfig(est, {
+          onRevalidated: (freshConfig, change) => applyRevalidatedConfig(est, freshConfig, change)
+        }));
         setAppConfig(config);
+        configAppliedRef.current = true;
+        const pending = pendingRevalidationRef.current;
+        pendingRevalidationRef.current = null;
+        if (pending) applyRevalidatedConfig(pending.configEst, pending.freshConfig, pending.change);
         console.log("App Config Loaded:", config); // For verification
 
         if (config && !config.estFull) {
@@ -232,9 +405,11 @@ export default function ReservationForm() {
       const currentYear = now.getFullYear();
       const currentMonth = now.getMonth() + 1; // 1-based month
       const monthKey = `${currentYear}-${String(currentMonth).padStart(2, "0")}`;
+      const covers = monthCoversRef.current;
+      setVisibleMonth((prev) => prev || { year: currentYear, month: currentMonth });
       
       // Skip if we already have this month's data
-      if (fetchedMonths.has(monthKey)) {
+      if (fetchedMonths.has(getMonthAvailCacheKey(currentYear, currentMonth, covers))) {
         console.log(`Month availability for ${monthKey} already cached, skipping fetch`);
         return;
       }
@@ -247,32 +422,20 @@ export default function ReservationForm() {
         console.log(`Fetching initial month availability for current month: ${monthKey}`);
         setIsMonthAvailLoading(true);
         
-        const monthData = await fetchMonthAvailability(
+        const monthAvailability = await fetchMonthAvailability(
           est,
           currentYear,
           currentMonth,
-          appConfig.dapi || "https://nz.eveve.com"
+          appConfig.dapi || "https://nz.eveve.com",
+          covers
         );
         
-        if (monthData) {
-          const closedDatesArr = parseClosedDatesFromMonthResponse(
-            monthData,
-            currentYear,
-            currentMonth
-          );
-          console.log(
-            `Found ${closedDatesArr.length} closed dates for ${monthKey}`
-          );
-          // Cache month's closed dates
-          setMonthClosedDates((prev) => ({ ...prev, [monthKey]: closedDatesArr }));
-          
-          // Add to fetched months cache
-          setFetchedMonths(prev => {
-            const next = new Set(prev);
-            next.add(monthKey);
-            return next;
-          });
-        }
+        console.log(
+          `Found ${getUnbookableDates(monthAvailability).length} closed dates for ${monthKey} (${covers} covers)`
+        );
+        // Cache month's closed dates and days
+        storeMonthAvailability(covers, monthKey, monthAvailability);
+        setDisplayedMonthCovers(covers);
       } catch (err) {
         console.error(`Error fetching month availability for ${monthKey}:`, err);
       } finally {
@@ -295,65 +458,55 @@ export default function ReservationForm() {
       console.groupEnd();
       return;
     }
-    // Avoid overlaps
-    if (monthFetchInProgressRef.current || isUpdatingMonthDataRef.current) {
-      console.log("%cOverlap or React update in progress – aborting", "color:red");
-      console.groupEnd();
-      return;
-    }
+    // Remember the shown month even when we skip the fetch: a guest change re-fetches it and prefetch looks ahead from it
+    setVisibleMonth({ year: instance.currentYear, month: instance.currentMonth + 1 });
     
     const year = instance.currentYear;
     const monthZeroBased = instance.currentMonth; // flatpickr 0-based
     const month = monthZeroBased + 1;
     const monthKey = `${year}-${String(month).padStart(2, "0")}`;
+    const covers = monthCoversRef.current;
 
-    // Skip if we already have this month's data
-    if (fetchedMonths.has(monthKey)) {
+    // Skip if we already have this month's data (and drop any fetch for a month we've left)
+    if (fetchedMonthsRef.current.has(getMonthAvailCacheKey(year, month, covers))) {
       console.log(`Month availability for ${monthKey} already cached, skipping fetch`);
+      monthRequestRef.current.abort();
+      setIsMonthAvailLoading(false);
+      console.groupEnd();
       return;
     }
 
     try {
       console.log(`User navigated to new month: ${monthKey}, fetching availability`);
       setIsMonthAvailLoading(true);
-      isUpdatingMonthDataRef.current = true;        // suppress re-entrant calls
-      monthFetchInProgressRef.current = true;
       
-      const monthData = await fetchMonthAvailability(
+      const monthAvailability = await monthRequestRef.current.run((signal) => fetchMonthAvailability(
         est,
         year,
         month,
-        appConfig.dapi || "https://nz.eveve.com"
-      );
+        appConfig.dapi || "https://nz.eveve.com",
+        covers,
+        { signal }
+      ));
       
-      if (monthData) {
-        const newClosed = parseClosedDatesFromMonthResponse(
-          monthData,
-          year,
-          month
-        );
-        console.log(`Found ${newClosed.length} closed dates for ${monthKey}`);
-        // Cache without triggering immediate calendar re-render loops
-        console.log("%cCaching closed dates & month key (startTransition)", "color:blue");
-        startTransition(() => {
-          console.log("%c→ setMonthClosedDates", "color:blue");
-          setMonthClosedDates((prev) => ({ ...prev, [monthKey]: newClosed }));
-          console.log("%c→ setFetchedMonths", "color:blue");
-          setFetchedMonths((prev) => {
-            const next = new Set(prev);
-            next.add(monthKey);
-            return next;
-        });
-
-        });
-      }
+      const newClosed = getUnbookableDates(monthAvailability);
+      console.log(`Found ${newClosed.length} closed dates for ${monthKey} (${covers} covers)`);
+      // Cache without triggering immediate calendar re-render loops
+      console.log("%cCaching closed dates & month key (startTransition)", "color:blue");
+      startTransition(() => {
+        console.log("%c→ storeMonthAvailability", "color:blue");
+        storeMonthAvailability(covers, monthKey, monthAvailability);
+      });
+      setIsMonthAvailLoading(false);
     } catch (err) {
-      console.error(`Error fetching month availability for ${monthKey}:`, err);
+      if (isAbortError(err)) {
+        // The guest moved on to another month; that navigation owns the loading flag now
+        console.log(`Month availability for ${monthKey} superseded`);
+      } else {
+        console.error(`Error fetching month availability for ${monthKey}:`, err);
+        setIsMonthAvailLoading(false);
+      }
     } finally {
-      console.timeEnd(`[monthFetch] ${monthKey}`);
-      setIsMonthAvailLoading(false);
-      monthFetchInProgressRef.current = false;
-      isUpdatingMonthDataRef.current = false;       // re-enable callback
       console.groupEnd();
     }
   // eslint-disable-next-line react-hooks/exhaustive-deps
@@ -366,24 +519,153 @@ export default function ReservationForm() {
        array.  Including it would create a new handleMonthChange
        reference every time we cache a month, which causes react-calendar
        to re-initialise and emit an extra onActiveStartDateChange event.
-       The internal refs (monthFetchInProgressRef, fetchedMonths Set)
-       are sufficient for correctness and prevent duplicate calls.
+       fetchedMonthsRef plus the latest-wins month request are
+       sufficient for correctness and prevent duplicate calls.
     ----------------------------------------------------------- */
   ]);
 
+  // -----------------------------------------------------------
+  // Idle-time prefetch of the next months
+  // -----------------------------------------------------------
+  // Warm the two months after the one shown (within the booking window) so
+  // navigating forward is instant. Prefetches share a request budget.
+  useEffect(() => {
+    const visible = visibleMonth;
+    if (!appConfig || configError || !est || !visible) return;
+
+    const controller = new AbortController();
+    const covers = monthCoversRef.current;
+    const cancelIdle = runWhenIdle(() => {
+      prefetchMonths({
+        est,
+        year: visible.year,
+        month: visible.month,
+        count: 2,
+        covers,
+        baseApiUrl: appConfig.dapi || "https://nz.eveve.com",
+        maxDate: bookingWindow.maxDate,
+        signal: controller.signal
+      })
+        .then((months) => {
+          const fresh = months.filter((m) => !fetchedMonthsRef.current.has(getMonthAvailCacheKey(m.year, m.month, covers)));
+          if (fresh.length === 0 || controller.signal.aborted) return;
+          startTransition(() => {
+            fresh.forEach((m) => storeMonthAvailability(covers, `${m.year}-${String(m.month).padStart(2, "0")}`, m));
+          });
+        })
+        .catch((err) => {
+          if (!isAbortError(err)) console.log('Month prefetch skipped:', err.message);
+        });
+    });
+
+    return () => {
+      cancelIdle();
+      controller.abort();
+    };
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [visibleMonth?.year, visibleMonth?.month, monthCovers, appConfig, configError, est]);
+
+  // Speculative day-avail prefetch for a hovered / focused date tile, after a
+  // short hover-intent delay so sweeping across the calendar doesn't fire requests
+  const hoverPrefetchRef = useRef({ key: null, timer: null });
+  const handleDateHover = (date) => {
+    const numericGuests = parseInt(guests, 10);
+    if (!appConfig || isNaN(numericGuests) || numericGuests < 1) return;
+    if (selectedDate && format(selectedDate, 'yyyy-MM-dd') === format(date, 'yyyy-MM-dd')) return;
+    const key = `${format(date, 'yyyy-MM-dd')}@${numericGuests}`;
+    if (hoverPrefetchRef.current.key === key) return;
+
+    clearTimeout(hoverPrefetchRef.current.timer);
+    hoverPrefetchRef.current = {
+      key,
+      timer: setTimeout(() => {
+        prefetchDay({ est, date, covers: numericGuests, baseApiUrl: appConfig.dapi || "https://nz6.eveve.com" });
+      }, 150)
+    };
+  };
+  useEffect(() => () => clearTimeout(hoverPrefetchRef.current.timer), []);
+
+  // -----------------------------------------------------------
+  // Re-fetch the shown month when the party size changes
+  // -----------------------------------------------------------
+  // Dates open for two can be full for ten. The calendar keeps showing the
+  // previous party size's tiles (and the selected date) until the new
+  // month arrives, then switches over in one go. If every fetch fails it
+  // stays on the previous size rather than showing an empty month.
+  const lastMonthCoversRef = useRef(monthCovers);
+  useEffect(() => {
+    if (lastMonthCoversRef.current === monthCovers) return;
+    lastMonthCoversRef.current = monthCovers;
+    if (!appConfig || configError || !initialMonthFetchedRef.current) return;
+
+    const months = [visibleMonth];
+    if (selectedDate) months.push({ year: selectedDate.getFullYear(), month: selectedDate.getMonth() + 1 });
+    const toFetch = months
+      .filter(Boolean)
+      .filter((entry, index, all) => all.findIndex((other) => other.year === entry.year && other.month === entry.month) === index)
+      .filter(({ year, month }) => !fetchedMonths.has(getMonthAvailCacheKey(year, month, monthCovers)));
+
+    if (toFetch.length === 0) {
+      setDisplayedMonthCovers(monthCovers);
+      return;
+    }
+
+    const covers = monthCovers;
+    setIsMonthAvailLoading(true);
+    Promise.all(toFetch.map(async ({ year, month }) => {
+      const monthKey = `${year}-${String(month).padStart(2, "0")}`;
+      try {
+        const monthAvailability = await fetchMonthAvailability(
+          est,
+          year,
+          month,
+          appConfig.dapi || "https://nz.eveve.com",
+          covers
+        );
+        storeMonthAvailability(covers, monthKey, monthAvailability);
+        return true;
+      } catch (err) {
+        console.error(`Error fetching month availability for ${monthKey} (${covers} covers):`, err);
+        return false;
+      }
+    })).then((stored) => {
+      setIsMonthAvailLoading(false);
+      // A later guest change wins; its own fetch switches the calendar over
+      if (monthCoversRef.current === covers && stored.some(Boolean)) {
+        startTransition(() => setDisplayedMonthCovers(covers));
+      }
+    });
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [monthCovers]);
+
   /* ------------------------------------------------------------------
      Derive flat array of disabled dates for ReactCalendarPicker whenever
      monthClosedDates changes. useMemo prevents unnecessary re-renders.
   ------------------------------------------------------------------ */
   const disabledDates = useMemo(
     () =>
-      Object.values(monthClosedDates).reduce(
+      Object.values(monthClosedDates[displayedMonthCovers] || {}).reduce(
         (all, arr) => all.concat(arr),
         []
       ),
-    [monthClosedDates]
+    [monthClosedDates, displayedMonthCovers]
+  );
+
+  // Per-day calendar states (open / limited / event-only / closed) with hours and closure reasons
+  const calendarDayStates = useMemo(
+    () => buildCalendarDayStates(Object.values(monthDays[displayedMonthCovers] || {}).flat(), appConfig),
+    [monthDays, displayedMonthCovers, appConfig]
   );
 
+  // Currency / locale used for every displayed price
+  const moneyFormat = useMemo(() => getMoneyFormat(appConfig), [appConfig]);
+
+  // Day / month names for the active locale
+  const dateLocalisation = useMemo(() => getDateLocalisation(appConfig), [appConfig]);
+
+  // First/last bookable dates from the venue's horizon / days config
+  const bookingWindow = useMemo(() => getBookingWindow(appConfig), [appConfig]);
+
   // State to track which event's actual availability is being shown on calendar
   const [currentEventAvailability, setCurrentEventAvailability] = useState({
     eventUid: null,
@@ -441,9 +723,9 @@ export default function ReservationForm() {
   ------------------------------------------------------------------ */
   useEffect(() => {
     console.log(
-      `%c[monthClosedDates] updated – months cached: ${Object.keys(monthClosedDates).join(
-        ", "
-      )}`,
+      `%c[monthClosedDates] updated – months cached: ${Object.entries(monthClosedDates)
+        .flatMap(([covers, months]) => Object.keys(months).map((monthKey) => `${monthKey}@${covers}`))
+        .join(", ")}`,
       "color:purple;font-weight:bold"
     );
   }, [monthClosedDates]);
@@ -468,6 +750,8 @@ export default function ReservationForm() {
       setAvailableAreas([]);
       setSelectedArea(null);
       setSelectedAreaName(null);
+      setRequestedSlotNotice(null);
+      trackFunnelEvent(FUNNEL_EVENTS.DATE_SELECTED, { date: format(dates[0], 'yyyy-MM-dd') });
     }
   };
 
@@ -486,9 +770,15 @@ export default function ReservationForm() {
     
     // Track the selected event for special handling 
     setSelectedEvent(event);
+    setRequestedSlotNotice(null);
     
     // Close the EventCarousel after event date selection
     setIsEventCarouselExpanded(false);
+    trackFunnelEvent(FUNNEL_EVENTS.DATE_SELECTED, {
+      date: format(date, 'yyyy-MM-dd'),
+      eventUid: event.uid,
+      eventName: event.name
+    });
     
     // Log event information for debugging
     console.log('Event date selected:', {
@@ -517,8 +807,16 @@ export default function ReservationForm() {
     setAvailabilityData(null);
     setApiError(null);
     setShowDateTimePicker(true); // Show pickers when guests change
+    setRequestedSlotNotice(null);
+    const numericGuests = parseInt(newGuestValue, 10);
+    if (numericGuests > 0) {
+      trackFunnelEvent(FUNNEL_EVENTS.GUESTS_SET, { covers: numericGuests });
+    }
   };
 
+  // Latest-wins day-avail request (see fetchAvailability)
+  const dayRequestRef = useRef(createLatestRequest());
+
   const fetchAvailability = useCallback(async (date, numGuests) => {
     if (!date || typeof numGuests !== 'number' || numGuests < 1 || !appConfig) {
       setAvailabilityData(null);
@@ -529,21 +827,17 @@ export default function ReservationForm() {
 
     setIsLoading(true);
     setApiError(null);
-    const formattedDate = format(date, 'yyyy-MM-dd');
 
     // Use dapi from config if available, otherwise fallback to hardcoded domain
     const baseApiUrl = appConfig.dapi || "https://nz6.eveve.com";
-    const apiUrl = `${baseApiUrl}/web/day-avail?est=${est}&covers=${numGuests}&date=${formattedDate}`;
-    console.log(`Fetching: ${apiUrl}`);
+    let superseded = false;
 
     try {
-      const response = await fetch(apiUrl);
-      if (!response.ok) {
-         const errorText = await response.text();
-         console.error("API Error Response Text:", errorText);
-        throw new Error(appConfig?.lng?.noAvailRange || `No availability or error fetching data. Status: ${response.status}.`);
-      }
-      const data = await response.json();
+      // Latest wins: a newer date / party size aborts this request, so an older
+      // response can never overwrite the newer one
+      const data = filterShiftsByType(await dayRequestRef.current.run((signal) =>
+        fetchDayAvailability(est, date, numGuests, baseApiUrl, { signal })
+      ), appConfig);
       setAvailabilityData(data);
 
       // Accordion logic: set default expanded shift identifier (UID or index)
@@ -568,16 +862,7 @@ export default function ReservationForm() {
             }
             
             // Method 3: Check if any time in this shift has the event ID
-            if (shift.times && Array.isArray(shift.times)) {
-              return shift.times.some(timeObj => {
-                if (typeof timeObj === 'object' && timeObj.event === selectedEvent.uid) {
-                  return true;
-                }
-                return false;
-              });
-            }
-            
-            return false;
+            return shift.times.some(timeObj => timeObj.event === selectedEvent.uid);
           });
           
           if (eventShiftIndex !== -1) {
@@ -621,18 +906,29 @@ export default function ReservationForm() {
         setShowDateTimePicker(true); // Show pickers if no availability
       }
     } catch (error) {
+      if (isAbortError(error)) {
+        superseded = true;
+        return;
+      }
       console.error("Error fetching availability:", error);
-      setApiError(error.message || (appConfig?.lng?.eventPax || "Failed to fetch availability. Please check your connection or try again."));
+      // A malformed response is a fault on our side – it classifies as `unknown`, the log has the details
+      const bookingError = classifyBookingError(error);
+      reportBookingError(bookingError, { est, source: 'availability', appConfig });
+      setApiError(bookingError);
       setAvailabilityData(null);
       setShowDateTimePicker(true); // Show pickers on error
     } finally {
-      setIsLoading(false);
+      // A superseded request leaves the loading state to the one that replaced it
+      if (!superseded) setIsLoading(false);
     }
   }, [est, appConfig, selectedEvent]);
 
-  const [debouncedFetchAvailability, clearDebouncedFetchAvailability] = useDebounce(fetchAvailability, 1500);
+  // Requests are cancellable, so the debounce only needs to batch rapid clicks / typing
+  const [debouncedFetchAvailability, clearDebouncedFetchAvailability] = useDebounce(fetchAvailability, 300);
 
   useEffect(() => {
+    // Whatever is in flight is for the previous date / party size
+    dayRequestRef.current.abort();
     const numericGuests = parseInt(guests, 10);
     if (selectedDate && !isNaN(numericGuests) && numericGuests > 0) {
       debouncedFetchAvailability(selectedDate, numericGuests);
@@ -673,7 +969,7 @@ export default function ReservationForm() {
     }
     if (resolvedShiftIndex === -1) {
       resolvedShiftIndex = availabilityData.shifts.findIndex((s) =>
-        (s.times || []).some((t) => (typeof t === 'object' ? t.time : t) === selectedTime)
+        s.times.some((t) => t.time === selectedTime)
       );
     }
 
@@ -686,14 +982,14 @@ export default function ReservationForm() {
     }
 
     const newShift = availabilityData.shifts[resolvedShiftIndex];
-    const timeObj = (newShift.times || []).find((t) => (typeof t === 'object' ? t.time : t) === selectedTime);
+    const timeObj = newShift.times.find((t) => t.time === selectedTime);
 
     // Derive addons and usage policy prioritising time-level overrides
-    const rawAddons = (typeof timeObj === 'object' && timeObj?.addons) ? timeObj.addons : (newShift?.addons || []);
-    const processedAddons = (rawAddons || []).map((addon, index) => ({ ...addon, originalIndexInShift: index }));
+    const rawAddons = getSlotAddons(newShift, timeObj);
+    const processedAddons = rawAddons.map((addon, index) => ({ ...addon, originalIndexInShift: index }));
     setCurrentShiftAddons(processedAddons);
 
-    const usagePolicy = (typeof timeObj === 'object' && timeObj?.usage !== undefined) ? timeObj.usage : (newShift?.usage !== undefined ? newShift.usage : findEventUsageFromConfig(newShift, appConfig));
+    const usagePolicy = getSlotUsage(newShift, timeObj) ?? findEventUsageFromConfig(newShift, appConfig);
     setCurrentShiftUsagePolicy(usagePolicy === undefined ? null : Number(usagePolicy));
 
     // Update available areas for this time
@@ -709,15 +1005,59 @@ export default function ReservationForm() {
       ...(prev || {}),
       ...newShift,
       selectedTime,
-      addons: rawAddons || [],
+      addons: rawAddons,
       usage: usagePolicy,
       originalIndexInAvailabilityData: resolvedShiftIndex,
     }));
   }, [availabilityData, selectedShiftTime?.selectedTime]);
 
+  /* ------------------------------------------------------------------
+     SISTER-VENUE FALLBACK
+     When this venue has no bookable times for the chosen date/guests,
+     query /web/day-avail for each sister establishment and offer their
+     open slots as "Try our other venue" cards.
+  ------------------------------------------------------------------ */
+  const hasBookableAvailability = useMemo(
+    () => getBookableTimes(availabilityData).length > 0,
+    [availabilityData]
+  );
+
+  useEffect(() => {
+    const sisters = parseSisterList(appConfig, est);
+    const numericGuests = parseInt(guests, 10);
+    const hasResult = availabilityData !== null || apiError !== null;
+
+    if (isLoading || !selectedDate || isNaN(numericGuests) || !hasResult || hasBookableAvailability || sisters.length === 0) {
+      setSisterSuggestions([]);
+      setIsSisterLoading(false);
+      return;
+    }
+
+    let cancelled = false;
+    const controller = new AbortController();
+    setIsSisterLoading(true);
+    fetchSistersAvailability(sisters, selectedDate, numericGuests, appConfig?.dapi || "https://nz6.eveve.com", {
+      signal: controller.signal
+    })
+      .then((results) => {
+        if (!cancelled) setSisterSuggestions(results);
+      })
+      .finally(() => {
+        if (!cancelled) setIsSisterLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+      controller.abort();
+    };
+  }, [availabilityData, apiError, isLoading, hasBookableAvailability, selectedDate, guests, appConfig, est]);
+
   const handleTimeSelection = (shift, timeObject, shiftIndexInAvailabilityData) => {
-    // Assuming timeObject could be just the decimal time, or an object containing the time
-    const actualTime = typeof timeObject === 'object' ? timeObject.time : timeObject;
+    // timeObject is a normalised day-avail time entry ({ time, addons, usage, event })
+    const actualTime = timeObject.time;
+    setRequestedSlotNotice(null);
+    // A failed hold was for the previous time
+    setBookingState(prev => (prev.holdError ? { ...prev, holdError: null } : prev));
     console.log("Selected Shift (from availability data):", shift);
     console.log("Selected Time Object:", timeObject);
     console.log("Original index of shift in availability data:", shiftIndexInAvailabilityData);
@@ -737,29 +1077,17 @@ export default function ReservationForm() {
     // 2. Otherwise look for explicit `event` on the time object.
     // 3. Finally fall back to `shift.event` if provided.
     // --------------------------------------------------------------
-    let eventId = undefined;
-
-    if (shift?.type === "Event" && shift?.uid !== undefined) {
-      // Rule 1: Event shift – use UID
-      eventId = shift.uid;
-      console.log(`🗓️  Event booking detected – using shift UID as event ID: ${eventId}`);
-    } else {
-      // Rule 2 & 3: explicit event fields
-      eventId = (typeof timeObject === "object" && timeObject.event !== undefined)
-        ? timeObject.event
-        : (shift?.event !== undefined ? shift.event : undefined);
-
-      if (eventId !== undefined) {
-        console.log(`🗓️  Event ID found in availability data: ${eventId}`);
-      }
+    const eventId = getSlotEventId(shift, timeObject);
+    if (eventId !== undefined) {
+      console.log(`🗓️  Event booking detected – event ID: ${eventId}`);
     }
 
     setSelectedShiftTime({
       ...shift, // Spread shift properties (like name, type, uid if present)
       selectedTime: actualTime, // Add the specific time selected
       // If timeObject has its own addons/usage, prioritize them, else use shift's
-      addons: timeObject?.addons || shift?.addons || [], // These are the raw addons for this time/shift
-        usage: timeObject?.usage !== undefined ? timeObject.usage : (shift?.usage !== undefined ? shift.usage : findEventUsageFromConfig(shift, appConfig)), // Usage policy for menus
+      addons: getSlotAddons(shift, timeObject), // These are the raw addons for this time/shift
+      usage: getSlotUsage(shift, timeObject) ?? findEventUsageFromConfig(shift, appConfig), // Usage policy for menus
       originalIndexInAvailabilityData: shiftIndexInAvailabilityData // Store original index
       ,event: eventId // ← NEW: persist event id if present
     });
@@ -767,8 +1095,8 @@ export default function ReservationForm() {
     // Extract addons and usage policy from the shift or specific time slot
     // The README suggests addons and usage are typically on the shift object.
     // If a time slot can override this, timeObject might contain its own addons/usage.
-    let rawAddons = timeObject?.addons || shift?.addons || [];
-    const usagePolicyForShift = timeObject?.usage !== undefined ? timeObject.usage : (shift?.usage !== undefined ? shift.usage : findEventUsageFromConfig(shift, appConfig));
+    const rawAddons = getSlotAddons(shift, timeObject);
+    const usagePolicyForShift = getSlotUsage(shift, timeObject) ?? findEventUsageFromConfig(shift, appConfig);
 
     // Augment all addons with originalIndexInShift
     const processedAddons = rawAddons.map((addon, index) => {
@@ -800,13 +1128,262 @@ export default function ReservationForm() {
     console.log(`Found ${filteredAreas.length} areas available for time ${actualTime}:`, filteredAreas);
     setAvailableAreas(filteredAreas);
 
+    const requestedArea = findRequestedArea(filteredAreas, requestedAreaRef.current);
+    if (requestedArea === 'any') {
+      setSelectedArea('any');
+      setSelectedAreaName('Any Area');
+    } else if (requestedArea) {
+      setSelectedArea(requestedArea.uid);
+      setSelectedAreaName(requestedArea.name);
+    }
+
     // Reset any previously selected addons
     setSelectedAddons({ menus: [], options: {} }); // Reset to new structure
 
+    trackFunnelEvent(FUNNEL_EVENTS.TIME_SELECTED, {
+      date: selectedDate ? format(selectedDate, 'yyyy-MM-dd') : null,
+      time: actualTime,
+      shiftType: shift.type || null,
+      shiftName: shift.name || null,
+      value: null
+    });
+
     // Future: Scroll to addon section or make it prominent
   };
 
+  /* ------------------------------------------------------------------
+     STANDBY REQUESTS
+     Offered on full dates when the venue has standbyOnline enabled and
+     the date is not listed in noStandby.
+  ------------------------------------------------------------------ */
+  const standbyEligibility = useMemo(() => {
+    const numericGuests = parseInt(guests, 10);
+    if (!appConfig || !selectedDate || isNaN(numericGuests)) return null;
+    return getStandbyEligibility(appConfig, selectedDate, numericGuests);
+  }, [appConfig, selectedDate, guests]);
+
+  const standbyWindowOptions = useMemo(
+    () => getStandbyWindowOptions(availabilityData),
+    [availabilityData]
+  );
+
+  // Last hold attempt (regular or standby), for the "Try again" recovery action
+  const retryHoldRef = useRef(null);
+
+  const handleStandbyRequest = async (fromTime, toTime) => {
+    if (!selectedDate || !guests) return;
+
+    const numericGuests = parseInt(guests, 10);
+    const formattedDate = format(selectedDate, 'yyyy-MM-dd');
+
+    const bookingDataForHold = {
+      est,
+      lng: getBookingLanguage(appConfig),
+      covers: numericGuests,
+      date: formattedDate,
+      time: fromTime,
+      standby: true,
+      timeTo: toTime,
+    };
+
+    // No time slot/addons apply to a standby request
+    setSelectedShiftTime(null);
+    setSelectedAddons({ menus: [], options: {} });
+    setCurrentShiftAddons([]);
+
+    setBookingData({
+      ...bookingDataForHold,
+      formattedDate,
+      formattedAddons: 'None',
+      totalAddonCost: 0
+    });
+
+    retryHoldRef.current = () => handleStandbyRequest(fromTime, toTime);
+    try {
+      setBookingState(prev => ({ ...prev, isHolding: true, holdError: null }));
+      const holdResult = await holdBooking(bookingDataForHold);
+      console.log("Standby Hold Result:", holdResult);
+      setIsBookingModalOpen(true);
+    } catch (err) {
+      console.error("Error during standby hold:", err);
+      setBookingState(prev => ({ ...prev, holdError: classifyBookingError(err) }));
+    } finally {
+      setBookingState(prev => ({ ...prev, isHolding: false }));
+    }
+  };
+
+  // Re-target the whole flow (config, month availability, hold) at a sister venue
+  const handleSisterSelect = (sister, time) => {
+    console.log(`Switching booking flow to sister venue ${sister.est} at ${time}`);
+    pendingSelectionRef.current = { time };
+
+    // Force the config + month-availability effects to run again for the new est
+    configLoadedRef.current = false;
+    initialMonthFetchedRef.current = false;
+    setMonthClosedDates({});
+    setMonthDays({});
+    setDisplayedMonthCovers(monthCoversRef.current);
+    setFetchedMonths(new Set());
+
+    setAvailabilityData(null);
+    setApiError(null);
+    setSisterSuggestions([]);
+    setExpandedShiftIdentifier(null);
+    setSelectedShiftTime(null);
+    setSelectedAddons({ menus: [], options: {} });
+    setCurrentShiftAddons([]);
+    setCurrentShiftUsagePolicy(null);
+    setAvailableAreas([]);
+    setSelectedArea(null);
+    setSelectedAreaName(null);
+    setSelectedEvent(null);
+    setCurrentEventAvailability({ eventUid: null, availableDates: [] });
+    clearHoldData();
+    // Area names belong to the venue they were requested for
+    requestedAreaRef.current = null;
+
+    setEst(sister.est);
+  };
+
+  // Load a slot picked outside the time list ("Find next available", flexible
+  // dates): its date goes through the normal handler, and the slot is picked
+  // once that day-avail arrives
+  const handleSuggestedSlotSelect = (option) => {
+    const selection = { time: option.time, shift: String(option.shift.uid ?? option.shift.name) };
+    const sameDate = selectedDate && format(option.date, 'yyyy-MM-dd') === format(selectedDate, 'yyyy-MM-dd');
+    setRequestedSlotNotice(null);
+    if (sameDate && availabilityData) {
+      selectRequestedSlot(selection);
+      return;
+    }
+    pendingSelectionRef.current = selection;
+    handleDateChange([option.date]);
+  };
+
+  // Once the sister venue's config has loaded, re-run the day-avail fetch
+  useEffect(() => {
+    if (pendingSelectionRef.current === null || !appConfig) return;
+    const numericGuests = parseInt(guests, 10);
+    if (selectedDate && !isNaN(numericGuests) && numericGuests > 0) {
+      debouncedFetchAvailability(selectedDate, numericGuests);
+    }
+  }, [appConfig]);
+
+  // Select a requested slot from the current day-avail as if the guest had clicked it.
+  // Returns false (and tells the guest) when it isn't bookable.
+  const selectRequestedSlot = (selection) => {
+    const match = findRequestedSlot(availabilityData, selection);
+    if (!match) {
+      if (selection.time !== null && selection.time !== undefined) {
+        console.warn(`Requested time ${selection.time} is not available`);
+        const template = appConfig?.lng?.requestedTimeUnavailable || "{time} isn't available – please choose another time below.";
+        setRequestedSlotNotice(template.replace('{time}', formatDecimalTime(selection.time, appConfig?.timeFormat)));
+      }
+      return false;
+    }
+
+    const { slot, shiftIndex, area } = match;
+    const shift = availabilityData.shifts[shiftIndex];
+    setExpandedShiftIdentifier(shift.uid || shiftIndex);
+    if (!slot) return true; // Only a shift was asked for – open it and let the guest pick
+
+    handleTimeSelection(slot.shift, slot.timeObj, slot.shiftIndex);
+    // handleTimeSelection resets the area, so set it afterwards
+    if (area === 'any') {
+      setSelectedArea('any');
+      setSelectedAreaName('Any Area');
+    } else if (area) {
+      setSelectedArea(area.uid);
+      setSelectedAreaName(area.name);
+    }
+    return true;
+  };
+
+  // ...then auto-select the slot the guest picked on the sister card (or the link / host page asked for)
+  useEffect(() => {
+    if (pendingSelectionRef.current === null) return;
+    if (apiError) {
+      pendingSelectionRef.current = null;
+      return;
+    }
+    if (!availabilityData) return;
+
+    const selection = pendingSelectionRef.current;
+    pendingSelectionRef.current = null;
+    selectRequestedSlot(selection);
+  }, [availabilityData, apiError]);
+
+  /* ------------------------------------------------------------------
+     Requested bookings: EveveWidget.open({ date, guests, time, event,
+     area, shift }) from the host page, or a deep link on load.
+     Date and party size go through the normal handlers so availability
+     is fetched as usual; the slot is picked once that day-avail arrives.
+  ------------------------------------------------------------------ */
+  const applyBookingRequest = (rawRequest) => {
+    if (!appConfig || manageRequest) return false;
+    if (isBookingModalOpen) {
+      console.warn('[EveveWidget] open() ignored while a booking is in progress');
+      return false;
+    }
+
+    const request = normalizeBookingRequest(rawRequest, appConfig, bookingWindow);
+    const currentGuests = parseInt(guests, 10);
+    const dateChanged = !!request.date &&
+      (!selectedDate || format(request.date, 'yyyy-MM-dd') !== format(selectedDate, 'yyyy-MM-dd'));
+    const guestsChanged = !!request.guests && request.guests !== currentGuests;
+
+    if (request.event && request.date) {
+      handleEventDateSelect(request.date, request.event);
+    } else if (dateChanged) {
+      handleDateChange([request.date]);
+    }
+    // An event without a date: open the carousel so the guest can pick one of its dates
+    if (request.event && !request.date) setIsEventCarouselExpanded(true);
+    if (guestsChanged) handleGuestsChange(request.guests);
+
+    setRequestedSlotNotice(null);
+    // Kept for later time picks too, so an area-only request isn't lost
+    requestedAreaRef.current = request.area;
+    if (request.time !== null || request.shift) {
+      const selection = { time: request.time, shift: request.shift, area: request.area };
+      const refetching = dateChanged || guestsChanged || (request.event && request.date);
+      if (refetching || !availabilityData) {
+        pendingSelectionRef.current = selection;
+      } else {
+        selectRequestedSlot(selection);
+      }
+    }
+
+    if (isWizard && wizardStep !== 0) {
+      setWizardStep(0);
+      writeWizardHistory(0, true);
+    }
+    return true;
+  };
+
+  // Deep links and the embed's data-default-* attributes: apply once the venue config is in
+  const prefillAppliedRef = useRef(false);
+  useEffect(() => {
+    if (!appConfig || prefillAppliedRef.current) return;
+    prefillAppliedRef.current = true;
+    const prefill = getPrefillRequest();
+    if (prefill) {
+      console.log('Prefilling booking request:', prefill);
+      applyBookingRequest(prefill);
+    }
+  }, [appConfig]);
+
+  // Add-on change waiting to be tracked with its new value (see the funnel context effect)
+  const pendingAddonChangeRef = useRef(null);
+
   const handleAddonSelectionChange = (addonType, addonData, value, eventType, menuUsagePolicy) => {
+    // Reported once the new selection (and its value) is in the funnel context
+    pendingAddonChangeRef.current = {
+      addonType,
+      addonUid: addonData?.uid ?? null,
+      addonName: addonData?.name ?? null,
+      selection: value
+    };
     setSelectedAddons(prev => {
       const newSelected = JSON.parse(JSON.stringify(prev)); // Deep copy
 
@@ -1049,7 +1626,7 @@ export default function ReservationForm() {
 
     const bookingDataForHold = {
       est: est, // From URL params
-      lng: appConfig?.usrLang || 'en', // From appConfig
+      lng: getBookingLanguage(appConfig), // ?lang= / data-lang, else the venue's usrLang
       covers: numericGuests,
       date: formattedDate,
       time: formattedTime,
@@ -1076,17 +1653,30 @@ export default function ReservationForm() {
       totalAddonCost
     });
 
+    retryHoldRef.current = handleProceedToBooking;
     try {
       setBookingState(prev => ({ ...prev, isHolding: true, holdError: null }));
       const holdResult = await holdBooking(bookingDataForHold);
       console.log("Hold Result:", holdResult);
+      trackFunnelEvent(FUNNEL_EVENTS.HOLD_CREATED, {
+        date: formattedDate,
+        time: formattedTime,
+        area: formattedArea || null,
+        addonCost: centsToValue(totalAddonCost)
+      });
 
       // Open booking details modal after successful hold
       setIsBookingModalOpen(true);
     } catch (err) {
       console.error("Error during hold:", err);
-      setBookingState(prev => ({ ...prev, holdError: err.message }));
-      alert(appConfig?.lng?.errorHold || "Failed to hold booking. Please try again.");
+      const bookingError = classifyBookingError(err);
+      setBookingState(prev => ({ ...prev, holdError: bookingError }));
+      trackFunnelEvent(FUNNEL_EVENTS.HOLD_FAILED, {
+        date: formattedDate,
+        time: formattedTime,
+        errorType: bookingError.code,
+        message: err.message
+      });
     } finally {
       setBookingState(prev => ({ ...prev, isHolding: false }));
     }
@@ -1105,10 +1695,16 @@ export default function ReservationForm() {
       const enhancedCustomerData = {
         ...customerData,
         est,                                                    // Restaurant id (mandatory for Eveve)
-        lng: appConfig?.usrLang || "en",                        // Language (falls back to en)
+        lng: getBookingLanguage(appConfig),                     // ?lang= / data-lang, else the venue's usrLang
         addons: formatSelectedAddonsForApi(selectedAddons, parseInt(guests, 10)) || ""// Add-ons (empty string if none)
       };
 
+      // Remember what was actually charged (deposits only) for the thank-you
+      // redirect – before the update, so a failed update never releases a paid hold
+      if (customerData?.paymentAmount && customerData?.isDeposit) {
+        paidAmountRef.current = customerData.paymentAmount;
+      }
+
       // Step 1: Update the hold with customer details + extras
       const updateResult = await updateHold(holdToken, enhancedCustomerData);
       console.log("Update Result:", updateResult);
@@ -1123,14 +1719,14 @@ export default function ReservationForm() {
       console.error("Error during booking process:", err);
       setBookingState(prev => ({ 
         ...prev, 
-        updateError: prev.isUpdating ? err.message : null
+        updateError: prev.isUpdating ? classifyBookingError(err) : null
       }));
     } finally {
       setBookingState(prev => ({ ...prev, isUpdating: false }));
     }
   };
 
-  // Forward booking success to parent (for analytics) when embedded in iframe
+  // Forward booking success to the host page (analytics, EveveWidget.on)
   useEffect(() => {
     if (bookingState.bookingSuccess) {
       try {
@@ -1140,26 +1736,112 @@ export default function ReservationForm() {
           time: bookingData?.time || selectedShiftTime?.selectedTime,
           guests: parseInt(guests, 10) || bookingData?.covers,
           area: selectedAreaName || bookingData?.area,
-          currency: appConfig?.currency || 'USD'
+          currency: getCurrencyCode(moneyFormat),
+          standby: !!bookingData?.standby
         };
-        if (window.parent && window.parent !== window) {
-          window.parent.postMessage({ type: 'booking-event', eventName: 'booking-success', detail }, '*');
-        }
-        // Also emit a DOM CustomEvent inside the iframe for same-origin dev tools
-        try {
-          const ce = new CustomEvent('booking-success', { detail, bubbles: true });
-          document.dispatchEvent(ce);
-        } catch (_) {}
+        emitWidgetEvent(WIDGET_EVENTS.SUCCESS, detail);
+        trackFunnelEvent(FUNNEL_EVENTS.BOOKING_CONFIRMED, {
+          date: detail.date,
+          time: detail.time,
+          area: detail.area || null,
+          standby: detail.standby,
+          uid: holdData?.uid ?? null,
+          amountPaid: centsToValue(paidAmountRef.current)
+        });
       } catch (e) {
         // ignore
       }
+
+      // Send the guest on to the venue's thank-you page (standby requests are not bookings)
+      const redirectConfig = getThankYouRedirect(appConfig);
+      if (redirectConfig && !bookingData?.standby) {
+        const url = buildThankYouUrl(redirectConfig.url, {
+          date: bookingData?.formattedDate || bookingData?.date,
+          time: bookingData?.time,
+          covers: parseInt(guests, 10) || bookingData?.covers,
+          uid: holdData?.uid,
+          totalPaid: paidAmountRef.current
+        });
+        setPendingRedirectUrl(url);
+        redirectTimerRef.current = setTimeout(() => {
+          redirectTimerRef.current = null;
+          performThankYouRedirect(url);
+        }, redirectConfig.delayMs);
+      }
     }
   }, [bookingState.bookingSuccess]);
 
+  // Never leave a redirect timer running after unmount
+  useEffect(() => () => {
+    if (redirectTimerRef.current) clearTimeout(redirectTimerRef.current);
+  }, []);
+
+  // Give an abandoned hold back to Eveve and re-fetch the day so the slot reappears
+  const releaseHoldAndRefresh = (hold) => {
+    if (!hold?.uid || releasedHoldUidRef.current === hold.uid) return;
+    releasedHoldUidRef.current = hold.uid;
+    releaseHold(hold, est, getBookingLanguage(appConfig)).finally(() => {
+      const numericGuests = parseInt(guests, 10);
+      if (selectedDate && numericGuests > 0) {
+        fetchAvailability(selectedDate, numericGuests);
+      }
+    });
+  };
+
+  // "Need more time?" – hold the same slot again against the current hold.
+  // Eveve may answer with a new uid; the old hold is then released.
+  const handleExtendHold = async () => {
+    if (!bookingData || !holdData) throw new Error("No active hold to extend");
+    const previousHold = holdData;
+    const extended = await holdBooking({
+      ...bookingData,
+      uid: previousHold.uid,
+      created: previousHold.created,
+      extendsHold: true
+    });
+    console.log("Hold extended:", extended);
+    if (extended?.uid && extended.uid !== previousHold.uid) {
+      releaseHold(previousHold, est, getBookingLanguage(appConfig));
+    }
+    return extended;
+  };
+
+  const handleHoldExpired = (hold) => {
+    console.log("Hold expired, releasing:", hold?.uid);
+    releaseHoldAndRefresh(hold);
+  };
+
   const handleBookingModalClose = () => {
+    // Closing before confirmation abandons the hold. Once a payment has been
+    // taken the hold is left for staff to reconcile.
+    if (!bookingState.bookingSuccess && paidAmountRef.current === 0) {
+      releaseHoldAndRefresh(holdData);
+    }
+    if (!bookingState.bookingSuccess) {
+      trackFunnelEvent(FUNNEL_EVENTS.MODAL_ABANDONED, {
+        date: bookingData?.formattedDate || bookingData?.date || null,
+        time: bookingData?.time ?? null,
+        uid: holdData?.uid ?? null,
+        paymentTaken: paidAmountRef.current > 0
+      });
+    }
+
+
+    // Closing the confirmation skips the remaining redirect delay
+    if (pendingRedirectUrl) {
+      if (redirectTimerRef.current) {
+        clearTimeout(redirectTimerRef.current);
+        redirectTimerRef.current = null;
+      }
+      performThankYouRedirect(pendingRedirectUrl);
+      setPendingRedirectUrl(null);
+    }
+    paidAmountRef.current = 0;
+
     // If booking was successful, we might want to reset the form
     if (bookingState.bookingSuccess) {
-      // Reset form state for a new booking
+      // Reset form state for a new booking; the booking just made changes what's left
+      clearAvailabilityCache();
       setSelectedDate(new Date());
       setGuests('');
       setSelectedDateForSummary(null);
@@ -1414,6 +2096,195 @@ export default function ReservationForm() {
     }
   }, [selectedShiftTime, selectedAddons, guests, currentShiftAddons, appConfig, currentShiftUsagePolicy, availableAreas, selectedArea]); // Ensure all relevant dependencies
 
+  // --- Wizard layout: per-step validation ---
+  const hasDateAndGuests = !!selectedDate && parseInt(guests, 10) > 0;
+  const canLeaveDateStep = hasDateAndGuests && !isLoading && !apiError && hasBookableAvailability;
+  // proceedButtonState is derived from areAddonsValidForProceeding plus the area rules
+  const canLeaveTimeStep = canLeaveDateStep && !!selectedShiftTime?.selectedTime && !proceedButtonState.disabled;
+  const maxWizardStep = canLeaveTimeStep ? 2 : (canLeaveDateStep ? 1 : 0);
+  maxWizardStepRef.current = maxWizardStep;
+
+  const scrollToFormTop = () => {
+    try {
+      formTopRef.current?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    } catch (_) {}
+  };
+
+  const writeWizardHistory = (step, replace = false) => {
+    try {
+      const state = { ...(window.history.state || {}), eveveWizardStep: step };
+      if (replace) window.history.replaceState(state, '');
+      else window.history.pushState(state, '');
+    } catch (_) {
+      // Sandboxed frames may refuse history access – steps still work in-page
+    }
+  };
+
+  const goToWizardStep = (step) => {
+    if (step === wizardStep) return;
+    setWizardStep(step);
+    writeWizardHistory(step);
+    scrollToFormTop();
+  };
+
+  const handleWizardNext = () => {
+    if (wizardStep === 0 && canLeaveDateStep) {
+      goToWizardStep(1);
+    } else if (wizardStep === 1 && canLeaveTimeStep && areAddonsValidForProceeding().isValid) {
+      goToWizardStep(2);
+    }
+  };
+
+  const handleWizardBack = () => {
+    if (wizardStep === 0) return;
+    // Our own history entry is on top – let the browser pop it so Back/Forward stay in sync
+    if (window.history.state?.eveveWizardStep === wizardStep) {
+      window.history.back();
+    } else {
+      goToWizardStep(wizardStep - 1);
+    }
+  };
+
+  // Browser Back/Forward moves between steps (never past what is currently valid)
+  useEffect(() => {
+    if (!isWizard) return undefined;
+    writeWizardHistory(0, true);
+    const handlePopState = (event) => {
+      const requested = Number(event.state?.eveveWizardStep) || 0;
+      setWizardStep(Math.min(requested, maxWizardStepRef.current));
+      scrollToFormTop();
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [isWizard]);
+
+  // Selections cleared underneath a later step (form reset, guests emptied) send the guest back
+  useEffect(() => {
+    if (!isWizard) return;
+    let step = wizardStep;
+    if (step > 0 && !hasDateAndGuests) step = 0;
+    else if (step === 2 && !isLoading && !canLeaveTimeStep) step = 1;
+    if (step !== wizardStep) {
+      setWizardStep(step);
+      writeWizardHistory(step, true);
+    }
+  }, [isWizard, wizardStep, hasDateAndGuests, canLeaveTimeStep, isLoading]);
+
+  // --- Public EveveWidget API ---
+  // Commands arrive outside React, so route them through a ref to the latest handler
+  const widgetCommandRef = useRef(null);
+  widgetCommandRef.current = (command, payload) => {
+    switch (command) {
+      case 'open':
+        applyBookingRequest(payload);
+        break;
+      case 'setTheme':
+        setWidgetTheme(payload.theme, payload.themeCss);
+        break;
+      case 'setAnalyticsConsent':
+        setAnalyticsConsent(payload.granted);
+        break;
+      default:
+        console.warn(`[EveveWidget] Unknown command: ${command}`);
+    }
+  };
+
+  useEffect(() => onWidgetCommand((command, payload) => widgetCommandRef.current?.(command, payload)), []);
+
+  // The embeds hold back open()/setTheme() until the app reports ready
+  const widgetReadyRef = useRef(false);
+  useEffect(() => {
+    if (!appConfig || widgetReadyRef.current) return;
+    widgetReadyRef.current = true;
+    emitWidgetEvent(WIDGET_EVENTS.READY, { est, layout: isWizard ? LAYOUTS.WIZARD : LAYOUTS.PAGE });
+    trackFunnelEvent(FUNNEL_EVENTS.WIDGET_LOADED, { layout: isWizard ? LAYOUTS.WIZARD : LAYOUTS.PAGE });
+  }, [appConfig]);
+
+  // Keep the base fields of funnel events current (value = selected add-ons, in major units)
+  useEffect(() => {
+    const numericGuests = parseInt(guests, 10) || 0;
+    updateFunnelContext({
+      est,
+      covers: numericGuests || null,
+      shiftType: selectedShiftTime?.type || null,
+      value: selectedShiftTime
+        ? centsToValue(calculateTotalAddonCost(selectedAddons, currentShiftAddons, numericGuests, selectedShiftTime))
+        : null,
+      currency: getCurrencyCode(moneyFormat)
+    });
+    if (pendingAddonChangeRef.current) {
+      trackFunnelEvent(FUNNEL_EVENTS.ADDON_CHANGED, pendingAddonChangeRef.current);
+      pendingAddonChangeRef.current = null;
+    }
+  }, [est, guests, selectedShiftTime, selectedAddons, currentShiftAddons, moneyFormat]);
+
+  // Where the guest is in the flow – wizard steps, or the page-layout equivalents
+  let flowStep;
+  if (manageRequest) flowStep = 'manage';
+  else if (isBookingModalOpen) flowStep = bookingState.bookingSuccess ? 'complete' : 'details';
+  else if (isWizard) flowStep = WIZARD_STEPS[wizardStep];
+  else flowStep = availabilityData ? 'timeAddons' : 'dateGuests';
+
+  const lastFlowStepRef = useRef(null);
+  useEffect(() => {
+    if (!appConfig || lastFlowStepRef.current === flowStep) return;
+    const previousStep = lastFlowStepRef.current;
+    lastFlowStepRef.current = flowStep;
+    emitWidgetEvent(WIDGET_EVENTS.STEP_CHANGE, { est, step: flowStep, previousStep });
+  }, [flowStep, appConfig]);
+
+  // Report each new config / hold / update failure once
+  const reportedErrorsRef = useRef({});
+  useEffect(() => {
+    const errors = {
+      config: configError,
+      hold: bookingState.holdError,
+      update: bookingState.updateError
+    };
+    Object.entries(errors).forEach(([source, error]) => {
+      if (error && reportedErrorsRef.current[source] !== error) {
+        // Config failures are plain strings; anything stopping the config loading means no online booking
+        const bookingError = source === 'config'
+          ? createBookingError(BOOKING_ERROR_TYPES.CONFIG_MISSING, String(error))
+          : error;
+        reportBookingError(bookingError, { est, source, appConfig });
+      }
+      reportedErrorsRef.current[source] = error;
+    });
+  }, [configError, bookingState.holdError, bookingState.updateError]);
+
+  // --- Error recovery ---
+  // Re-runs whichever hold (regular or standby) failed last
+  const handleRetryHold = () => {
+    setBookingState(prev => ({ ...prev, holdError: null }));
+    retryHoldRef.current?.();
+  };
+
+  // The slot went while the guest was deciding: drop it and reload the day without the cache
+  const handlePickAnotherTime = () => {
+    setBookingState(prev => ({ ...prev, holdError: null }));
+    setSelectedShiftTime(null);
+    setSelectedAddons({ menus: [], options: {} });
+    setCurrentShiftAddons([]);
+    setAvailableAreas([]);
+    setSelectedArea(null);
+    setSelectedAreaName(null);
+    clearAvailabilityCache();
+    const numericGuests = parseInt(guests, 10);
+    if (selectedDate && numericGuests > 0) fetchAvailability(selectedDate, numericGuests);
+  };
+
+  const holdErrorNotice = bookingState.holdError && (
+    <BookingErrorNotice
+      error={describeBookingError(bookingState.holdError, appConfig)}
+      onRetry={handleRetryHold}
+      onPickAnotherTime={handlePickAnotherTime}
+      phone={appConfig?.estPhone}
+      languageStrings={appConfig?.lng}
+      className="mt-4 text-left"
+    />
+  );
+
 
   if (isConfigLoading) {
     return (
@@ -1432,7 +2303,10 @@ export default function ReservationForm() {
         <h2 className="text-2xl font-bold text-error">
           {appConfig?.lng?.errorB || 'Configuration Error'}
         </h2>
-        <p className="text-error">{configError}</p>
+        <p className="text-error">
+          {describeBookingError(createBookingError(BOOKING_ERROR_TYPES.CONFIG_MISSING, configError), appConfig).message}
+        </p>
+        {debugMode && <p className="text-xs font-mono text-base-content/60">{configError}</p>}
         <p className="text-sm text-base-content/60">
           {appConfig?.lng?.invPhone || 'Please ensure the \'est\' parameter in the URL is correct or try again later.'}
         </p>
@@ -1440,14 +2314,41 @@ export default function ReservationForm() {
     );
   }
 
+  if (manageRequest) {
+    return (
+      <ManageBooking
+        appConfig={appConfig}
+        est={est}
+        request={manageRequest}
+        baseApiUrl={baseApiUrl}
+      />
+    );
+  }
+
   // Render form only if config is loaded and no errors
   return (
-    <div className="p-4 w-full max-w-[1000px] mx-auto bg-base-100 shadow-xl rounded-lg space-y-6">
+    <div ref={formTopRef} className="p-4 w-full max-w-[1000px] mx-auto bg-base-100 shadow-xl rounded-lg space-y-6">
       <h1 className="text-2xl font-bold text-center text-base-content">
-        {appConfig?.lng?.makeBookingAtTitlePrefix || "Make a Booking at "}{appConfig.estFull}
+        {appConfig.embedOptions?.heading
+          ? appConfig.embedOptions.heading.replace('{estFull}', appConfig.estFull)
+          : <>{appConfig?.lng?.makeBookingAtTitlePrefix || "Make a Booking at "}{appConfig.estFull}</>}
       </h1>
 
-      {showDateTimePicker && (
+      {isWizard && (
+        <WizardProgress
+          steps={[
+            { key: WIZARD_STEPS[0], label: appConfig?.lng?.wizardStepDateGuests || 'Date & Guests' },
+            { key: WIZARD_STEPS[1], label: appConfig?.lng?.wizardStepTimeAddons || 'Time & Add-ons' },
+            { key: WIZARD_STEPS[2], label: appConfig?.lng?.wizardStepReview || 'Review' }
+          ]}
+          currentStep={wizardStep}
+          maxReachableStep={maxWizardStep}
+          onStepClick={goToWizardStep}
+          languageStrings={appConfig?.lng}
+        />
+      )}
+
+      {(isWizard ? wizardStep === 0 : showDateTimePicker) && (
         <div className="flex flex-col items-center gap-6">
           {/* Calendar – full width */}
           <div className="flex justify-center w-full">
@@ -1461,9 +2362,16 @@ export default function ReservationForm() {
                 onChange={handleDateChange}
                 dateFormat={appConfig?.dateFormat} // Pass dateFormat from config
                 disablePast={true} // Pass disablePast from config
+                minDate={bookingWindow.minDate}
+                maxDate={bookingWindow.maxDate}
+                dateLocalisation={dateLocalisation}
                 disabledDates={disabledDates}
                   eventDates={eventDates}
+                dayStates={calendarDayStates}
+                languageStrings={appConfig?.lng}
+                timeFormat={appConfig?.timeFormat}
                 onMonthChange={handleMonthChange}
+                onDateHover={handleDateHover}
               />
             </div>
           </div>
@@ -1489,39 +2397,85 @@ export default function ReservationForm() {
         </div>
       )}
 
+      {/* Flexible dates – compare several days from the chosen date */}
+      {selectedDate && guests && (!isWizard || wizardStep < 2) && (
+        <div className="w-full">
+          <div className="flex justify-center mt-4">
+            <button
+              type="button"
+              className="btn btn-ghost btn-sm text-primary"
+              onClick={() => setIsFlexibleView((open) => !open)}
+              aria-expanded={isFlexibleView}
+            >
+              {isFlexibleView
+                ? (appConfig?.lng?.flexHide || 'Hide flexible dates')
+                : (appConfig?.lng?.flexShow || 'Flexible dates? Compare several days')}
+            </button>
+          </div>
+          {isFlexibleView && (
+            <FlexibleDatesMatrix
+              est={est}
+              covers={parseInt(guests, 10)}
+              startDate={selectedDate}
+              bookingWindow={bookingWindow}
+              appConfig={appConfig}
+              baseApiUrl={appConfig?.dapi || "https://nz6.eveve.com"}
+              onSelect={(option) => {
+                setIsFlexibleView(false);
+                handleSuggestedSlotSelect(option);
+              }}
+              languageStrings={appConfig?.lng}
+              timeFormat={appConfig?.timeFormat}
+              dateLocalisation={dateLocalisation}
+            />
+          )}
+        </div>
+      )}
+
       {isLoading && ( // This is for availability loading
         <div className="flex justify-center items-center py-6">
           <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-primary"></div>
           <p className="ml-3 text-primary">
-            {selectedEvent ? 
-              `Loading availability for ${selectedEvent.name} for ${selectedDate ? format(selectedDate, appConfig?.dateFormat || 'MMM d, yyyy') : 'selected date'}...` 
+            {selectedEvent
+              ? (selectedDate
+                ? (appConfig?.lng?.loadingEventAvailability || 'Loading availability for {{event}} for {{date}}...')
+                  .replace('{{event}}', selectedEvent.name)
+                  .replace('{{date}}', formatShortDate(selectedDate, dateLocalisation, appConfig?.dateFormat))
+                : (appConfig?.lng?.loadingEventAvailabilityNoDate || 'Loading availability for {{event}}...')
+                  .replace('{{event}}', selectedEvent.name))
               : (appConfig?.lng?.loading || 'Loading availability...')
             }
           </p>
         </div>
       )}
 
-      {apiError && !isLoading && ( // This is for availability API error
-        <div className="my-4 p-4 bg-error/10 border border-error text-error rounded-md shadow-sm" role="alert">
-          <strong className="font-bold">Oops! </strong>
-          <span>{apiError}</span>
-        </div>
+      {apiError && !isLoading && ( // Availability API error, or the "nothing available" message
+        <BookingErrorNotice
+          error={describeBookingError(apiError, appConfig)}
+          onRetry={() => fetchAvailability(selectedDate, parseInt(guests, 10))}
+          phone={appConfig?.estPhone}
+          languageStrings={appConfig?.lng}
+        />
       )}
 
-      {availabilityData && !isLoading && !apiError && (
+      {availabilityData && !isLoading && !apiError && (!isWizard || wizardStep === 1) && (
         <div className="availability-section mt-6 space-y-5">
-          {!showDateTimePicker && (
+          {(isWizard || !showDateTimePicker) && (
             <div
               className={`p-4 bg-base-200 rounded-lg shadow cursor-pointer hover:bg-base-300`}
-              onClick={() => setShowDateTimePicker(true)}
+              onClick={() => (isWizard ? goToWizardStep(0) : setShowDateTimePicker(true))}
             >
               {/* This inner part now only needs to render the summary view */}
               <div className="text-base-content/70 text-center">
                 <h3 className="text-lg font-semibold">
-                  {selectedDateForSummary ? format(selectedDateForSummary, 'EEEE do MMMM') : 'Date not set'}
-                  {selectedGuestsForSummary ? ` for ${selectedGuestsForSummary} Guest${selectedGuestsForSummary > 1 ? 's' : ''}` : ''}
+                  {selectedDateForSummary
+                    ? formatSummaryDate(selectedDateForSummary, dateLocalisation)
+                    : (appConfig?.lng?.summaryDateNotSet || 'Date not set')}
+                  {selectedGuestsForSummary
+                    ? (appConfig?.lng?.summaryForGuests || ' for {{guests}}').replace('{{guests}}', formatGuestCount(selectedGuestsForSummary))
+                    : ''}
                 </h3>
-                <p className="text-s p-3 italic text-base-content/60 mt-1">Click to change</p>
+                <p className="text-s p-3 italic text-base-content/60 mt-1">{appConfig?.lng?.summaryClickToChange || 'Click to change'}</p>
               </div>
               {/* The availabilityData.message can still be relevant here */}
               {availabilityData.message && (
@@ -1534,7 +2488,7 @@ export default function ReservationForm() {
           )}
 
           {/* Event Carousel Section - appears after date/guest summary in availability view */}
-          {selectedDate && guests && appConfig?.eventsB && appConfig.eventsB.length > 0 && (
+          {selectedDate && guests && !appConfig.embedOptions?.hideEvents && appConfig?.eventsB && appConfig.eventsB.length > 0 && (
             <EventCarousel
               events={appConfig.eventsB}
               onDateSelect={handleEventDateSelect}
@@ -1544,6 +2498,7 @@ export default function ReservationForm() {
               languageStrings={appConfig?.lng || {}}
               timeFormat={appConfig?.timeFormat}
               dateFormat={appConfig?.dateFormat}
+              dateLocalisation={dateLocalisation}
               est={est}
               baseApiUrl={baseApiUrl}
               currentMonth={selectedDate || new Date()}
@@ -1554,6 +2509,11 @@ export default function ReservationForm() {
           {availabilityData.shifts && availabilityData.shifts.length > 0 ? (
             <div className="space-y-4">
               <h4 className="text-xl font-semibold text-base-content">{appConfig?.lng?.availableShiftsTitle || "Available Shifts:"}</h4>
+              {requestedSlotNotice && (
+                <div className="p-3 rounded-md bg-warning/10 border border-warning text-sm" role="status">
+                  {requestedSlotNotice}
+                </div>
+              )}
               {availabilityData.shifts.map((shift, index) => {
                 const currentShiftIdentifier = shift.uid || index;
                 const isExpanded = expandedShiftIdentifier === currentShiftIdentifier;
@@ -1636,39 +2596,23 @@ export default function ReservationForm() {
                             <div className="flex flex-wrap gap-2">
                               {/* Filter times based on shift type */}
                               {shift.times
-                                .filter(timeObj => {
-                                  // Extract the time value, whether it's a direct decimal or an object with a time property
-                                  const timeValue = typeof timeObj === 'object' ? timeObj.time : timeObj;
-                                  
-                                  // First, filter out negative times (blocked times)
-                                  if (timeValue < 0) return false;
-                                  
-                                  // If this is an Event shift, show all times returned by the API
-                                  if (shift.type === "Event") {
-                                    return true; // Display all times for Event shifts
-                                  }
-                                  
-                                  // For non-Event shifts, just return true (keep all positive times)
-                                  return true;
-                                })
+                                .filter(timeObj => isDisplayableTime(shift, timeObj))
                                 .map((timeObj, timeIndex) => (
                                 <button
                                   key={timeIndex}
                                   onClick={() => handleTimeSelection(shift, timeObj, index)} // Pass originalIndexInAvailabilityData
                                   data-selected={
-                                    isSelectedShift &&
-                                    selectedShiftTime.selectedTime ===
-                                      (typeof timeObj === "object" ? timeObj.time : timeObj)
+                                    isSelectedShift && selectedShiftTime.selectedTime === timeObj.time
                                       ? "true"
                                       : "false"
                                   }
                                   className={`time-btn px-3 py-1.5 text-sm font-medium rounded-md focus:outline-none focus:ring-2 focus:ring-opacity-50 transition-colors
-                                    ${isSelectedShift && selectedShiftTime.selectedTime === (typeof timeObj === 'object' ? timeObj.time : timeObj)
+                                    ${isSelectedShift && selectedShiftTime.selectedTime === timeObj.time
                                       ? 'bg-success text-success-content ring-success' // Active selected time
                                       : 'bg-primary text-primary-content hover:bg-primary focus:ring-primary' // Default
                                     }`}
                                 >
-                                  {formatDecimalTime(typeof timeObj === 'object' ? timeObj.time : timeObj, appConfig?.timeFormat)}
+                                  {formatDecimalTime(timeObj.time, appConfig?.timeFormat)}
                                 </button>
                               ))}
                             </div>
@@ -1701,7 +2645,7 @@ export default function ReservationForm() {
                               selectedAddons={selectedAddons}
                               onAddonChange={handleAddonSelectionChange}
                               guestCount={guests}
-                              currencySymbol={EFFECTIVE_CURRENCY_SYMBOL}
+                              moneyFormat={moneyFormat}
                               languageStrings={appConfig?.lng}
                               selectedShiftTime={selectedShiftTime}
                             />
@@ -1713,7 +2657,7 @@ export default function ReservationForm() {
                            <div className="mt-4"> {/* Added margin-top for spacing */}
                             <SelectedAddonsSummary
                               selectedAddons={selectedAddons}
-                              currencySymbol={EFFECTIVE_CURRENCY_SYMBOL}
+                              moneyFormat={moneyFormat}
                               languageStrings={appConfig?.lng}
                               guestCount={guests}
                               currentShiftAddons={currentShiftAddons}
@@ -1724,8 +2668,8 @@ export default function ReservationForm() {
                           </div>
                         )}
 
-                        {/* "Proceed to Booking" button - shown if this shift is selected */}
-                        {isSelectedShift && selectedShiftTime?.selectedTime && (
+                        {/* "Proceed to Booking" button - shown if this shift is selected (the wizard proceeds from its Review step) */}
+                        {!isWizard && isSelectedShift && selectedShiftTime?.selectedTime && (
                           <div className="mt-6 text-center"> {/* Adjusted margin-top */}
                             <button
                               onClick={handleProceedToBooking}
@@ -1735,11 +2679,12 @@ export default function ReservationForm() {
                               <span>{proceedButtonState.text}</span>
                               {selectedShiftTime?.selectedTime && selectedDate && guests && ( // Summary still shown if time selected
                                 <div className="text-sm font-normal mt-1 text-primary-content/70">
-                                  {selectedShiftTime.name} - {format(selectedDate, appConfig?.dateFormat || 'MMM d, yyyy')} - {guests} Guest{guests > 1 ? 's' : ''} - {formatDecimalTime(selectedShiftTime.selectedTime, appConfig?.timeFormat)}
+                                  {selectedShiftTime.name} - {formatShortDate(selectedDate, dateLocalisation, appConfig?.dateFormat)} - {formatGuestCount(guests)} - {formatDecimalTime(selectedShiftTime.selectedTime, appConfig?.timeFormat)}
                                   {selectedAreaName && ` - ${selectedAreaName}`}
                                 </div>
                               )}
                             </button>
+                            {!bookingData?.standby && holdErrorNotice}
                             
                             {/* Debug Mode Information for Booking Button */}
                             {debugMode && (
@@ -1805,12 +2750,116 @@ export default function ReservationForm() {
         </div>
       )}
       {/* Fallback for when availabilityData itself is null but not loading and no error, or other states */}
-      { !availabilityData && !isLoading && !apiError && guests && selectedDate && (
+      { !availabilityData && !isLoading && !apiError && guests && selectedDate && (!isWizard || wizardStep < 2) && (
         <div className="text-center text-base-content/60 py-4">
              {appConfig?.lng?.noAvailDate || "No availability information for the selected date/guests. Please try different criteria."}
         </div>
       )}
 
+      {/* Find next available – scans forward from the chosen date for this party size */}
+      {selectedDate && guests && !isLoading && !hasBookableAvailability && (!isWizard || wizardStep < 2) && (
+        <NextAvailableSearch
+          est={est}
+          covers={parseInt(guests, 10)}
+          fromDate={selectedDate}
+          bookingWindow={bookingWindow}
+          appConfig={appConfig}
+          baseApiUrl={appConfig?.dapi || "https://nz6.eveve.com"}
+          onSelect={handleSuggestedSlotSelect}
+          languageStrings={appConfig?.lng}
+          timeFormat={appConfig?.timeFormat}
+          dateLocalisation={dateLocalisation}
+        />
+      )}
+
+      {/* Sister-venue fallback – shown when this venue has no bookable times */}
+      {selectedDate && guests && !isLoading && !hasBookableAvailability && (!isWizard || wizardStep < 2) && (
+        <SisterVenueSuggestions
+          sisters={sisterSuggestions}
+          isLoading={isSisterLoading}
+          onSelect={handleSisterSelect}
+          languageStrings={appConfig?.lng}
+          timeFormat={appConfig?.timeFormat}
+        />
+      )}
+
+      {/* Standby request – offered on full dates when enabled for the venue */}
+      {selectedDate && guests && availabilityData && !isLoading && !hasBookableAvailability && (!isWizard || wizardStep < 2) && (
+        <StandbyRequest
+          windowOptions={standbyWindowOptions}
+          eligibility={standbyEligibility}
+          onSubmit={handleStandbyRequest}
+          isSubmitting={bookingState.isHolding}
+          languageStrings={appConfig?.lng}
+          timeFormat={appConfig?.timeFormat}
+          maxRequest={appConfig?.maxRequest}
+        />
+      )}
+      {bookingData?.standby && holdErrorNotice}
+
+      {/* Wizard review step */}
+      {isWizard && wizardStep === 2 && (
+        <WizardReview
+          selectedDate={selectedDate}
+          guests={guests}
+          selectedShiftTime={selectedShiftTime}
+          selectedAreaName={selectedAreaName}
+          selectedAddons={selectedAddons}
+          currentShiftAddons={currentShiftAddons}
+          moneyFormat={moneyFormat}
+          dateLocalisation={dateLocalisation}
+          languageStrings={appConfig?.lng}
+          timeFormat={appConfig?.timeFormat}
+          onEditStep={goToWizardStep}
+          debugMode={debugMode}
+        />
+      )}
+
+      {/* Wizard navigation */}
+      {isWizard && (
+        <div className="flex flex-col items-center gap-2">
+          <div className="flex w-full justify-between gap-3">
+            <button
+              type="button"
+              className="btn btn-ghost"
+              onClick={handleWizardBack}
+              disabled={wizardStep === 0}
+            >
+              {appConfig?.lng?.wizardBack || 'Back'}
+            </button>
+            {wizardStep < 2 ? (
+              <button
+                type="button"
+                className="btn btn-primary"
+                onClick={handleWizardNext}
+                disabled={wizardStep === 0 ? !canLeaveDateStep : !canLeaveTimeStep}
+              >
+                {appConfig?.lng?.wizardNext || 'Next'}
+              </button>
+            ) : (
+              <button
+                type="button"
+                className="btn btn-primary"
+                onClick={handleProceedToBooking}
+                disabled={proceedButtonState.disabled || bookingState.isHolding}
+              >
+                {proceedButtonState.text}
+              </button>
+            )}
+          </div>
+          {/* Why Next is disabled */}
+          {wizardStep === 0 && !canLeaveDateStep && !hasDateAndGuests && (
+            <p className="text-sm text-base-content/60">
+              {appConfig?.lng?.wizardDateGuestsPrompt || 'Choose a date and number of guests'}
+            </p>
+          )}
+          {wizardStep === 1 && !canLeaveTimeStep && (
+            <p className="text-sm text-base-content/60">{proceedButtonState.text}</p>
+          )}
+          {wizardStep === 2 && !bookingData?.standby && holdErrorNotice}
+        </div>
+      )}
+
       {/* Booking Details Modal */}
       <BookingDetailsModal
         isOpen={isBookingModalOpen}
@@ -1821,7 +2870,11 @@ export default function ReservationForm() {
         appConfig={appConfig}
         isLoading={bookingState.isUpdating || bookingState.isBooking}
         error={bookingState.updateError || bookingState.bookingError}
+        onDismissError={() => setBookingState(prev => ({ ...prev, updateError: null, bookingError: null }))}
         success={bookingState.bookingSuccess}
+        redirectPending={!!pendingRedirectUrl}
+        onExtendHold={handleExtendHold}
+        onHoldExpired={handleHoldExpired}
         debugMode={debugMode}
         /* --- extra context for charge-detection in modal --- */
         selectedShiftTime={selectedShiftTime}
@@ -1,8 +1,9 @@
 import React from 'react';
+import { formatMoney } from '../utils/money';
 
 const SelectedAddonsSummary = ({
   selectedAddons,
-  currencySymbol,
+  moneyFormat,            // From getMoneyFormat – currency/locale for prices
   languageStrings,
   guestCount,
   currentShiftAddons,
@@ -10,7 +11,7 @@ const SelectedAddonsSummary = ({
   debugMode = false,      // default false
 }) => {
   const numericGuestCount = parseInt(guestCount, 10) || 1; // Default to 1 if guestCount is not valid, for per-guest calculation
-  const displaySymbol = currencySymbol || '$';
+  const money = (cents) => formatMoney(cents, moneyFormat);
   // Quantity-based menus (usage === 2 or 4) flag – affects cost calc for "per Guest"
   const isUsageQuantity = selectedShiftTime?.usage === 2 || selectedShiftTime?.usage === 4;
 
@@ -26,7 +27,7 @@ const SelectedAddonsSummary = ({
     let itemTotalCost = 0;
     let priceDescription = "";
 
-    const formattedBasePrice = `${displaySymbol}${(itemBasePrice / 100).toFixed(2)}`;
+    const formattedBasePrice = money(itemBasePrice);
 
     // For zero-priced addons, suppress any price text entirely in the summary
     if (itemBasePrice === 0) {
@@ -50,7 +51,7 @@ const SelectedAddonsSummary = ({
       }
       priceDescription = `${formattedBasePrice} ${languageStrings?.perPerson || 'per Person'}`;
       if (quantity > 1) { // For summarizing a usage2 item if needed, though typically usage2 is itemized differently
-        priceDescription = `${addon.name} x${quantity} (${formattedBasePrice} ${languageStrings?.perPerson || 'per Person'}) - Total: ${displaySymbol}${(itemTotalCost / 100).toFixed(2)}`;
+        priceDescription = `${addon.name} x${quantity} (${formattedBasePrice} ${languageStrings?.perPerson || 'per Person'}) - Total: ${money(itemTotalCost)}`;
          return { text: priceDescription, cost: itemTotalCost};
       }
     } else { // Item, Party, or undefined
@@ -61,7 +62,7 @@ const SelectedAddonsSummary = ({
       }
       priceDescription = `${formattedBasePrice} ${perWhat}`;
       if (quantity > 1) {
-         priceDescription = `${addon.name} x${quantity} (${formattedBasePrice} ${perWhat}) - Total: ${displaySymbol}${(itemTotalCost / 100).toFixed(2)}`;
+         priceDescription = `${addon.name} x${quantity} (${formattedBasePrice} ${perWhat}) - Total: ${money(itemTotalCost)}`;
          return { text: priceDescription, cost: itemTotalCost};
       }
     }
@@ -85,7 +86,7 @@ const SelectedAddonsSummary = ({
 
     let pricePortion = "";
     if (menu.price > 0) {
-        const unitPriceString = `${displaySymbol}${(menu.price / 100).toFixed(2)}`;
+        const unitPriceString = money(menu.price);
         let perWhat = "";
         if (menu.per === 'Guest') {
             perWhat = ` ${languageStrings?.perPerson || 'per Person'}`;
@@ -139,7 +140,7 @@ const SelectedAddonsSummary = ({
 
         let priceStr = "";
         if (typeof optionAddon.price === 'number' && optionAddon.price > 0) {
-            const unitPrice = `${displaySymbol}${(optionAddon.price / 100).toFixed(2)}`;
+            const unitPrice = money(optionAddon.price);
             let perText = "";
             if (optionAddon.per === 'Guest') {
                 perText = ` ${languageStrings?.perPerson || 'per Person'}`;
@@ -194,7 +195,7 @@ const SelectedAddonsSummary = ({
           </ul>
           {totalAddonCost > 0 && (
             <p className="mt-3 text-sm font-semibold text-primary">
-              {languageStrings?.totalAddonCostLabel || 'Total Addon Cost'}: {displaySymbol}{(totalAddonCost / 100).toFixed(2)}
+              {languageStrings?.totalAddonCostLabel || 'Total Addon Cost'}: {money(totalAddonCost)}
             </p>
           )}
         </>
@@ -218,8 +219,7 @@ const SelectedAddonsSummary = ({
             <div className="flex justify-between">
               <span className="font-mono">totalAddonCost&nbsp;(formatted):</span>
               <span className="font-mono">
-                {displaySymbol}
-                {(totalAddonCost / 100).toFixed(2)}
+                {money(totalAddonCost)}
               </span>
             </div>
             <div className="flex justify-between">
@@ -0,0 +1,64 @@
+import React from 'react';
+import { formatDecimalTime } from '../utils/time';
+
+/**
+ * SisterVenueSuggestions - "Try our other venue" cards shown when the chosen
+ * venue is full. Each card lists the sister venue's open times; picking one
+ * re-targets the booking flow at that venue.
+ */
+const SisterVenueSuggestions = ({
+  sisters,
+  isLoading,
+  onSelect,
+  languageStrings,
+  timeFormat,
+}) => {
+  if (isLoading) {
+    return (
+      <div className="flex justify-center items-center py-4">
+        <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-primary"></div>
+        <p className="ml-3 text-primary text-sm">
+          {languageStrings?.sisterLoadingMessage || 'Checking our other venues...'}
+        </p>
+      </div>
+    );
+  }
+
+  if (!sisters || sisters.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mt-6 space-y-4">
+      <h4 className="text-xl font-semibold text-base-content">
+        {languageStrings?.sisterTitle || 'Try our other venue'}
+      </h4>
+      {sisters.map((sister) => (
+        <div key={sister.est} className="p-4 border border-base-300 rounded-lg shadow-sm bg-base-100">
+          <h5 className="text-lg font-bold text-primary">{sister.name}</h5>
+          {sister.message && (
+            <div
+              className="text-xs mt-2 p-2 bg-info/10 border border-primary text-primary rounded prose prose-sm max-w-none"
+              dangerouslySetInnerHTML={{ __html: sister.message }}
+            />
+          )}
+          <div className="mt-3 flex flex-wrap gap-2">
+            {sister.times.map(({ shift, time }, index) => (
+              <button
+                key={`${sister.est}-${shift.uid || shift.name}-${index}`}
+                type="button"
+                onClick={() => onSelect(sister, time)}
+                title={shift.name}
+                className="time-btn px-3 py-1.5 text-sm font-medium rounded-md bg-primary text-primary-content hover:bg-primary focus:outline-none focus:ring-2 focus:ring-primary focus:ring-opacity-50 transition-colors"
+              >
+                {formatDecimalTime(time, timeFormat)}
+              </button>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default SisterVenueSuggestions;
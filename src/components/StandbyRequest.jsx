@@ -0,0 +1,119 @@
+import React, { useState, useEffect } from 'react';
+import { formatDecimalTime } from '../utils/time';
+
+/**
+ * StandbyRequest - Lets a guest ask to be placed on standby for a full date.
+ * The guest picks a preferred time window; submitting hands the window to
+ * the parent, which holds a standby booking and opens BookingDetailsModal.
+ */
+const StandbyRequest = ({
+  windowOptions,
+  eligibility,
+  onSubmit,
+  isSubmitting = false,
+  languageStrings,
+  timeFormat,
+  maxRequest,
+}) => {
+  const [fromTime, setFromTime] = useState('');
+  const [toTime, setToTime] = useState('');
+
+  // Default to the full window whenever the options change (new date/guests)
+  useEffect(() => {
+    if (windowOptions && windowOptions.length > 0) {
+      setFromTime(windowOptions[0]);
+      setToTime(windowOptions[windowOptions.length - 1]);
+    } else {
+      setFromTime('');
+      setToTime('');
+    }
+  }, [windowOptions]);
+
+  if (!eligibility) return null;
+
+  if (!eligibility.allowed) {
+    // Only explain when standby exists but is blocked for this date/party
+    if (eligibility.reason === 'NO_STANDBY_DATE') {
+      return (
+        <p className="mt-4 text-sm text-base-content/70 text-center italic">
+          {languageStrings?.standbyUnavailableDate || 'Standby requests are not available for this date.'}
+        </p>
+      );
+    }
+    if (eligibility.reason === 'MAX_REQUEST_EXCEEDED') {
+      return (
+        <p className="mt-4 text-sm text-base-content/70 text-center italic">
+          {(languageStrings?.standbyMaxRequest || 'Standby requests are limited to {{maxRequest}} guests. Please contact us directly.')
+            .replace('{{maxRequest}}', maxRequest)}
+        </p>
+      );
+    }
+    return null;
+  }
+
+  // Nothing to choose from (e.g. no service at all on this date)
+  if (!windowOptions || windowOptions.length === 0) return null;
+
+  const isWindowValid = fromTime !== '' && toTime !== '' && Number(fromTime) <= Number(toTime);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!isWindowValid) return;
+    onSubmit(Number(fromTime), Number(toTime));
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-6 p-4 border border-base-300 rounded-lg shadow bg-base-100">
+      <h4 className="text-lg font-semibold text-base-content mb-1">
+        {languageStrings?.standbyTitle || 'Join the standby list'}
+      </h4>
+      <p className="text-sm text-base-content/70 mb-3">
+        {languageStrings?.standbyDescription || "We're fully booked, but we'll contact you if a table becomes available in your preferred time window."}
+      </p>
+
+      <div className="flex flex-wrap items-end gap-4">
+        <label className="flex flex-col text-sm">
+          <span className="font-medium mb-1">{languageStrings?.standbyFrom || 'From'}</span>
+          <select
+            value={fromTime}
+            onChange={(e) => setFromTime(Number(e.target.value))}
+            className="select select-bordered select-sm"
+            disabled={isSubmitting}
+          >
+            {windowOptions.map((t) => (
+              <option key={`from-${t}`} value={t}>{formatDecimalTime(t, timeFormat)}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col text-sm">
+          <span className="font-medium mb-1">{languageStrings?.standbyTo || 'To'}</span>
+          <select
+            value={toTime}
+            onChange={(e) => setToTime(Number(e.target.value))}
+            className="select select-bordered select-sm"
+            disabled={isSubmitting}
+          >
+            {windowOptions.map((t) => (
+              <option key={`to-${t}`} value={t}>{formatDecimalTime(t, timeFormat)}</option>
+            ))}
+          </select>
+        </label>
+        <button
+          type="submit"
+          disabled={!isWindowValid || isSubmitting}
+          className="px-4 py-2 bg-primary text-primary-content rounded-md hover:bg-primary focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {languageStrings?.standbyRequestButton || 'Request Standby'}
+        </button>
+      </div>
+
+      {!isWindowValid && fromTime !== '' && toTime !== '' && (
+        <p className="mt-2 text-sm text-error">
+          {languageStrings?.standbyWindowError || "The end of your preferred window can't be before the start."}
+        </p>
+      )}
+    </form>
+  );
+};
+
+export default StandbyRequest;
@@ -1,12 +1,33 @@
 import React, { useState, useEffect, useMemo, useRef } from "react";
 import { Dialog, Transition } from "@headlessui/react";
 import { formatDecimalTime } from "../../utils/time";
+import { parseISO, isValid } from "date-fns";
+import { getDateLocalisation, formatSummaryDate } from "../../utils/localeDates";
+import { getMoneyFormat, formatMoney, getCurrencyCode } from "../../utils/money";
+import {
+  DEFAULT_HOLD_SECONDS,
+  HOLD_WARNING_SECONDS,
+  parseHoldUntil,
+  getHoldExpiresAt,
+  getSecondsRemaining
+} from "../../utils/holdExpiry";
 import { CardElement } from "@stripe/react-stripe-js";
 import StripeCardElement from "./StripeCardElement";
 import StripeProvider from "./StripeProvider";
+import TermsConsent, { getConsentDocuments } from "./TermsConsent";
 import { useStripePayment } from "../../hooks/booking/useStripePayment";
 import { formatAddonsForDisplay } from "../../utils/apiFormatter";
 import { isPaymentRequired, debugChargeFactors, getChargeReason, getEffectiveHoldData } from "../../utils/chargeDetection";
+import { FUNNEL_EVENTS, trackFunnelEvent, centsToValue } from "../../utils/analytics";
+import {
+  RECOVERY_ACTIONS,
+  createBookingError,
+  createPaymentError,
+  classifyBookingError,
+  describeBookingError,
+  reportBookingError,
+  BOOKING_ERROR_TYPES
+} from "../../utils/bookingErrors";
 
 /**
  * BookingDetailsModal - A modal dialog for collecting customer details and confirming the reservation
@@ -18,8 +39,12 @@ import { isPaymentRequired, debugChargeFactors, getChargeReason, getEffectiveHol
  * @param {Function} props.onSubmit - Function to call when the form is submitted
  * @param {Object} props.appConfig - App configuration object with language strings
  * @param {boolean} props.isLoading - Whether the form is submitting
- * @param {string} props.error - Error message if submission failed
+ * @param {Error} props.error - Tagged error if submission failed (see bookingErrors.js)
+ * @param {Function} [props.onDismissError] - Clears `error` so the guest can try again
  * @param {boolean} props.success - Whether submission was successful
+ * @param {boolean} [props.redirectPending=false] - A thank-you redirect will follow the success screen
+ * @param {Function} [props.onExtendHold] - Re-holds the same slot; resolves with the new hold data
+ * @param {Function} [props.onHoldExpired] - Called once when the hold's countdown runs out
  * @param {boolean} [props.debugMode=false] - Enable developer debug panel
  * @param {Object} [props.selectedShiftTime] - The currently selected shift/time with charge information
  * @param {Object} [props.selectedAddons] - The addons selected by the user
@@ -34,7 +59,11 @@ export default function BookingDetailsModal({
   appConfig,
   isLoading = false,
   error = null,
+  onDismissError,
   success = false,
+  redirectPending = false,
+  onExtendHold,
+  onHoldExpired,
   debugMode = false,
   selectedShiftTime,
   selectedAddons,
@@ -48,11 +77,20 @@ export default function BookingDetailsModal({
   };
   const [currentStep, setCurrentStep] = useState(STEPS.PERSONAL_DETAILS);
   
-  // Timer state
-  const [timeRemaining, setTimeRemaining] = useState(3 * 60); // 3 minutes in seconds
+  // Timer state – driven by the hold's `until`
+  const [timeRemaining, setTimeRemaining] = useState(DEFAULT_HOLD_SECONDS);
   const [timerExpired, setTimerExpired] = useState(false);
   const timerIntervalRef = useRef(null);
+  const holdExpiresAt = useMemo(() => getHoldExpiresAt(holdData), [holdData]);
+  const [isExtendingHold, setIsExtendingHold] = useState(false);
+  const [extendHoldError, setExtendHoldError] = useState(null);
+  // Hold the form was last reset for – extending keeps the same uid, so the
+  // guest's typed details survive the fresh holdData
+  const resetForHoldUidRef = useRef(null);
   
+  // The embedder can hide the mailing-list opt-in; a guest who never saw it isn't subscribed
+  const hideOptin = !!appConfig?.embedOptions?.hideOptin;
+
   // Customer details state
   const [customerData, setCustomerData] = useState({
     firstName: "",
@@ -61,7 +99,7 @@ export default function BookingDetailsModal({
     phone: "",
     notes: "",
     xtra: "",
-    optin: true, // Pre-ticked by default
+    optin: !hideOptin, // Pre-ticked by default
     allergy: {
       has: false,
       details: ""
@@ -110,6 +148,26 @@ export default function BookingDetailsModal({
   // Vacate message acknowledgement (must-tick when vacMsg present)
   const [vacateAccepted, setVacateAccepted] = useState(false);
 
+  // Terms / privacy consent (must-tick when LinkTC / LinkPriv are configured)
+  const consentDocuments = useMemo(() => getConsentDocuments(appConfig), [appConfig]);
+  const [consentAccepted, setConsentAccepted] = useState(false);
+  const consentAcceptedAtRef = useRef(null);
+
+  const handleConsentChange = (checked) => {
+    setConsentAccepted(checked);
+    consentAcceptedAtRef.current = checked ? new Date().toISOString() : null;
+  };
+
+  // Consent metadata forwarded to /web/update (null when no documents are linked)
+  const getConsentMetadata = () => {
+    if (consentDocuments.length === 0 || !consentAccepted) return null;
+    return {
+      terms: consentDocuments.some(doc => doc.key === 'terms'),
+      privacy: consentDocuments.some(doc => doc.key === 'privacy'),
+      acceptedAt: consentAcceptedAtRef.current
+    };
+  };
+
   // Stripe payment state
   const [cardState, setCardState] = useState({
     complete: false,
@@ -143,6 +201,15 @@ export default function BookingDetailsModal({
     reset: resetStripePayment
   } = useStripePayment();
 
+  // Currency for displayed amounts – deposit-get's currency wins once known
+  const moneyFormat = useMemo(
+    () => getMoneyFormat(appConfig, depositInfo?.currency),
+    [appConfig, depositInfo]
+  );
+
+  // Guest-facing message and recovery actions for a failed update
+  const errorInfo = error ? describeBookingError(error, appConfig) : null;
+
   // Calculate effective hold data based on shift.charge = 2 override
   const effectiveHoldData = useMemo(() => {
     return getEffectiveHoldData(
@@ -155,8 +222,11 @@ export default function BookingDetailsModal({
     );
   }, [holdData, selectedShiftTime, selectedAddons, currentShiftAddons, bookingData]);
 
+  // Standby (waitlist) requests never take a card – they only collect details
+  const isStandby = !!bookingData?.standby;
+
   // Check if card is required using the charge detection utility with guest count
-  const isCardRequired = isPaymentRequired(
+  const isCardRequired = !isStandby && isPaymentRequired(
     /* 
      * IMPORTANT:
      * ───────────
@@ -229,30 +299,32 @@ export default function BookingDetailsModal({
     return 'text-gray-700';
   };
 
-  // Start countdown timer when modal opens
+  // Count down to the hold's expiry while the modal is open (restarts when
+  // the hold is extended). Each tick re-reads the clock, so a throttled
+  // background tab still expires on time.
   useEffect(() => {
-    if (isOpen && !success && !localSuccess) {
-      // Reset timer state
-      setTimeRemaining(3 * 60);
-      setTimerExpired(false);
-      
+    if (isOpen && !success && !localSuccess && holdExpiresAt) {
       // Clear any existing timer
       if (timerIntervalRef.current) {
         clearInterval(timerIntervalRef.current);
       }
       
-      // Start new timer
-      timerIntervalRef.current = setInterval(() => {
-        setTimeRemaining(prev => {
-          if (prev <= 1) {
-            // Timer expired
-            clearInterval(timerIntervalRef.current);
-            setTimerExpired(true);
-            return 0;
-          }
-          return prev - 1;
-        });
-      }, 1000);
+      const tick = () => {
+        const remaining = getSecondsRemaining(holdExpiresAt);
+        setTimeRemaining(remaining);
+        if (remaining <= 0) {
+          // Timer expired
+          clearInterval(timerIntervalRef.current);
+          timerIntervalRef.current = null;
+          setTimerExpired(true);
+        }
+        return remaining;
+      };
+      
+      setTimerExpired(false);
+      if (tick() > 0) {
+        timerIntervalRef.current = setInterval(tick, 1000);
+      }
     }
     
     // Clean up timer on unmount or modal close
@@ -262,7 +334,31 @@ export default function BookingDetailsModal({
         timerIntervalRef.current = null;
       }
     };
-  }, [isOpen, success, localSuccess]);
+  }, [isOpen, success, localSuccess, holdExpiresAt]);
+
+  // Let the parent release the lapsed hold and refresh availability
+  useEffect(() => {
+    if (timerExpired && isOpen && onHoldExpired) {
+      onHoldExpired(holdData);
+    }
+    // Fire once per expiry, not on every holdData identity change
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [timerExpired, isOpen]);
+
+  // Re-hold the same slot when the guest asks for more time
+  const handleExtendHold = async () => {
+    if (!onExtendHold || isExtendingHold) return;
+    setIsExtendingHold(true);
+    setExtendHoldError(null);
+    try {
+      await onExtendHold();
+    } catch (err) {
+      logWithTimestamp('Hold extension failed:', err?.message);
+      setExtendHoldError(appConfig?.lng?.holdExtendError || "We couldn't extend your hold. Please complete your booking now.");
+    } finally {
+      setIsExtendingHold(false);
+    }
+  };
 
   // Stop timer when booking is successful
   useEffect(() => {
@@ -272,9 +368,22 @@ export default function BookingDetailsModal({
     }
   }, [success, localSuccess]);
 
-  // Reset form when modal opens with new hold data
+  // Forget the last hold once the modal closes so reopening resets the form
+  useEffect(() => {
+    if (!isOpen) {
+      resetForHoldUidRef.current = null;
+      setExtendHoldError(null);
+    }
+  }, [isOpen]);
+
+  // Reset form when modal opens with new hold data. An extended hold can come
+  // back under a new uid but is the same booking, so the details are kept.
   useEffect(() => {
-    if (isOpen && holdData) {
+    if (isOpen && holdData && resetForHoldUidRef.current !== holdData.uid) {
+      const isExtension = resetForHoldUidRef.current !== null &&
+        holdData.extendedFrom === resetForHoldUidRef.current;
+      resetForHoldUidRef.current = holdData.uid;
+      if (isExtension) return;
       logWithTimestamp('Modal opened with holdData:', {
         uid: holdData.uid,
         card: holdData.card,
@@ -292,7 +401,7 @@ export default function BookingDetailsModal({
         phone: "",
         notes: "",
         xtra: "",
-        optin: true,
+        optin: !hideOptin,
         allergy: {
           has: false,
           details: ""
@@ -343,8 +452,10 @@ export default function BookingDetailsModal({
         .map(o => o.uid);
       setSelectedBookOpts(defaultSelectedBook);
       setSelectedGuestOpts(defaultSelectedGuest);
-      // Reset vacate acknowledgement each time modal opens
+      // Reset vacate acknowledgement and consent each time modal opens
       setVacateAccepted(false);
+      setConsentAccepted(false);
+      consentAcceptedAtRef.current = null;
     }
   }, [
     isOpen,
@@ -549,10 +660,15 @@ export default function BookingDetailsModal({
     // Vacate acknowledgement required when vacMsg present
     if (holdData?.vacMsg && !vacateAccepted) {
       errors.vacate = appConfig?.lng?.vacateRequiredError ||
-        (holdData?.until
+        (holdData?.until && parseHoldUntil(holdData.until) === null
           ? `Please confirm you will vacate the table by ${holdData.until}`
           : "Please confirm you agree to the vacate conditions");
     }
+
+    // Terms / privacy acceptance required when the venue links documents
+    if (consentDocuments.length > 0 && !consentAccepted) {
+      errors.consent = appConfig?.lng?.consentRequiredError || "Please accept the terms to continue";
+    }
     
     setValidationErrors(errors);
     return Object.keys(errors).length === 0;
@@ -593,6 +709,17 @@ export default function BookingDetailsModal({
     return Object.keys(errors).length === 0;
   };
 
+  // Payment failures reach the guest as a localised message and the host page as a booking-error event
+  const showPaymentError = (err) => {
+    const bookingError = classifyBookingError(err);
+    reportBookingError(bookingError, { est: bookingData?.est || effectiveHoldData?.est, source: 'payment', appConfig });
+    setCardState(prev => ({
+      ...prev,
+      error: describeBookingError(bookingError, appConfig).message,
+      errorSource: 'payment'
+    }));
+  };
+
   // Initialize Stripe with customer details
   const initializeStripe = async () => {
     if (!isCardRequired || !effectiveHoldData || !effectiveHoldData.uid || !effectiveHoldData.created) {
@@ -667,10 +794,7 @@ export default function BookingDetailsModal({
       setCurrentStep(STEPS.PAYMENT);
     } catch (err) {
       console.error(`${new Date().toISOString()} [BookingDetailsModal] Error initializing payment:`, err);
-      setCardState(prev => ({
-        ...prev,
-        error: err.message || "Failed to initialize payment system"
-      }));
+      showPaymentError(err);
     } finally {
       setIsInitializingStripe(false);
       console.timeEnd(timerLabel);
@@ -692,6 +816,7 @@ export default function BookingDetailsModal({
     
     // Validate personal details
     if (validatePersonalDetails()) {
+      trackFunnelEvent(FUNNEL_EVENTS.DETAILS_SUBMITTED, { uid: effectiveHoldData?.uid ?? null, cardRequired: true });
       await initializeStripe();
     } else {
       logWithTimestamp('Personal details validation failed', validationErrors);
@@ -724,12 +849,14 @@ export default function BookingDetailsModal({
     // For non-card bookings, validate and submit directly
     if (!isCardRequired) {
       if (validateForm()) {
+        trackFunnelEvent(FUNNEL_EVENTS.DETAILS_SUBMITTED, { uid: effectiveHoldData?.uid ?? null, cardRequired: false });
         try {
           logWithTimestamp('Submitting non-card booking');
           await onSubmit(effectiveHoldData.uid, {
             ...customerData,
             bookopt: selectedBookOpts,
-            guestopt: selectedGuestOpts
+            guestopt: selectedGuestOpts,
+            consent: getConsentMetadata()
           });
           // Do not auto-complete locally; rely on parent success signal
         } catch (err) {
@@ -744,6 +871,8 @@ export default function BookingDetailsModal({
     
     // For card bookings, ensure UPDATE succeeds BEFORE any Stripe processing
     if (validateForm()) {
+      // Payment events are only reported for the Stripe step itself
+      let paymentStage = null;
       try {
         // 0) HARD STOP: Update booking first. If this fails, DO NOT process card.
         logWithTimestamp('Updating booking details before any Stripe processing (hard stop on error)');
@@ -752,14 +881,16 @@ export default function BookingDetailsModal({
             ...customerData,
             bookopt: selectedBookOpts,
             guestopt: selectedGuestOpts,
+            consent: getConsentMetadata(),
             // Signal to parent not to mark success yet (card flow pre-payment)
             skipSuccess: true
           });
         } catch (updateErr) {
           logWithTimestamp('Pre-payment update failed. Aborting Stripe processing.', { error: updateErr.message });
+          // ReservationForm reports update failures itself
           setCardState(prev => ({
             ...prev,
-            error: updateErr.message || 'Failed to update booking before payment',
+            error: describeBookingError(updateErr, appConfig).message,
             errorSource: 'payment'
           }));
           console.timeEnd(timerLabel);
@@ -776,6 +907,11 @@ export default function BookingDetailsModal({
 
         setPaymentProcessing(true);
         paymentStartTimeRef.current = Date.now();
+        paymentStage = 'started';
+        trackFunnelEvent(FUNNEL_EVENTS.PAYMENT_STARTED, {
+          uid: effectiveHoldData.uid,
+          value: centsToValue(effectiveHoldData.card?.total ?? effectiveHoldData.perHead)
+        });
         
         // Double-check that we have everything we need for Stripe
         if (!cardState.stripe) {
@@ -817,7 +953,7 @@ export default function BookingDetailsModal({
             isDeposit: true,
             isNoShow: false,
             amount: effectiveHoldData.perHead,        // already total cents
-            currency: appConfig?.currency || 'USD'
+            currency: getCurrencyCode(moneyFormat)
           };
           if (debugMode) {
             /* eslint-disable no-console */
@@ -830,7 +966,7 @@ export default function BookingDetailsModal({
             isDeposit: true,
             isNoShow: false,
             amount: effectiveHoldData.card.total,     // Use the total amount directly
-            currency: appConfig?.currency || 'USD'
+            currency: getCurrencyCode(moneyFormat)
           };
           if (debugMode) {
             /* eslint-disable no-console */
@@ -897,19 +1033,32 @@ export default function BookingDetailsModal({
         });
         
         if (!paymentResult.success) {
-          const error = new Error(paymentResult.error || "Payment processing failed");
+          // errorDetails is Stripe's { code, type, decline_code } when the card step itself failed
+          const error = createPaymentError({
+            message: paymentResult.error || "Payment processing failed",
+            ...(typeof paymentResult.errorDetails === 'object' ? paymentResult.errorDetails : {})
+          });
           logWithTimestamp('Payment flow failed', { 
             error: error.message,
             details: paymentResult.errorDetails
           });
           throw error;
         }
+
+        paymentStage = 'succeeded';
+        trackFunnelEvent(FUNNEL_EVENTS.PAYMENT_SUCCEEDED, {
+          uid: effectiveHoldData.uid,
+          value: centsToValue(paymentResult.amount),
+          ...(paymentResult.currency ? { currency: String(paymentResult.currency).toUpperCase() } : {}),
+          isDeposit: !!paymentResult.isDeposit
+        });
         
         // Add payment information to customer data for the booking update
         const updatedCustomerData = {
           ...customerData,
           bookopt: selectedBookOpts,
           guestopt: selectedGuestOpts,
+          consent: getConsentMetadata(),
           paymentMethodId: paymentResult.paymentMethodId,
           paymentAmount: paymentResult.amount,
           paymentCurrency: paymentResult.currency,
@@ -948,11 +1097,10 @@ export default function BookingDetailsModal({
           // If attach failed, show error and do NOT mark success
           if (!attachResult.success) {
             setPaymentProcessing(false);
-            setCardState(prev => ({
-              ...prev,
-              error: attachResult.error || 'Failed to attach payment to booking',
-              errorSource: 'payment'
-            }));
+            showPaymentError(createBookingError(
+              BOOKING_ERROR_TYPES.UNKNOWN,
+              attachResult.error || 'Failed to attach payment to booking'
+            ));
             return;
           }
 
@@ -986,24 +1134,15 @@ export default function BookingDetailsModal({
           decline_code: err.decline_code,
           param: err.param
         });
+        if (paymentStage === 'started') {
+          trackFunnelEvent(FUNNEL_EVENTS.PAYMENT_FAILED, {
+            uid: effectiveHoldData?.uid ?? null,
+            message: err.message,
+            code: err.code || err.decline_code || null
+          });
+        }
         
-        /* ---------------------------------------------------------------
-           DEBUG: Inspect why error message not surfacing in UI
-         --------------------------------------------------------------- */
-        /* eslint-disable no-console */
-        console.log('🚨 [DEBUG] About to set cardState.error:', err.message);
-        setCardState(prev => {
-          console.log('🚨 [DEBUG] Setting cardState.error – prev state:', prev);
-          const newState = {
-            ...prev,
-            error: err.message || "Failed to process payment",
-            errorSource: 'payment'
-          };
-          console.log('🚨 [DEBUG] Setting cardState.error – new state:', newState);
-          return newState;
-        });
-        console.log('🚨 [DEBUG] After setCardState call');
-        /* eslint-enable no-console */
+        showPaymentError(err);
 
         setPaymentProcessing(false);
       } finally {
@@ -1040,10 +1179,7 @@ export default function BookingDetailsModal({
             name: err.name
           });
           
-          setCardState(prev => ({
-            ...prev,
-            error: `Payment system error: ${err.message || 'Unknown error'}`
-          }));
+          showPaymentError(err);
         }}
       >
         <StripeCardElement
@@ -1056,6 +1192,13 @@ export default function BookingDetailsModal({
     );
   }, [stripePublicKey, paymentProcessing, appConfig]);
 
+  // Localised long date for the summary (formattedDate is YYYY-MM-DD)
+  const formatBookingDate = (isoDate) => {
+    const parsed = isoDate ? parseISO(isoDate) : null;
+    if (!parsed || !isValid(parsed)) return isoDate || '';
+    return formatSummaryDate(parsed, getDateLocalisation(appConfig));
+  };
+
   // Helper function to get the deposit amount in cents
   const getDepositAmountCents = () => {
     /* ------------------------------------------------------------
@@ -1105,9 +1248,9 @@ export default function BookingDetailsModal({
   // Helper function to format the perHead amount for display
   const formatPerHeadAmount = () => {
     if (!effectiveHoldData || typeof effectiveHoldData.perHead !== "number") {
-      return "$0.00";
+      return formatMoney(0, moneyFormat);
     }
-    return `$${(effectiveHoldData.perHead / 100).toFixed(2)}`;
+    return formatMoney(effectiveHoldData.perHead, moneyFormat);
   };
 
   // Helper function to replace placeholders in the noShowProtectionMessage
@@ -1137,7 +1280,7 @@ export default function BookingDetailsModal({
             {isDepositRequired ? (
               <>
                 <span className="font-semibold">Deposit Required:</span>{' '}
-                ${(getDepositAmountCents() / 100).toFixed(2)}
+                {formatMoney(getDepositAmountCents(), moneyFormat)}
                 <span className="block mt-1 text-xs">Your card will be charged immediately.</span>
               </>
             ) : (
@@ -1162,6 +1305,11 @@ export default function BookingDetailsModal({
           <div className="mt-3 p-2 bg-red-50 text-red-700 text-sm rounded">
             <p className="font-medium">Payment Error:</p>
             <p>{cardState.error}</p>
+            {cardState.errorSource === 'payment' && appConfig?.estPhone && (
+              <a href={`tel:${String(appConfig.estPhone).replace(/[^\d+]/g, '')}`} className="underline">
+                {(appConfig?.lng?.errCallVenue || 'Call {phone}').replace('{phone}', appConfig.estPhone)}
+              </a>
+            )}
           </div>
         )}
         
@@ -1213,10 +1361,13 @@ export default function BookingDetailsModal({
         </h4>
         <div className="mt-2 grid grid-cols-2 gap-2 text-sm">
           <div>
-            <span className="font-medium">{appConfig?.lng?.date || "Date"}:</span> {bookingData.formattedDate}
+            <span className="font-medium">{appConfig?.lng?.date || "Date"}:</span> {formatBookingDate(bookingData.formattedDate)}
           </div>
           <div>
             <span className="font-medium">{appConfig?.lng?.time || "Time"}:</span> {formatDecimalTime(bookingData.time, appConfig?.timeFormat)}
+            {isStandby && bookingData.timeTo !== undefined && (
+              <> – {formatDecimalTime(bookingData.timeTo, appConfig?.timeFormat)}</>
+            )}
           </div>
           <div>
             <span className="font-medium">{appConfig?.lng?.pax || "Guests"}:</span> {bookingData.covers}
@@ -1251,7 +1402,7 @@ export default function BookingDetailsModal({
         ) && getDepositAmountCents() > 0 && (
           <div className="mt-2 text-sm font-bold">
             <span>{appConfig?.lng?.bookingTotalPrice || 'Total Price'}:</span>{' '}
-            ${(getDepositAmountCents() / 100).toFixed(2)}
+            {formatMoney(getDepositAmountCents(), moneyFormat)}
           </div>
         )}
 
@@ -1311,7 +1462,7 @@ export default function BookingDetailsModal({
                 <span className="font-mono">totalAddonCost&nbsp;(formatted):</span>
                 <span className="font-mono">
                   {bookingData?.totalAddonCost !== undefined
-                    ? `$${(bookingData.totalAddonCost / 100).toFixed(2)}`
+                    ? formatMoney(bookingData.totalAddonCost, moneyFormat)
                     : 'null'}
                 </span>
               </div>
@@ -1360,8 +1511,8 @@ export default function BookingDetailsModal({
                   <span className="font-mono">{getDepositAmountCents()}</span>
                 </div>
                 <div className="flex justify-between">
-                  <span className="font-mono">Deposit Amount ($):</span>
-                  <span className="font-mono">${(getDepositAmountCents() / 100).toFixed(2)}</span>
+                  <span className="font-mono">Deposit Amount (formatted):</span>
+                  <span className="font-mono">{formatMoney(getDepositAmountCents(), moneyFormat)}</span>
                 </div>
                 <div className="flex justify-between">
                   <span className="font-mono">isOverridden:</span>
@@ -1544,12 +1695,22 @@ export default function BookingDetailsModal({
                     </svg>
                   </div>
                   <h3 className="mt-4 text-lg font-medium text-gray-900">
-                    {appConfig?.lng?.bookingSuccessTitle || "Booking Confirmed!"}
+                    {isStandby
+                      ? (appConfig?.lng?.standbySuccessTitle || "Standby Request Received")
+                      : (appConfig?.lng?.bookingSuccessTitle || "Booking Confirmed!")}
                   </h3>
                   <p className="mt-2 text-gray-600">
-                    {appConfig?.lng?.bookingSuccessMessage || "Your reservation has been confirmed. We look forward to seeing you!"}
+                    {isStandby
+                      ? (appConfig?.lng?.standbySuccessMessage || "You're on our standby list. We'll be in touch if a table becomes available in your preferred time window.")
+                      : (appConfig?.lng?.bookingSuccessMessage || "Your reservation has been confirmed. We look forward to seeing you!")}
                   </p>
                   
+                  {redirectPending && (
+                    <p className="mt-2 text-sm text-gray-500 italic">
+                      {appConfig?.lng?.redirectingMessage || "Taking you to our thank-you page..."}
+                    </p>
+                  )}
+
                   {/* Show booking summary in the success screen */}
                   <div className="mt-4 max-w-md mx-auto">
                     {renderBookingSummary()}
@@ -1588,15 +1749,38 @@ export default function BookingDetailsModal({
                       {appConfig?.lng?.bookingErrorTitle || "Booking Error"}
                     </h3>
                     <p className="mt-2 text-red-600">
-                      {error}
+                      {errorInfo.message}
                     </p>
-                    <p className="mt-2 text-gray-600">
-                      {appConfig?.lng?.bookingErrorMessage || "There was a problem confirming your booking. Please try again or contact us directly."}
-                    </p>
-                    <div className="mt-6">
+                    <div className="mt-6 flex flex-wrap justify-center gap-2">
+                      {errorInfo.actions.includes(RECOVERY_ACTIONS.RETRY) && onDismissError && (
+                        <button
+                          type="button"
+                          className="px-4 py-2 bg-primary text-primary-content rounded-md hover:bg-primary focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary"
+                          onClick={onDismissError}
+                        >
+                          {appConfig?.lng?.errRetry || "Try again"}
+                        </button>
+                      )}
+                      {errorInfo.actions.includes(RECOVERY_ACTIONS.PICK_ANOTHER_TIME) && (
+                        <button
+                          type="button"
+                          className="px-4 py-2 bg-primary text-primary-content rounded-md hover:bg-primary focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary"
+                          onClick={onClose}
+                        >
+                          {appConfig?.lng?.errPickAnotherTime || "Pick another time"}
+                        </button>
+                      )}
+                      {errorInfo.actions.includes(RECOVERY_ACTIONS.CALL_VENUE) && (
+                        <a
+                          href={`tel:${String(appConfig.estPhone).replace(/[^\d+]/g, '')}`}
+                          className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50"
+                        >
+                          {(appConfig?.lng?.errCallVenue || "Call {phone}").replace('{phone}', appConfig.estPhone)}
+                        </a>
+                      )}
                       <button
                       type="button"
-                      className="px-4 py-2 bg-primary text-primary-content rounded-md hover:bg-primary focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary"
+                      className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary"
                         onClick={onClose}
                       >
                         {appConfig?.lng?.bookingCloseButton || "Close"}
@@ -1610,7 +1794,9 @@ export default function BookingDetailsModal({
                       as="h3"
                       className="text-lg font-medium leading-6 text-gray-900 text-center"
                     >
-                      {appConfig?.lng?.bookingDetailsTitle || "Complete Your Reservation"}
+                      {isStandby
+                        ? (appConfig?.lng?.standbyDetailsTitle || "Request a Standby Booking")
+                        : (appConfig?.lng?.bookingDetailsTitle || "Complete Your Reservation")}
                     </Dialog.Title>
 
                     {/* Booking summary */}
@@ -1641,6 +1827,30 @@ export default function BookingDetailsModal({
                       </div>
                     </div>
 
+                    {/* Hold about to lapse – offer to re-hold the same slot */}
+                    {!timerExpired && !success && !localSuccess && timeRemaining <= HOLD_WARNING_SECONDS && (
+                      <div className="mt-2 mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-md text-center" role="alert">
+                        <p className="text-yellow-800 font-medium">
+                          {appConfig?.lng?.holdExpiryWarning || "Your table is held for less than a minute."}
+                        </p>
+                        {onExtendHold && (
+                          <button
+                            type="button"
+                            className="mt-2 px-3 py-1 text-sm font-medium text-yellow-900 bg-yellow-100 border border-yellow-300 rounded-md hover:bg-yellow-200 disabled:opacity-50"
+                            onClick={handleExtendHold}
+                            disabled={isExtendingHold || paymentProcessing}
+                          >
+                            {isExtendingHold
+                              ? (appConfig?.lng?.holdExtending || "Extending...")
+                              : (appConfig?.lng?.holdExtendButton || "Need more time?")}
+                          </button>
+                        )}
+                        {extendHoldError && (
+                          <p className="text-red-600 text-sm mt-1">{extendHoldError}</p>
+                        )}
+                      </div>
+                    )}
+
                     {/* Timer expired message */}
                     {timerExpired && (
                       <div className="mt-2 mb-4 p-3 bg-red-50 border border-red-200 rounded-md text-center">
@@ -1921,6 +2131,16 @@ export default function BookingDetailsModal({
                           </div>
                         )}
 
+                        {/* Terms & privacy consent (Must tick) */}
+                        <TermsConsent
+                          documents={consentDocuments}
+                          accepted={consentAccepted}
+                          onChange={handleConsentChange}
+                          error={validationErrors.consent}
+                          disabled={timerExpired}
+                          languageStrings={appConfig?.lng}
+                        />
+
                         {/* Allergies section */}
                         <div className="mb-6">
                           <h4 className="font-medium text-gray-700 mb-2">
@@ -2032,6 +2252,7 @@ export default function BookingDetailsModal({
                         )}
                         
                         {/* Opt-in for marketing */}
+                        {!hideOptin && (
                         <div className="mb-6">
                           <div className="flex items-center">
                             <input
@@ -2048,6 +2269,7 @@ export default function BookingDetailsModal({
                             </label>
                           </div>
                         </div>
+                        )}
                         
                         {/* Form buttons */}
                         <div className="mt-6 flex justify-between">
@@ -2077,7 +2299,9 @@ export default function BookingDetailsModal({
                               className="px-4 py-2 bg-primary text-primary-content rounded-md hover:bg-primary focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary disabled:opacity-50 disabled:cursor-not-allowed"
                               disabled={isLoading || timerExpired}
                             >
-                              {appConfig?.lng?.bookingConfirmButton || "Confirm Booking"}
+                              {isStandby
+                                ? (appConfig?.lng?.standbyConfirmButton || "Submit Standby Request")
+                                : (appConfig?.lng?.bookingConfirmButton || "Confirm Booking")}
                             </button>
                           )}
                         </div>
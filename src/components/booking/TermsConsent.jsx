@@ -0,0 +1,131 @@
+import React, { useState } from 'react';
+
+const isHttpUrl = (value) => typeof value === 'string' && /^https?:\/\//i.test(value.trim());
+
+/**
+ * Resolves the terms / privacy documents from config.
+ * `LinkTC` / `LinkPriv` hold the URLs; `viewTerms` / `viewPrivacy` (when
+ * strings) are the venue's own link labels.
+ *
+ * @param {Object} appConfig - Loaded app configuration
+ * @returns {Array<{key: string, url: string, label: string}>} - Documents with a usable URL
+ */
+export const getConsentDocuments = (appConfig) => {
+  const lng = appConfig?.lng || {};
+  const label = (configLabel, lngLabel, fallback) =>
+    (typeof configLabel === 'string' && configLabel.trim()) ? configLabel.trim() : (lngLabel || fallback);
+
+  return [
+    {
+      key: 'terms',
+      url: appConfig?.LinkTC,
+      label: label(appConfig?.viewTerms, lng.termsLinkLabel, 'Terms & Conditions')
+    },
+    {
+      key: 'privacy',
+      url: appConfig?.LinkPriv,
+      label: label(appConfig?.viewPrivacy, lng.privacyLinkLabel, 'Privacy Policy')
+    }
+  ]
+    .filter((doc) => isHttpUrl(doc.url))
+    .map((doc) => ({ ...doc, url: doc.url.trim() }));
+};
+
+/**
+ * TermsConsent - Must-tick acceptance of the venue's terms and privacy policy.
+ * Documents open in an in-widget reader; many sites refuse to be framed, so
+ * the reader always offers an "open in new tab" link as a fallback.
+ */
+const TermsConsent = ({
+  documents,
+  accepted,
+  onChange,
+  error,
+  disabled = false,
+  languageStrings,
+}) => {
+  const [openDoc, setOpenDoc] = useState(null);
+
+  if (!documents || documents.length === 0) return null;
+
+  const renderDocLink = (doc) => (
+    <button
+      key={doc.key}
+      type="button"
+      className="text-primary underline hover:no-underline"
+      onClick={() => setOpenDoc(doc)}
+    >
+      {doc.label}
+    </button>
+  );
+
+  return (
+    <div className="mb-6">
+      <h4 className="font-medium text-gray-700 mb-2">
+        {languageStrings?.consentTitle || 'Terms & Privacy'}
+      </h4>
+      <label className="inline-flex items-start text-sm">
+        <input
+          type="checkbox"
+          className="checkbox checkbox-primary mt-0.5"
+          checked={accepted}
+          onChange={(e) => onChange(e.target.checked)}
+          disabled={disabled}
+        />
+        <span className="ml-2">
+          <span className="px-2 py-0.5 text-xs rounded bg-red-100 text-red-700 mr-2">
+            Required
+          </span>
+          {languageStrings?.consentAgreeLabel || 'I have read and accept the'}{' '}
+          {documents.map((doc, index) => (
+            <React.Fragment key={doc.key}>
+              {index > 0 && ` ${languageStrings?.consentAnd || 'and'} `}
+              {renderDocLink(doc)}
+            </React.Fragment>
+          ))}
+        </span>
+      </label>
+      {error && (
+        <p className="mt-1 text-sm text-red-600">{error}</p>
+      )}
+
+      {/* In-widget document reader */}
+      {openDoc && (
+        <div className="mt-3 border border-gray-300 rounded-md overflow-hidden">
+          <div className="flex items-center justify-between px-3 py-2 bg-gray-50 border-b border-gray-200 text-sm">
+            <span className="font-medium text-gray-700">{openDoc.label}</span>
+            <div className="flex items-center gap-3">
+              <a
+                href={openDoc.url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="text-primary underline hover:no-underline"
+              >
+                {languageStrings?.consentOpenExternal || 'Open in new tab'}
+              </a>
+              <button
+                type="button"
+                className="text-gray-500 hover:text-gray-700"
+                onClick={() => setOpenDoc(null)}
+                aria-label={languageStrings?.bookingCloseButton || 'Close'}
+              >
+                ✕
+              </button>
+            </div>
+          </div>
+          <iframe
+            src={openDoc.url}
+            title={openDoc.label}
+            className="w-full h-64 bg-white"
+            sandbox="allow-same-origin allow-popups"
+          />
+          <p className="px-3 py-2 text-xs text-gray-500">
+            {languageStrings?.consentReaderFallback || "If the document doesn't load here, use \"Open in new tab\"."}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TermsConsent;
@@ -1,3 +1,4 @@
 export { default as BookingDetailsModal } from './BookingDetailsModal';
 export { default as StripeCardElement } from './StripeCardElement';
 export { default as StripeProvider } from './StripeProvider';
+export { default as TermsConsent } from './TermsConsent';
@@ -0,0 +1,46 @@
+import React from 'react';
+
+/**
+ * WizardProgress - Step indicator for the wizard layout. Steps the guest
+ * has already unlocked can be clicked to jump back (or forward) to them.
+ */
+const WizardProgress = ({
+  steps,
+  currentStep,
+  maxReachableStep,
+  onStepClick,
+  languageStrings,
+}) => {
+  if (!steps || steps.length === 0) return null;
+
+  return (
+    <nav aria-label={languageStrings?.wizardProgressLabel || 'Booking progress'}>
+      <ul className="steps w-full">
+        {steps.map((step, index) => {
+          const isReachable = index <= maxReachableStep && index !== currentStep;
+          return (
+            <li
+              key={step.key}
+              className={`step ${index <= currentStep ? 'step-primary' : ''}`}
+              aria-current={index === currentStep ? 'step' : undefined}
+            >
+              {isReachable ? (
+                <button
+                  type="button"
+                  className="text-sm underline hover:no-underline"
+                  onClick={() => onStepClick(index)}
+                >
+                  {step.label}
+                </button>
+              ) : (
+                <span className={`text-sm ${index === currentStep ? 'font-semibold' : ''}`}>{step.label}</span>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </nav>
+  );
+};
+
+export default WizardProgress;
@@ -0,0 +1,74 @@
+import React from 'react';
+import SelectedAddonsSummary from '../SelectedAddonsSummary';
+import { formatDecimalTime } from '../../utils/time';
+import { formatSummaryDate } from '../../utils/localeDates';
+
+/**
+ * WizardReview - Final wizard step. Recaps date, guests, time, area and
+ * add-ons before the guest proceeds to the hold / details modal. Each row
+ * links back to the step where it was chosen.
+ */
+const WizardReview = ({
+  selectedDate,
+  guests,
+  selectedShiftTime,
+  selectedAreaName,
+  selectedAddons,
+  currentShiftAddons,
+  moneyFormat,
+  dateLocalisation,
+  languageStrings,
+  timeFormat,
+  onEditStep,
+  debugMode = false,
+}) => {
+  const hasAddons = selectedAddons &&
+    (selectedAddons.menus.length > 0 || Object.keys(selectedAddons.options).length > 0);
+
+  const renderRow = (label, value, step) => (
+    <div className="flex justify-between items-baseline gap-4 py-2 border-b border-base-300 last:border-b-0">
+      <span className="font-medium text-base-content/70">{label}</span>
+      <span className="text-right">
+        {value}
+        <button
+          type="button"
+          className="ml-3 text-sm text-primary underline hover:no-underline"
+          onClick={() => onEditStep(step)}
+        >
+          {languageStrings?.wizardEdit || 'Edit'}
+        </button>
+      </span>
+    </div>
+  );
+
+  return (
+    <div className="p-4 rounded-lg shadow bg-base-100 border border-base-300 space-y-4">
+      <h4 className="text-xl font-semibold text-base-content">
+        {languageStrings?.wizardReviewTitle || 'Review your booking'}
+      </h4>
+      <div>
+        {renderRow(languageStrings?.date || 'Date', formatSummaryDate(selectedDate, dateLocalisation), 0)}
+        {renderRow(languageStrings?.guests || 'Guests', guests, 0)}
+        {renderRow(
+          languageStrings?.time || 'Time',
+          `${selectedShiftTime?.name ? `${selectedShiftTime.name} – ` : ''}${formatDecimalTime(selectedShiftTime?.selectedTime, timeFormat)}`,
+          1
+        )}
+        {selectedAreaName && renderRow(languageStrings?.wizardAreaLabel || 'Area', selectedAreaName, 1)}
+      </div>
+      {hasAddons && (
+        <SelectedAddonsSummary
+          selectedAddons={selectedAddons}
+          moneyFormat={moneyFormat}
+          languageStrings={languageStrings}
+          guestCount={guests}
+          currentShiftAddons={currentShiftAddons}
+          selectedShiftTime={selectedShiftTime}
+          debugMode={debugMode}
+        />
+      )}
+    </div>
+  );
+};
+
+export default WizardReview;
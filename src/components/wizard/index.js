@@ -0,0 +1,2 @@
+export { default as WizardProgress } from './WizardProgress';
+export { default as WizardReview } from './WizardReview';
@@ -0,0 +1,141 @@
+// src/config/configCache.js
+
+/**
+ * Stored copy of each venue's parsed /web/form config, so the widget can
+ * render straight away and revalidate in the background
+ * (stale-while-revalidate).
+ *
+ * Entries live in localStorage under `eveve:config:<form host>|<est>` – the
+ * host being the live Eveve server or a `?mock=` scenario's stand-in, so a
+ * mock session never feeds a live one – and record the venue's `tmsVersion`.
+ * An entry is dropped when it is older than CONFIG_CACHE_MAX_AGE_MS or was
+ * written by an older CONFIG_CACHE_FORMAT.
+ * Language strings are never stored; they are loaded locally on every run.
+ * `?refreshConfig=1` (or the embed's `data-refresh-config`) skips the stored
+ * copy and replaces it.
+ */
+
+export const CONFIG_CACHE_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Bump when the shape of the parsed config changes, so old entries are ignored
+export const CONFIG_CACHE_FORMAT = 2;
+
+const STORAGE_PREFIX = 'eveve:config:';
+
+// Local to each run, so never stored
+const UNCACHED_KEYS = ['lng', 'locale'];
+
+// Config that changes what the calendar and guest picker offer
+export const CALENDAR_CONFIG_KEYS = [
+  'partyMin', 'partyMax', 'eventsB', 'horizon', 'days', 'trailing', 'noStandby', 'standbyOnline', 'maxRequest'
+];
+
+// Where requests go and how guests reach the venue; a stale value sends calls to the wrong host
+export const ENDPOINT_CONFIG_KEYS = [
+  'dapi', 'estPhone', 'telLink', 'sisters', 'thankURL', 'redirect', 'LinkTC', 'LinkPriv'
+];
+
+// Changes to these are applied as soon as a revalidation returns
+export const LIVE_CONFIG_KEYS = [...CALENDAR_CONFIG_KEYS, ...ENDPOINT_CONFIG_KEYS];
+
+const REFRESH_VALUES = ['1', 'true', 'yes', 'on'];
+
+const storageKey = (source, est) => `${STORAGE_PREFIX}${source}|${est}`;
+
+// localStorage throws when storage is blocked (e.g. third-party iframes, private mode)
+const getStorage = () => {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch (_) {
+    return null;
+  }
+};
+
+/**
+ * Reads the embedder's cache-bust request: `?refreshConfig=1` in the URL, or
+ * the inline embed's `data-refresh-config` (exposed on `window.__EVEVE_EMBED`).
+ *
+ * @returns {boolean}
+ */
+export const isConfigRefreshRequested = () => {
+  if (typeof window === 'undefined') return false;
+  const fromUrl = new URLSearchParams(window.location.search).get('refreshConfig');
+  const requested = String(fromUrl ?? window.__EVEVE_EMBED?.refreshConfig ?? '').trim().toLowerCase();
+  return REFRESH_VALUES.includes(requested);
+};
+
+/**
+ * Reads a venue's stored config
+ *
+ * @param {string} source - Form host the config comes from (live or mock stand-in)
+ * @param {string} est - Establishment ID
+ * @returns {{config: Object, tmsVersion: *, storedAt: number}|null} - null when
+ *   missing, expired, from an older format or unreadable
+ */
+export const readCachedConfig = (source, est) => {
+  const storage = getStorage();
+  if (!storage || !est) return null;
+  try {
+    const entry = JSON.parse(storage.getItem(storageKey(source, est)) || 'null');
+    if (!entry || entry.format !== CONFIG_CACHE_FORMAT || !entry.config) return null;
+    if (Date.now() - entry.storedAt > CONFIG_CACHE_MAX_AGE_MS) {
+      storage.removeItem(storageKey(source, est));
+      return null;
+    }
+    return { config: entry.config, tmsVersion: entry.tmsVersion ?? null, storedAt: entry.storedAt };
+  } catch (error) {
+    console.warn(`Ignoring unreadable cached config for ${est}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Stores a venue's parsed config (without language strings)
+ *
+ * @param {string} source - Form host the config comes from (live or mock stand-in)
+ * @param {string} est - Establishment ID
+ * @param {Object} config - Config from loadAppConfig
+ */
+export const writeCachedConfig = (source, est, config) => {
+  const storage = getStorage();
+  if (!storage || !est || !config) return;
+  const stored = Object.fromEntries(Object.entries(config).filter(([key]) => !UNCACHED_KEYS.includes(key)));
+  try {
+    storage.setItem(storageKey(source, est), JSON.stringify({
+      format: CONFIG_CACHE_FORMAT,
+      tmsVersion: config.tmsVersion ?? null,
+      storedAt: Date.now(),
+      config: stored
+    }));
+  } catch (error) {
+    // Quota exceeded – the widget still works, just without the fast path
+    console.warn(`Could not cache config for ${est}:`, error.message);
+  }
+};
+
+/**
+ * Drops a venue's stored config
+ *
+ * @param {string} source - Form host the config comes from (live or mock stand-in)
+ * @param {string} est - Establishment ID
+ */
+export const clearCachedConfig = (source, est) => {
+  try {
+    getStorage()?.removeItem(storageKey(source, est));
+  } catch (_) {}
+};
+
+/**
+ * Lists the config keys whose values differ (language strings aside)
+ *
+ * @param {Object} previous
+ * @param {Object} next
+ * @returns {string[]}
+ */
+export const diffConfig = (previous, next) => {
+  const keys = new Set([...Object.keys(previous || {}), ...Object.keys(next || {})]);
+  return [...keys].filter((key) =>
+    !UNCACHED_KEYS.includes(key) &&
+    JSON.stringify(previous?.[key]) !== JSON.stringify(next?.[key])
+  );
+};
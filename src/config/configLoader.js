@@ -1,23 +1,120 @@
-import localLngData from '../i18n/en.json'; // Import the local JSON file
+import { loadLanguageStrings, createLanguageStrings } from '../i18n'; // Locale bundles with English fallback
+import { resolveApiBase } from '../api/mock'; // ?mock=<scenario> → local Eveve stand-in
+import { extractConfigVariables, CONFIG_VAR_STATUS } from './configScriptParser'; // Literal-only reader, never executes the script
+import {
+  readCachedConfig,
+  writeCachedConfig,
+  clearCachedConfig,
+  diffConfig,
+  isConfigRefreshRequested
+} from './configCache'; // Stored copy for stale-while-revalidate
 
 // src/config/configLoader.js
 
+// Every venue's /web/form is served from here (its `dapi` may point elsewhere)
+const CONFIG_FORM_HOST = 'https://nz.eveve.com';
+
 /**
- * Fetches the restaurant configuration HTML and parses out relevant JavaScript variables.
+ * Loads the restaurant configuration plus local language strings.
+ *
+ * A stored copy (see configCache.js) is returned straight away and the venue's
+ * form is re-fetched in the background; when that differs, the fresh config is
+ * stored and handed to `onRevalidated`. Without a stored copy, or with
+ * `?refreshConfig=1`, the form is fetched before resolving.
+ *
  * @param {string} estId - The establishment ID (e.g., 'TestNZ4').
- * @returns {Promise<Object>} A promise that resolves to an object containing the extracted variables.
+ * @param {Object} [options]
+ * @param {Function} [options.onRevalidated] - `(config, { changedKeys, tmsVersionChanged })`,
+ *   called when the background fetch found changes to a stored copy
+ * @returns {Promise<Object>} A promise that resolves to an object containing the extracted variables,
+ *   plus `configDiagnostics` – per variable `{ status, line, message? }` – and `fromCache`.
  */
-export async function loadAppConfig(estId) {
+export async function loadAppConfig(estId, { onRevalidated } = {}) {
   if (!estId) {
     console.error("Establishment ID is required.");
     return Promise.reject("Establishment ID is required.");
   }
 
-  const url = `https://nz.eveve.com/web/form?est=${estId}`;
+  // Cached per form host too, so a ?mock= session and a live one never share an entry
+  const source = resolveApiBase(CONFIG_FORM_HOST);
+  const refresh = isConfigRefreshRequested();
+  if (refresh) clearCachedConfig(source, estId);
+
+  const cached = refresh ? null : readCachedConfig(source, estId);
+  if (cached) {
+    console.log(`Using cached configuration for ${estId} (tmsVersion ${cached.tmsVersion}), revalidating in the background`);
+    const config = await withLanguageStrings({ ...cached.config, fromCache: true });
+    // Only once the cached copy is ready, so the fresh one can't be handed over first
+    revalidateConfig(source, estId, cached, onRevalidated);
+    return config;
+  }
+
+  // no-store: a cache-bust must not be answered from the browser's HTTP cache either
+  const config = await fetchRemoteConfig(estId, refresh ? 'no-store' : 'default');
+  // Only a usable config is worth keeping
+  if (config.estFull) writeCachedConfig(source, estId, config);
+  return withLanguageStrings({ ...config, fromCache: false });
+}
+
+/**
+ * Re-fetches a venue's form behind a stored copy. Failures keep the stored
+ * copy; a form that no longer has `estFull` drops it, so the next load
+ * shows the error.
+ */
+async function revalidateConfig(source, estId, cached, onRevalidated) {
+  try {
+    const fresh = await fetchRemoteConfig(estId, 'no-cache');
+    if (!fresh.estFull) {
+      console.warn(`Revalidated configuration for ${estId} has no estFull; dropping the cached copy`);
+      clearCachedConfig(source, estId);
+      return;
+    }
+    writeCachedConfig(source, estId, fresh);
+
+    const changedKeys = diffConfig(cached.config, fresh);
+    if (changedKeys.length === 0) {
+      console.log(`Cached configuration for ${estId} is current`);
+      return;
+    }
+    console.log(`Configuration for ${estId} changed since it was cached:`, changedKeys);
+    const config = await withLanguageStrings({ ...fresh, fromCache: false });
+    onRevalidated?.(config, {
+      changedKeys,
+      tmsVersionChanged: (fresh.tmsVersion ?? null) !== cached.tmsVersion
+    });
+  } catch (error) {
+    console.warn(`Could not revalidate configuration for ${estId}; keeping the cached copy`, error);
+  }
+}
+
+// Language strings are sourced locally; the locale depends on ?lang= / data-lang and usrLang / estLang
+async function withLanguageStrings(config) {
+  try {
+    const { locale, lng } = await loadLanguageStrings(config);
+    config.locale = locale;
+    config.lng = lng;
+  } catch (e) {
+    console.error("Could not load language strings, falling back to English", e);
+    config.locale = 'en';
+    config.lng = createLanguageStrings({}, 'en');
+  }
+  return config;
+}
+
+/**
+ * Fetches the restaurant configuration HTML and parses out relevant JavaScript variables.
+ * Only literal values are read (see configScriptParser.js); the remote script is never executed.
+ * @param {string} estId - The establishment ID
+ * @param {string} cacheMode - fetch() `cache` mode for the form request
+ * @returns {Promise<Object>} Extracted variables (without language strings)
+ */
+async function fetchRemoteConfig(estId, cacheMode) {
+  // In mock mode the stand-in's form also points `dapi` at itself, so every later call stays local
+  const url = `${resolveApiBase(CONFIG_FORM_HOST)}/web/form?est=${estId}`;
   console.log(`Fetching configuration from: ${url}`);
 
   try {
-    const response = await fetch(url);
+    const response = await fetch(url, { cache: cacheMode });
     if (!response.ok) {
       throw new Error(`Failed to fetch HTML: ${response.status} ${response.statusText}`);
     }
@@ -48,108 +145,6 @@ export async function loadAppConfig(estId) {
 
     const extractedConfigs = {};
 
-    // Use the imported local language data
-    let localLng = localLngData; // Assign imported data
-    try {
-      // Create a Proxy for the localLng object to log access
-      const loggingLngHandler = {
-        get: function(target, prop, receiver) {
-          if (prop in target) {
-            //console.log(`Language variable accessed: lng.${prop}`);
-            return target[prop];
-          }
-          // If the key is not found, log an error and return a placeholder
-          console.error(`Language variable "lng.${prop}" not found in local language file.`);
-          return `[lng.${prop}]`; // Placeholder for missing translations
-        }
-      };
-      extractedConfigs.lng = new Proxy(localLng, loggingLngHandler);
-
-    } catch (e) {
-      console.error("Could not load or parse local language file src/i18n/en.json", e);
-      // Fallback to a minimal lng object with logging if localLngData itself is problematic (e.g. not valid JSON)
-      const fallbackLng = {};
-      extractedConfigs.lng = new Proxy(fallbackLng, {
-        get: function(target, prop) {
-          console.error(`Fallback lng: Language variable "lng.${prop}" accessed, but local file failed to load or parse.`);
-          return `[lng.${prop}_LOAD_FAILED]`;
-        }
-      });
-    }
-
-    // Helper function to extract variables. Only run if configScriptContent was found.
-    // Handles strings, arrays, objects, numbers, booleans with improved error handling.
-    const extractVar = (varName, scriptContent) => {
-      // Try standard variable declarations first: const/var/let varName = value
-      let regex = new RegExp(`(?:const|var|let)\\s+${varName}\\s*=\\s*([^;]+)(?:;|$)`, "m");
-      let match = scriptContent.match(regex);
-      
-      // If not found, try window property assignments: window.varName = value
-      if (!match) {
-        regex = new RegExp(`window\\.${varName}\\s*=\\s*([^;]+)(?:;|$)`, "m");
-        match = scriptContent.match(regex);
-      }
-
-      if (match && match[1]) {
-        let value = match[1].trim();
-        if (value.endsWith(',')) {
-          value = value.substring(0, value.length -1);
-        }
-
-        // Handle simple string values first (most common case)
-        if ((value.startsWith("'") && value.endsWith("'")) || (value.startsWith('"') && value.endsWith('"'))) {
-          return value.slice(1, -1);
-        }
-
-        // Handle numbers and booleans
-        if (/^-?\d+(\.\d+)?$/.test(value)) {
-          return parseFloat(value);
-        }
-        if (value === 'true') return true;
-        if (value === 'false') return false;
-        if (value === 'null') return null;
-        if (value === 'undefined') return undefined;
-
-        try {
-          // For complex objects/arrays, use more careful parsing
-          if ((value.startsWith('{') && value.endsWith('}')) || (value.startsWith('[') && value.endsWith(']'))) {
-            // Try JSON.parse first for safer parsing
-            try {
-              return JSON.parse(value);
-            } catch (jsonError) {
-              // If JSON.parse fails, try Function constructor as fallback
-              return new Function(`return ${value}`)();
-            }
-          }
-          
-          // For other complex values, use Function constructor
-          return new Function(`return ${value}`)();
-        } catch (e) {
-          console.warn(`Could not parse value for ${varName}: ${value.substring(0, 100)}${value.length > 100 ? '...' : ''}. Error: ${e.message}. Falling back to string.`);
-          
-          // Better fallback handling for malformed strings
-          if (value.startsWith("'")) {
-            // Find the last single quote, handle cases where string might be malformed
-            const lastQuote = value.lastIndexOf("'");
-            if (lastQuote > 0) {
-              return value.substring(1, lastQuote);
-            }
-          }
-          if (value.startsWith('"')) {
-            // Find the last double quote, handle cases where string might be malformed
-            const lastQuote = value.lastIndexOf('"');
-            if (lastQuote > 0) {
-              return value.substring(1, lastQuote);
-            }
-          }
-          
-          // If all else fails, return the raw value as string
-          return value;
-        }
-      }
-      return null;
-    };
-
     const variablesToExtract = [
       "estName", "partyMin", "partyMax", "areaAny", "arSelect", "usrLang", "currSym", "eventsB",
       "estLang", "weekDays", "weekDaysSun", "months", "month3", "prefCountry", "areaMsg",
@@ -171,33 +166,36 @@ export async function loadAppConfig(estId) {
 
     const uniqueVariablesToExtract = [...new Set(variablesToExtract)];
 
+    // Per-variable parse report; see extractConfigVariables in configScriptParser.js
+    let configDiagnostics = {};
+
     if (configScriptContent) { // Only try to extract if we found the script
-        for (const varName of uniqueVariablesToExtract) {
-          if (varName === 'lng') continue; // Skip lng as it's handled locally
-
-          let value = extractVar(varName, configScriptContent);
-          
-          // Special handling for showEventOnLoad - search all script blocks if not found in main config
-          if (value === null && varName === 'showEventOnLoad') {
-            // Search through ALL script blocks for showEventOnLoad
-            for (let script of scripts) {
-              const scriptText = script.textContent || script.innerText || "";
-              if (scriptText.includes('showEventOnLoad')) {
-                value = extractVar(varName, scriptText);
-                if (value !== null) {
-                  break;
-                }
-              }
-            }
-          }
-          
-          if (value !== null) {
-            extractedConfigs[varName] = value;
-          } else {
-            //console.warn(`Variable ${varName} could not be extracted.`);
-          }
+      const names = uniqueVariablesToExtract.filter((varName) => varName !== 'lng'); // lng is handled locally
+      const { values, diagnostics } = extractConfigVariables(configScriptContent, names);
+      Object.assign(extractedConfigs, values);
+      configDiagnostics = diagnostics;
+
+      // Special handling for showEventOnLoad - search all script blocks if not found in main config
+      if (diagnostics.showEventOnLoad?.status === CONFIG_VAR_STATUS.MISSING) {
+        for (let script of scripts) {
+          const scriptText = script.textContent || script.innerText || "";
+          if (!scriptText.includes('showEventOnLoad')) continue;
+          const fallback = extractConfigVariables(scriptText, ['showEventOnLoad']);
+          if (fallback.diagnostics.showEventOnLoad.status === CONFIG_VAR_STATUS.MISSING) continue;
+          Object.assign(extractedConfigs, fallback.values);
+          configDiagnostics.showEventOnLoad = fallback.diagnostics.showEventOnLoad;
+          break;
         }
+      }
+
+      // Values that needed evaluating are left out rather than executed
+      Object.entries(configDiagnostics)
+        .filter(([, diagnostic]) => diagnostic.status === CONFIG_VAR_STATUS.UNSUPPORTED || diagnostic.status === CONFIG_VAR_STATUS.INVALID)
+        .forEach(([varName, diagnostic]) => {
+          console.warn(`Config variable ${varName} skipped (${diagnostic.status}, line ${diagnostic.line}): ${diagnostic.message}`);
+        });
     }
+    extractedConfigs.configDiagnostics = configDiagnostics;
      console.log("Extracted Configs (excluding local lng):", extractedConfigs);
     return extractedConfigs;
 
@@ -0,0 +1,525 @@
+// src/config/configScriptParser.js
+
+/**
+ * Safe reader for the variables in Eveve's /web/form config script.
+ *
+ * The script is tokenised and only literal values are evaluated: objects
+ * (quoted or bare keys), arrays, strings, template strings without
+ * substitutions, numbers, booleans, null and undefined. Nothing is ever
+ * executed – a value that needs evaluating (a call, `new Date()`, another
+ * variable, string concatenation) is reported as `unsupported` and left out.
+ * Declarations may span lines and contain `;` inside strings or nested
+ * literals.
+ */
+
+export const CONFIG_VAR_STATUS = {
+  OK: 'ok',
+  MISSING: 'missing',
+  UNSUPPORTED: 'unsupported',
+  INVALID: 'invalid'
+};
+
+// Longest first, so `===` is never read as `==` + `=`
+const PUNCTUATORS = [
+  '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+  '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=',
+  '*=', '/=', '%=', '&=', '|=', '^=', '**', '<<', '>>',
+  '{', '}', '[', ']', '(', ')', ';', ',', '<', '>', '+', '-', '*', '/', '%',
+  '&', '|', '^', '!', '~', '?', ':', '=', '.', '@', '#'
+];
+
+// After these a `/` starts a regular expression rather than a division
+const REGEX_PRECEDING_KEYWORDS = [
+  'return', 'typeof', 'case', 'do', 'else', 'in', 'of', 'new', 'delete', 'void', 'throw', 'instanceof'
+];
+
+const DECLARATION_KEYWORDS = ['var', 'let', 'const'];
+
+const LITERAL_IDENTIFIERS = {
+  true: true,
+  false: false,
+  null: null,
+  undefined: undefined,
+  NaN: NaN,
+  Infinity: Infinity
+};
+
+const IDENTIFIER_PATTERN = /[\p{L}_$][\p{L}\p{N}_$]*/uy;
+const NUMBER_PATTERN = /(?:0[xX][\da-fA-F]+|0[bB][01]+|0[oO][0-7]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/y;
+
+const SIMPLE_ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', v: '\v', 0: '\0' };
+
+const parseFailure = (status, message, token) => {
+  const err = new Error(message);
+  err.code = status;
+  err.line = token?.line ?? null;
+  return err;
+};
+
+/* ------------------------------------------------------------------
+   Tokeniser
+------------------------------------------------------------------ */
+
+// Reads a quoted string or template starting at `start`; returns { value, end, hasSubstitutions },
+// or null when it is never closed
+const readQuoted = (source, start) => {
+  const quote = source[start];
+  let value = '';
+  let index = start + 1;
+  let hasSubstitutions = false;
+
+  while (index < source.length) {
+    const char = source[index];
+    if (char === quote) return { value, end: index + 1, hasSubstitutions };
+    if (char === '\n' && quote !== '`') break;
+
+    if (char === '\\') {
+      const next = source[index + 1];
+      if (next === undefined) break;
+      if (next === '\n') {
+        index += 2; // line continuation
+        continue;
+      }
+      if (next === 'u') {
+        const braced = source[index + 2] === '{';
+        const hex = braced
+          ? source.slice(index + 3, source.indexOf('}', index + 3))
+          : source.slice(index + 2, index + 6);
+        value += String.fromCodePoint(parseInt(hex, 16) || 0);
+        index += braced ? hex.length + 4 : 6;
+        continue;
+      }
+      if (next === 'x') {
+        value += String.fromCharCode(parseInt(source.slice(index + 2, index + 4), 16) || 0);
+        index += 4;
+        continue;
+      }
+      value += SIMPLE_ESCAPES[next] ?? next;
+      index += 2;
+      continue;
+    }
+
+    if (quote === '`' && char === '$' && source[index + 1] === '{') {
+      // Skip the substitution; the template can't be used as a literal
+      hasSubstitutions = true;
+      let depth = 1;
+      index += 2;
+      while (index < source.length && depth > 0) {
+        if (source[index] === '{') depth += 1;
+        else if (source[index] === '}') depth -= 1;
+        index += 1;
+      }
+      continue;
+    }
+
+    value += char;
+    index += 1;
+  }
+
+  return null;
+};
+
+// Reads a regular expression literal starting at `start`; returns its end, or -1 if it isn't one
+const readRegex = (source, start) => {
+  let index = start + 1;
+  let inClass = false;
+  while (index < source.length) {
+    const char = source[index];
+    if (char === '\n') return -1;
+    if (char === '\\') {
+      index += 2;
+      continue;
+    }
+    if (char === '[') inClass = true;
+    else if (char === ']') inClass = false;
+    else if (char === '/' && !inClass) {
+      index += 1;
+      while (/[a-z]/i.test(source[index] || '')) index += 1;
+      return index;
+    }
+    index += 1;
+  }
+  return -1;
+};
+
+const startsRegex = (previous) => {
+  if (!previous) return true;
+  if (previous.type === 'punctuator') return ![')', ']', '}'].includes(previous.value);
+  return previous.type === 'identifier' && REGEX_PRECEDING_KEYWORDS.includes(previous.value);
+};
+
+/**
+ * Splits a script into tokens, skipping whitespace and comments
+ *
+ * @param {string} source - Script text
+ * @returns {{tokens: Array<Object>, error: (Error|null)}} - Each token is
+ *   `{ type, value, line, newlineBefore }`; on an unterminated string or
+ *   comment, the tokens before it plus the error
+ */
+export const tokenizeScript = (source) => {
+  const tokens = [];
+  let index = 0;
+  let line = 1;
+  let newlineBefore = false;
+
+  const push = (type, value, extra = {}) => {
+    tokens.push({ type, value, line, newlineBefore, ...extra });
+    newlineBefore = false;
+  };
+
+  try {
+    while (index < source.length) {
+      const char = source[index];
+
+      if (char === '\n') {
+        line += 1;
+        newlineBefore = true;
+        index += 1;
+        continue;
+      }
+      if (/\s/.test(char)) {
+        index += 1;
+        continue;
+      }
+
+      // Comments (and HTML comment markers some pages still wrap scripts in)
+      if (source.startsWith('//', index) || source.startsWith('<!--', index) || source.startsWith('-->', index)) {
+        const end = source.indexOf('\n', index);
+        index = end === -1 ? source.length : end;
+        continue;
+      }
+      if (source.startsWith('/*', index)) {
+        const end = source.indexOf('*/', index + 2);
+        if (end === -1) throw parseFailure(CONFIG_VAR_STATUS.INVALID, `Unterminated comment on line ${line}`, { line });
+        const comment = source.slice(index, end + 2);
+        const breaks = comment.split('\n').length - 1;
+        if (breaks > 0) {
+          line += breaks;
+          newlineBefore = true;
+        }
+        index = end + 2;
+        continue;
+      }
+
+      if (char === '"' || char === "'" || char === '`') {
+        const startLine = line;
+        const quoted = readQuoted(source, index);
+        if (!quoted) {
+          // Unterminated: mark it and carry on from the next line
+          push('invalid', 'Unterminated string');
+          const lineEnd = source.indexOf('\n', index);
+          index = lineEnd === -1 ? source.length : lineEnd;
+          continue;
+        }
+        const { value, end, hasSubstitutions } = quoted;
+        line += source.slice(index, end).split('\n').length - 1;
+        tokens.push({
+          type: char === '`' ? 'template' : 'string',
+          value,
+          hasSubstitutions,
+          line: startLine,
+          newlineBefore
+        });
+        newlineBefore = false;
+        index = end;
+        continue;
+      }
+
+      NUMBER_PATTERN.lastIndex = index;
+      const number = /\d/.test(char) || (char === '.' && /\d/.test(source[index + 1] || ''))
+        ? NUMBER_PATTERN.exec(source)
+        : null;
+      if (number) {
+        push('number', Number(number[0]));
+        index += number[0].length;
+        continue;
+      }
+
+      IDENTIFIER_PATTERN.lastIndex = index;
+      const identifier = IDENTIFIER_PATTERN.exec(source);
+      if (identifier) {
+        push('identifier', identifier[0]);
+        index += identifier[0].length;
+        continue;
+      }
+
+      if (char === '/' && startsRegex(tokens[tokens.length - 1])) {
+        const end = readRegex(source, index);
+        if (end !== -1) {
+          push('regex', source.slice(index, end));
+          index = end;
+          continue;
+        }
+      }
+
+      const punctuator = PUNCTUATORS.find((candidate) => source.startsWith(candidate, index));
+      push('punctuator', punctuator || char);
+      index += punctuator ? punctuator.length : 1;
+    }
+  } catch (error) {
+    return { tokens, error };
+  }
+
+  return { tokens, error: null };
+};
+
+/* ------------------------------------------------------------------
+   Literal evaluation
+------------------------------------------------------------------ */
+
+const isPunctuator = (token, value) => token?.type === 'punctuator' && token.value === value;
+
+/**
+ * Evaluates the literal starting at `tokens[start]`
+ *
+ * @returns {{value: *, end: number}} - `end` is the index after the literal
+ * @throws {Error} `code` = CONFIG_VAR_STATUS.UNSUPPORTED / INVALID, `line` set
+ */
+const readLiteral = (tokens, start) => {
+  const token = tokens[start];
+  if (!token) throw parseFailure(CONFIG_VAR_STATUS.INVALID, 'Unexpected end of script', tokens[start - 1]);
+
+  if (token.type === 'invalid') throw parseFailure(CONFIG_VAR_STATUS.INVALID, token.value, token);
+  if (token.type === 'string') return { value: token.value, end: start + 1 };
+  if (token.type === 'number') return { value: token.value, end: start + 1 };
+  if (token.type === 'template') {
+    if (token.hasSubstitutions) {
+      throw parseFailure(CONFIG_VAR_STATUS.UNSUPPORTED, 'Template string with ${…} substitutions', token);
+    }
+    return { value: token.value, end: start + 1 };
+  }
+
+  if (token.type === 'identifier') {
+    if (Object.prototype.hasOwnProperty.call(LITERAL_IDENTIFIERS, token.value)) {
+      return { value: LITERAL_IDENTIFIERS[token.value], end: start + 1 };
+    }
+    if (token.value === 'new') throw parseFailure(CONFIG_VAR_STATUS.UNSUPPORTED, '`new` expression – only literal values are read', token);
+    if (token.value === 'function') throw parseFailure(CONFIG_VAR_STATUS.UNSUPPORTED, 'Function – only literal values are read', token);
+    throw parseFailure(CONFIG_VAR_STATUS.UNSUPPORTED, `Refers to \`${token.value}\` – only literal values are read`, token);
+  }
+
+  if (isPunctuator(token, '-') || isPunctuator(token, '+')) {
+    const operand = tokens[start + 1];
+    const isNumeric = operand?.type === 'number' ||
+      (operand?.type === 'identifier' && ['Infinity', 'NaN'].includes(operand.value));
+    if (!isNumeric) throw parseFailure(CONFIG_VAR_STATUS.UNSUPPORTED, `Unary \`${token.value}\` on a non-number`, token);
+    const { value } = readLiteral(tokens, start + 1);
+    return { value: token.value === '-' ? -value : value, end: start + 2 };
+  }
+
+  if (isPunctuator(token, '(')) {
+    const inner = readLiteral(tokens, start + 1);
+    if (!isPunctuator(tokens[inner.end], ')')) {
+      throw parseFailure(CONFIG_VAR_STATUS.UNSUPPORTED, 'Expression inside parentheses', tokens[inner.end] || token);
+    }
+    return { value: inner.value, end: inner.end + 1 };
+  }
+
+  if (isPunctuator(token, '[')) return readArray(tokens, start);
+  if (isPunctuator(token, '{')) return readObject(tokens, start);
+
+  throw parseFailure(CONFIG_VAR_STATUS.UNSUPPORTED, `Unexpected \`${token.value}\``, token);
+};
+
+// After an element: an operator means an expression to evaluate, anything else is a syntax error
+const separatorFailure = (token, container, opener) => {
+  if (!token) return parseFailure(CONFIG_VAR_STATUS.INVALID, `Unclosed ${container}`, opener);
+  if (token.type === 'punctuator') {
+    return parseFailure(CONFIG_VAR_STATUS.UNSUPPORTED, `Expression inside ${container} (\`${token.value}\`)`, token);
+  }
+  return parseFailure(CONFIG_VAR_STATUS.INVALID, `Missing \`,\` before \`${token.value}\` in ${container}`, token);
+};
+
+const readArray = (tokens, start) => {
+  const value = [];
+  let index = start + 1;
+
+  while (!isPunctuator(tokens[index], ']')) {
+    const token = tokens[index];
+    if (!token) throw parseFailure(CONFIG_VAR_STATUS.INVALID, 'Unclosed array', tokens[start]);
+    if (isPunctuator(token, ',')) {
+      value.push(undefined); // hole
+      index += 1;
+      continue;
+    }
+    if (isPunctuator(token, '...')) throw parseFailure(CONFIG_VAR_STATUS.UNSUPPORTED, 'Spread in array', token);
+
+    const element = readLiteral(tokens, index);
+    value.push(element.value);
+    index = element.end;
+    if (isPunctuator(tokens[index], ',')) index += 1;
+    else if (!isPunctuator(tokens[index], ']')) throw separatorFailure(tokens[index], 'array', tokens[start]);
+  }
+
+  return { value, end: index + 1 };
+};
+
+const readObject = (tokens, start) => {
+  const value = {};
+  let index = start + 1;
+
+  while (!isPunctuator(tokens[index], '}')) {
+    const keyToken = tokens[index];
+    if (!keyToken) throw parseFailure(CONFIG_VAR_STATUS.INVALID, 'Unclosed object', tokens[start]);
+    if (isPunctuator(keyToken, '...')) throw parseFailure(CONFIG_VAR_STATUS.UNSUPPORTED, 'Spread in object', keyToken);
+    if (isPunctuator(keyToken, '[')) throw parseFailure(CONFIG_VAR_STATUS.UNSUPPORTED, 'Computed property key', keyToken);
+    if (!['identifier', 'string', 'number'].includes(keyToken.type)) {
+      throw parseFailure(CONFIG_VAR_STATUS.INVALID, `Unexpected \`${keyToken.value}\` in object`, keyToken);
+    }
+
+    const separator = tokens[index + 1];
+    if (!isPunctuator(separator, ':')) {
+      throw parseFailure(CONFIG_VAR_STATUS.UNSUPPORTED, `Property \`${keyToken.value}\` is not \`key: value\``, separator || keyToken);
+    }
+
+    const property = readLiteral(tokens, index + 2);
+    // defineProperty, so a `__proto__` key is plain data rather than a prototype change
+    Object.defineProperty(value, String(keyToken.value), {
+      value: property.value,
+      enumerable: true,
+      writable: true,
+      configurable: true
+    });
+    index = property.end;
+    if (isPunctuator(tokens[index], ',')) index += 1;
+    else if (!isPunctuator(tokens[index], '}')) throw separatorFailure(tokens[index], 'object', tokens[start]);
+  }
+
+  return { value, end: index + 1 };
+};
+
+/* ------------------------------------------------------------------
+   Declarations
+------------------------------------------------------------------ */
+
+// Whether the literal's statement/declarator ends at `token` (`;`, `,`, block end, or a new line)
+const endsValue = (token) => {
+  if (!token) return true;
+  if (token.type === 'punctuator') return [';', ',', '}'].includes(token.value);
+  // A new line ends the statement unless it starts with an operator continuing the expression
+  return token.newlineBefore;
+};
+
+// Index of the next `,` / `;` / closing bracket at the current depth, or a new declaration line
+const skipValue = (tokens, start) => {
+  let depth = 0;
+  for (let index = start; index < tokens.length; index += 1) {
+    const token = tokens[index];
+    if (depth === 0 && index > start && token.newlineBefore && token.type === 'identifier') return index;
+    if (token.type !== 'punctuator') continue;
+    if (['(', '[', '{'].includes(token.value)) depth += 1;
+    else if ([')', ']', '}'].includes(token.value)) {
+      if (depth === 0) return index;
+      depth -= 1;
+    } else if (depth === 0 && [',', ';'].includes(token.value)) return index;
+  }
+  return tokens.length;
+};
+
+// Reads the value of `name = …` starting at `tokens[start]`; returns [entry, indexAfter]
+const readAssignedValue = (tokens, start, nameToken) => {
+  try {
+    const { value, end } = readLiteral(tokens, start);
+    if (!endsValue(tokens[end])) {
+      throw parseFailure(
+        CONFIG_VAR_STATUS.UNSUPPORTED,
+        `Expression continues after the literal (\`${tokens[end].value}\`) – only literal values are read`,
+        tokens[end]
+      );
+    }
+    return [{ status: CONFIG_VAR_STATUS.OK, value, line: nameToken.line }, end];
+  } catch (error) {
+    const entry = {
+      status: error.code || CONFIG_VAR_STATUS.INVALID,
+      line: nameToken.line,
+      message: error.line && error.line !== nameToken.line ? `${error.message} (line ${error.line})` : error.message
+    };
+    return [entry, skipValue(tokens, start)];
+  }
+};
+
+/**
+ * Reads every `var|let|const name = <literal>` declaration and
+ * `window.name = <literal>` assignment in a script, without executing it.
+ * The first declaration of a name wins; `window.` assignments only fill in
+ * names that are never declared.
+ *
+ * @param {string} source - Script text
+ * @returns {{entries: Object<string, Object>, error: (Error|null)}} - Per name
+ *   `{ status, value?, line, message? }` (see CONFIG_VAR_STATUS); `error` is
+ *   set when the script couldn't be tokenised to the end
+ */
+export const parseConfigScript = (source) => {
+  const { tokens, error } = tokenizeScript(String(source || ''));
+  const declared = {};
+  const assigned = {};
+
+  let index = 0;
+  while (index < tokens.length) {
+    const token = tokens[index];
+
+    if (token.type === 'identifier' && DECLARATION_KEYWORDS.includes(token.value) && !isPunctuator(tokens[index - 1], '.')) {
+      // var a = 1, b = 2; – one entry per declarator
+      index += 1;
+      while (tokens[index]?.type === 'identifier') {
+        const nameToken = tokens[index];
+        if (!isPunctuator(tokens[index + 1], '=')) break; // declared without a value
+        const [entry, next] = readAssignedValue(tokens, index + 2, nameToken);
+        if (!declared[nameToken.value]) declared[nameToken.value] = entry;
+        index = next;
+        if (!isPunctuator(tokens[index], ',')) break;
+        index += 1;
+      }
+      continue;
+    }
+
+    if (
+      token.type === 'identifier' && token.value === 'window' &&
+      isPunctuator(tokens[index + 1], '.') &&
+      tokens[index + 2]?.type === 'identifier' &&
+      isPunctuator(tokens[index + 3], '=')
+    ) {
+      const nameToken = tokens[index + 2];
+      const [entry, next] = readAssignedValue(tokens, index + 4, nameToken);
+      if (!assigned[nameToken.value]) assigned[nameToken.value] = entry;
+      index = next;
+      continue;
+    }
+
+    index += 1;
+  }
+
+  return { entries: { ...assigned, ...declared }, error };
+};
+
+/**
+ * Reads the named variables from a config script
+ *
+ * @param {string} source - Script text
+ * @param {string[]} names - Variables to read
+ * @returns {{values: Object, diagnostics: Object<string, Object>}} - `values` holds
+ *   only the variables read successfully; `diagnostics` has an entry per name:
+ *   `{ status, line, message? }`, status `missing` when never assigned
+ */
+export const extractConfigVariables = (source, names) => {
+  const { entries, error } = parseConfigScript(source);
+  const values = {};
+  const diagnostics = {};
+
+  names.forEach((name) => {
+    const entry = entries[name];
+    if (!entry) {
+      diagnostics[name] = {
+        status: CONFIG_VAR_STATUS.MISSING,
+        line: null,
+        ...(error ? { message: `Not found before: ${error.message}` } : {})
+      };
+      return;
+    }
+    const { value, ...diagnostic } = entry;
+    diagnostics[name] = diagnostic;
+    if (entry.status === CONFIG_VAR_STATUS.OK) values[name] = value;
+  });
+
+  return { values, diagnostics };
+};
@@ -1,3 +1,4 @@
 export { useHoldBooking } from './useHoldBooking';
 export { useUpdateHold } from './useUpdateHold';
 export { useStripePayment } from './useStripePayment';
+export { useManageBooking } from './useManageBooking';
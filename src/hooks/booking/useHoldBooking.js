@@ -1,6 +1,7 @@
 import { useState } from 'react';
 // Normalise legacy vs. new `card` formats so downstream code sees a consistent shape
 import { normalizeHold } from '../../utils/holdNormalize';
+import { BOOKING_ERROR_TYPES, createApiError, fetchWithTimeout } from '../../utils/bookingErrors';
 
 /**
  * Custom hook for holding a booking through the Eveve /web/hold API
@@ -25,7 +26,14 @@ export function useHoldBooking(baseUrl) {
    * @param {string} [bookingData.addons] - Comma-separated addon string
    * @param {string} [bookingData.area] - Area UID or "any"
    * @param {number|string} [bookingData.event] - Event ID when booking an event
+   * @param {boolean} [bookingData.standby] - Hold as a standby (waitlist) request
+   * @param {number} [bookingData.timeTo] - End of the preferred standby window (decimal)
+   * @param {number} [bookingData.uid] - Existing booking being changed (manage-my-booking)
+   * @param {number} [bookingData.created] - Creation timestamp of that booking
+   * @param {boolean} [bookingData.extendsHold] - Re-hold of the current hold (`uid`); the result
+   *   records it as `extendedFrom` so callers can tell an extension from a new booking
    * @returns {Promise<Object>} - Hold response data
+   * @throws {Error} Tagged with a BOOKING_ERROR_TYPES code (see bookingErrors.js)
    */
   const holdBooking = async (bookingData) => {
     setIsLoading(true);
@@ -58,26 +66,44 @@ export function useHoldBooking(baseUrl) {
         url.searchParams.append("event", bookingData.event);
       }
       
+      // Standby requests carry the preferred window: time (from) → to.
+      // Unconfirmed parameters – see docs/EVEVE_STRIPE_REQUESTS.md
+      if (bookingData.standby) {
+        url.searchParams.append("standby", 1);
+        if (bookingData.timeTo !== undefined && bookingData.timeTo !== null) {
+          url.searchParams.append("to", bookingData.timeTo);
+        }
+      }
+      
+      // Changing an existing booking: hold the new slot against its UID
+      if (bookingData.uid && bookingData.created) {
+        url.searchParams.append("uid", bookingData.uid);
+        url.searchParams.append("created", bookingData.created);
+      }
+      
       console.log("Hold Request URL:", url.toString());
       
-      const response = await fetch(url);
+      const response = await fetchWithTimeout(url);
       
       if (!response.ok) {
         const errorText = await response.text();
-        throw new Error(`Hold request failed: ${response.status} ${errorText}`);
+        throw createApiError('Hold', { status: response.status, detail: errorText });
       }
       
       const data = await response.json();
       
       if (!data.ok) {
-        throw new Error(data.message || "Hold request failed with API error");
+        // Eveve answers 200 with ok:false (and a reason in `message`) when it refuses the request
+        throw createApiError('Hold', { detail: data.message, fallbackType: BOOKING_ERROR_TYPES.SLOT_TAKEN });
       }
 
       /* ---------------------------------------------------------------
          Normalise hold data so callers don't need to handle both
          legacy numeric `card` and object `{code,…}` formats.
       --------------------------------------------------------------- */
-      const normalizedData = normalizeHold(data);
+      // receivedAt anchors the countdown when `until` carries no expiry
+      const normalizedData = { ...normalizeHold(data), receivedAt: Date.now() };
+      if (bookingData.extendsHold) normalizedData.extendedFrom = bookingData.uid;
       /* eslint-disable no-console */
       console.log('[useHoldBooking] Original hold data:', data);
       console.log('[useHoldBooking] Normalized hold data:', normalizedData);
@@ -95,6 +121,43 @@ export function useHoldBooking(baseUrl) {
     }
   };
   
+  /**
+   * Release a hold the guest has abandoned (expired or modal closed) so the
+   * table goes back on sale straight away instead of when the hold lapses
+   * 
+   * @param {Object} hold - Hold response ({ uid, created })
+   * @param {string} est - Restaurant ID
+   * @param {string} [lng] - Language
+   * @returns {Promise<boolean>} - True when Eveve confirmed the release
+   */
+  const releaseHold = async (hold, est, lng) => {
+    if (!hold?.uid) return false;
+    
+    try {
+      const url = new URL(`${baseUrl}/web/cancel`);
+      url.searchParams.append("est", est);
+      url.searchParams.append("lng", lng || "en");
+      url.searchParams.append("uid", hold.uid);
+      if (hold.created) {
+        url.searchParams.append("created", hold.created);
+      }
+      
+      console.log("Release Hold Request URL:", url.toString());
+      
+      // keepalive lets the release finish if the page is being left
+      const response = await fetch(url, { keepalive: true });
+      if (!response.ok) {
+        throw new Error(`Release request failed: ${response.status}`);
+      }
+      const data = await response.json();
+      return !!data?.ok;
+    } catch (err) {
+      // The hold still lapses on its own – nothing for the guest to do
+      console.warn("Error releasing hold:", err);
+      return false;
+    }
+  };
+  
   /**
    * Clear the current hold data
    */
@@ -105,6 +168,7 @@ export function useHoldBooking(baseUrl) {
   
   return {
     holdBooking,
+    releaseHold,
     clearHoldData,
     isLoading,
     error,
@@ -0,0 +1,217 @@
+import { useState } from 'react';
+import { format } from 'date-fns';
+import * as eveveApi from '../../api/eveve';
+import { useHoldBooking } from './useHoldBooking';
+import { useUpdateHold } from './useUpdateHold';
+import { normalizeManagedBooking, getDepositStatus } from '../../utils/manageBooking';
+
+/**
+ * Custom hook for manage-my-booking mode: loads an existing booking through
+ * /api/restore, changes it through the /web/hold → /web/update pipeline and
+ * cancels it through /web/cancel.
+ *
+ * @param {string} baseUrl - Base API URL (e.g. https://nz.eveve.com)
+ * @param {string} est - Establishment code
+ * @returns {Object} Hook methods and state
+ */
+export function useManageBooking(baseUrl, est) {
+  const [booking, setBooking] = useState(null);
+  const [deposit, setDeposit] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const { holdBooking } = useHoldBooking(baseUrl);
+  const { updateHold } = useUpdateHold(baseUrl);
+
+  /**
+   * Load the booking named in the manage link
+   *
+   * @param {Object} request - Result of getManageRequest
+   * @returns {Promise<Object>} - Normalised booking
+   */
+  const loadBooking = async (request) => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const { data } = await eveveApi.restore({
+        est,
+        uid: request.uid,
+        created: request.created,
+        type: 0
+      });
+
+      if (!data?.ok) {
+        throw new Error(data?.message || "Booking not found");
+      }
+
+      const loaded = normalizeManagedBooking(data, request);
+      setBooking(loaded);
+
+      // Deposit state only changes the messaging – carry on without it
+      try {
+        const { data: depositData } = await eveveApi.depositGet({
+          est,
+          UID: request.uid,
+          created: request.created,
+          lang: 'english',
+          type: 0
+        });
+        setDeposit(depositData?.ok ? getDepositStatus(depositData) : null);
+      } catch (depositErr) {
+        console.warn('[useManageBooking] deposit-get failed:', depositErr?.message);
+        setDeposit(null);
+      }
+
+      return loaded;
+    } catch (err) {
+      console.error("Error loading booking:", err);
+      setError(err.message || "Failed to load booking");
+      throw err;
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Undo a hold that can't be completed: a hold under a new UID is released;
+   * a booking re-held in place is moved back to its original slot
+   *
+   * @param {Object} hold - Response from /web/hold
+   * @param {string} [lng] - Language code
+   */
+  const revertHold = async (hold, lng) => {
+    const holdUid = hold?.uid || booking.uid;
+    try {
+      if (String(holdUid) !== String(booking.uid)) {
+        await eveveApi.cancel({ est, uid: holdUid, created: hold?.created, lng }, baseUrl);
+        return;
+      }
+      if (!booking.date || booking.time === null || booking.time === undefined) {
+        throw new Error("Original date/time unknown");
+      }
+      await holdBooking({
+        est,
+        lng,
+        covers: booking.covers,
+        date: format(booking.date, 'yyyy-MM-dd'),
+        time: booking.time,
+        uid: booking.uid,
+        created: booking.created
+      });
+      await updateHold(booking.uid, { est, lng, created: booking.created });
+    } catch (err) {
+      // The guest is told to call, so staff can put the booking right
+      console.error("Could not restore the booking after a refused change:", err);
+    }
+  };
+
+  /**
+   * Move the booking to a new date, time and/or party size.
+   *
+   * Whether the new slot needs a card is only known from the hold, so a
+   * change that does is undone (see revertHold) before CARD_REQUIRED is thrown.
+   *
+   * @param {Object} changes - New booking details
+   * @param {string} changes.date - Date (YYYY-MM-DD)
+   * @param {Date} [changes.dateObj] - Same date as a Date, for the updated summary
+   * @param {number} changes.time - Time in decimal format
+   * @param {number} changes.covers - Number of guests
+   * @param {string} [changes.lng] - Language code
+   * @returns {Promise<Object>} - Updated booking
+   */
+  const modifyBooking = async (changes) => {
+    if (!booking) throw new Error("No booking loaded");
+    setIsSubmitting(true);
+    setError(null);
+
+    try {
+      const hold = await holdBooking({
+        est,
+        lng: changes.lng,
+        covers: changes.covers,
+        date: changes.date,
+        time: changes.time,
+        uid: booking.uid,
+        created: booking.created
+      });
+
+      // A new card requirement can't be collected here – the guest has to call
+      if (hold?.card > 0 && deposit?.type !== 'deposit') {
+        await revertHold(hold, changes.lng);
+        const cardErr = new Error("Card required for this change");
+        cardErr.code = 'CARD_REQUIRED';
+        throw cardErr;
+      }
+
+      await updateHold(hold?.uid || booking.uid, {
+        est,
+        lng: changes.lng,
+        created: hold?.created || booking.created
+      });
+
+      const updated = {
+        ...booking,
+        uid: hold?.uid || booking.uid,
+        created: hold?.created || booking.created,
+        date: changes.dateObj || booking.date,
+        time: changes.time,
+        covers: changes.covers
+      };
+      setBooking(updated);
+      return updated;
+    } catch (err) {
+      console.error("Error changing booking:", err);
+      setError(err.message || "Failed to change booking");
+      throw err;
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  /**
+   * Cancel the booking
+   *
+   * @param {string} [lng] - Language code
+   * @returns {Promise<Object>} - Cancel response data
+   */
+  const cancelBooking = async (lng) => {
+    if (!booking) throw new Error("No booking loaded");
+    setIsSubmitting(true);
+    setError(null);
+
+    try {
+      const { data } = await eveveApi.cancel({
+        est,
+        uid: booking.uid,
+        created: booking.created,
+        lng: lng || 'en'
+      }, baseUrl);
+
+      if (!data?.ok) {
+        throw new Error(data?.message || "Cancel request failed with API error");
+      }
+
+      setBooking({ ...booking, cancelled: true });
+      return data;
+    } catch (err) {
+      console.error("Error cancelling booking:", err);
+      setError(err.message || "Failed to cancel booking");
+      throw err;
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return {
+    loadBooking,
+    modifyBooking,
+    cancelBooking,
+    booking,
+    deposit,
+    isLoading,
+    isSubmitting,
+    error
+  };
+}
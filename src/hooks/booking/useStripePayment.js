@@ -1,6 +1,14 @@
 import { useState, useCallback } from 'react';
 import * as eveveApi from '../../api/eveve';
 import * as stripeApi from '../../api/stripe';
+import { getMoneyFormat, formatMoney } from '../../utils/money';
+
+// Amount for log lines, in the deposit's own currency when Eveve reports it
+const formatLogAmount = ({ amount, currency } = {}) => (
+  currency
+    ? formatMoney(amount, getMoneyFormat(null, currency))
+    : `${((Number(amount) || 0) / 100).toFixed(2)} (currency not reported)`
+);
 
 /**
  * Custom hook for handling Stripe payment flow in the booking process
@@ -362,7 +370,7 @@ export function useStripePayment(baseUrl = 'https://uk6.eveve.com') {
       
       // THE SINGLE ESSENTIAL CONSOLE MESSAGE
       if (depositInfo.isDeposit) {
-        console.log(`🔄 STRIPE INTENT: [CHARGE $${(depositInfo.amount / 100).toFixed(2)} NOW] - Source: [${depositSource}]`);
+        console.log(`🔄 STRIPE INTENT: [CHARGE ${formatLogAmount(depositInfo)} NOW] - Source: [${depositSource}]`);
       } else {
         console.log(`🔄 STRIPE INTENT: [STORE CARD - NO CHARGE] - Source: [${depositSource}]`);
       }
@@ -387,7 +395,7 @@ export function useStripePayment(baseUrl = 'https://uk6.eveve.com') {
         const warnMessage = `
           ⚠️ CONFIGURATION WARNING:
           Eveve returned intent type "${intentType}" while a deposit charge is
-          required.  Amount: $${(depositInfo.amount / 100).toFixed(2)}.
+          required.  Amount: ${formatLogAmount(depositInfo)}.
           
           Source: ${depositSource}
         `;
@@ -1,4 +1,5 @@
 import { useState } from 'react';
+import { BOOKING_ERROR_TYPES, createApiError, fetchWithTimeout } from '../../utils/bookingErrors';
 
 /**
  * Custom hook for updating a held booking with customer details
@@ -36,7 +37,13 @@ export function useUpdateHold(baseUrl) {
    * @param {string} [customerData.paymentCurrency] - Payment currency code
    * @param {boolean} [customerData.isDeposit] - Whether this is a deposit payment
    * @param {boolean} [customerData.isNoShow] - Whether this is a no-show protection
+   * @param {number} [customerData.created] - Booking creation timestamp (manage-my-booking changes)
+   * @param {Object} [customerData.consent] - Terms / privacy acceptance
+   * @param {boolean} customerData.consent.terms - Terms & conditions accepted
+   * @param {boolean} customerData.consent.privacy - Privacy policy accepted
+   * @param {string} customerData.consent.acceptedAt - ISO timestamp of acceptance
    * @returns {Promise<Object>} - Update response data
+   * @throws {Error} Tagged with a BOOKING_ERROR_TYPES code (see bookingErrors.js)
    */
   const updateHold = async (holdToken, customerData) => {
     setIsLoading(true);
@@ -56,11 +63,17 @@ export function useUpdateHold(baseUrl) {
       
       url.searchParams.append("lng", customerData.lng || "en");
       
-      // Add customer details with correct parameter names
-      url.searchParams.append("firstName", customerData.firstName);
-      url.searchParams.append("lastName", customerData.lastName);
-      url.searchParams.append("email", customerData.email);
-      url.searchParams.append("phone", customerData.phone);
+      // Add customer details with correct parameter names. Manage-my-booking
+      // changes omit them to keep the details already on the booking.
+      ["firstName", "lastName", "email", "phone"].forEach((field) => {
+        if (customerData[field] !== undefined && customerData[field] !== null) {
+          url.searchParams.append(field, customerData[field]);
+        }
+      });
+      
+      if (customerData.created) {
+        url.searchParams.append("created", customerData.created);
+      }
       
       // Add optional parameters
       if (customerData.notes) {
@@ -121,19 +134,30 @@ export function useUpdateHold(baseUrl) {
         url.searchParams.append("paymentType", "noshow");
       }
       
+      // Record terms / privacy acceptance when the venue requires it.
+      // Unconfirmed parameters – see docs/EVEVE_STRIPE_REQUESTS.md
+      if (customerData.consent) {
+        if (customerData.consent.terms) url.searchParams.append("tcAccepted", 1);
+        if (customerData.consent.privacy) url.searchParams.append("privAccepted", 1);
+        if (customerData.consent.acceptedAt) {
+          url.searchParams.append("consentAt", customerData.consent.acceptedAt);
+        }
+      }
+      
       console.log("Update Hold Request URL:", url.toString());
       
-      const response = await fetch(url);
+      const response = await fetchWithTimeout(url);
       
       if (!response.ok) {
         const errorText = await response.text();
-        throw new Error(`Update request failed: ${response.status} ${errorText}`);
+        throw createApiError('Update', { status: response.status, detail: errorText });
       }
       
       const data = await response.json();
       
       if (!data.ok) {
-        throw new Error(data.message || "Update request failed with API error");
+        // Eveve answers 200 with ok:false (and a reason in `message`) when it refuses the request
+        throw createApiError('Update', { detail: data.message, fallbackType: BOOKING_ERROR_TYPES.VALIDATION });
       }
       
       // Store the successful update result
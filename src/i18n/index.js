@@ -0,0 +1,127 @@
+import enStrings from './en.json'; // English is bundled eagerly – it is the fallback for every key
+
+// src/i18n/index.js
+
+/**
+ * Locale subsystem.
+ *
+ * Every other `src/i18n/<code>.json` file is a lazily loaded bundle (its own
+ * chunk in the build). Bundles may be partial: a key missing from the active
+ * bundle falls back to English, and a key missing from both is logged and
+ * rendered as a `[lng.key]` placeholder.
+ */
+
+export const DEFAULT_LOCALE = 'en';
+
+// Vite turns each match into a dynamic import, so bundles are only fetched when used
+const bundleLoaders = Object.fromEntries(
+  Object.entries(import.meta.glob(['./*.json', '!./en.json']))
+    .map(([path, loader]) => [path.replace(/^\.\/|\.json$/g, ''), loader])
+);
+
+/**
+ * Reduces a language tag to the bundle code we ship (e.g. `fr-FR` → `fr`)
+ *
+ * @param {string} code - Language code or tag
+ * @returns {string|null} - Lower-case primary subtag, or null when empty
+ */
+export const normaliseLocale = (code) => {
+  if (typeof code !== 'string' || !code.trim()) return null;
+  return code.trim().toLowerCase().split(/[-_]/)[0];
+};
+
+/**
+ * @returns {string[]} - Every locale with a bundle, English first
+ */
+export const getAvailableLocales = () => [DEFAULT_LOCALE, ...Object.keys(bundleLoaders)];
+
+const isAvailable = (code) => code === DEFAULT_LOCALE || Object.prototype.hasOwnProperty.call(bundleLoaders, code);
+
+/**
+ * Reads the embedder's language override: `?lang=` in the URL, or the
+ * inline embed's `data-lang` (exposed on `window.__EVEVE_EMBED`).
+ *
+ * @returns {string|null} - Normalised locale code, or null when not overridden
+ */
+export const getRequestedLocale = () => {
+  if (typeof window === 'undefined') return null;
+  const fromUrl = new URLSearchParams(window.location.search).get('lang');
+  return normaliseLocale(fromUrl) || normaliseLocale(window.__EVEVE_EMBED?.lang);
+};
+
+/**
+ * Language code sent to Eveve as `lng` on /web/hold and /web/update: the
+ * embedder's explicit `?lang=` / `data-lang` choice, else the venue's
+ * `usrLang`. Unlike resolveLocale it is never swapped for a code we ship a
+ * bundle for, so a Spanish venue keeps booking in Spanish.
+ *
+ * @param {Object} config - Loaded app configuration
+ * @returns {string} - Language code
+ */
+export const getBookingLanguage = (config) => getRequestedLocale() || config?.usrLang || DEFAULT_LOCALE;
+
+/**
+ * Picks the locale to render in: embedder override, then the venue's
+ * `usrLang` / `estLang`, then English. Codes without a bundle are skipped.
+ *
+ * @param {Object} config - Extracted remote config
+ * @returns {string} - Locale code
+ */
+export const resolveLocale = (config) => {
+  const candidates = [getRequestedLocale(), normaliseLocale(config?.usrLang), normaliseLocale(config?.estLang)];
+  return candidates.find((code) => code && isAvailable(code)) || DEFAULT_LOCALE;
+};
+
+/**
+ * Loads a locale bundle
+ *
+ * @param {string} locale - Locale code
+ * @returns {Promise<Object>} - Bundle strings (empty object for English or on failure)
+ */
+export async function loadLocaleBundle(locale) {
+  if (!locale || locale === DEFAULT_LOCALE || !bundleLoaders[locale]) return {};
+  try {
+    const module = await bundleLoaders[locale]();
+    return module.default || module;
+  } catch (error) {
+    console.error(`Could not load language bundle src/i18n/${locale}.json`, error);
+    return {};
+  }
+}
+
+/**
+ * Wraps bundle strings in a Proxy that falls back to English key by key and
+ * logs keys missing from both.
+ *
+ * @param {Object} bundle - Strings for the active locale
+ * @param {string} locale - Active locale code (for logging)
+ * @returns {Proxy} - `lng` object used throughout the UI
+ */
+export function createLanguageStrings(bundle, locale = DEFAULT_LOCALE) {
+  const target = { ...enStrings, ...(bundle || {}) };
+  return new Proxy(target, {
+    get: function(target, prop) {
+      if (prop in target) {
+        return target[prop];
+      }
+      // Symbols and internals (e.g. React dev tooling) are not translation keys
+      if (typeof prop !== 'string') return undefined;
+      // If the key is not found, log an error and return a placeholder
+      console.error(`Language variable "lng.${prop}" not found in "${locale}" or English language file.`);
+      return `[lng.${prop}]`; // Placeholder for missing translations
+    }
+  });
+}
+
+/**
+ * Resolves the locale for a config and builds its `lng` strings
+ *
+ * @param {Object} config - Extracted remote config
+ * @returns {Promise<{locale: string, lng: Proxy}>}
+ */
+export async function loadLanguageStrings(config) {
+  const locale = resolveLocale(config);
+  const bundle = await loadLocaleBundle(locale);
+  console.log(`Using language "${locale}" (available: ${getAvailableLocales().join(', ')})`);
+  return { locale, lng: createLanguageStrings(bundle, locale) };
+}
@@ -37,8 +37,30 @@ if (typeof window !== 'undefined' && window.parent && window.parent !== window)
 // Support inline embed: allow host script to set a specific root element ID
 const INLINE_ROOT_ID = (typeof window !== 'undefined' && window.__EVEVE_INLINE_ROOT_ID) || 'root';
 
-ReactDOM.createRoot(document.getElementById(INLINE_ROOT_ID)).render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
+let reactRoot = null;
+
+const unmountApp = () => {
+  if (reactRoot) {
+    reactRoot.unmount();
+    reactRoot = null;
+  }
+};
+
+const mountApp = (rootId = INLINE_ROOT_ID) => {
+  const rootEl = document.getElementById(rootId);
+  // The host page may have unmounted the widget before the bundle finished loading
+  if (!rootEl) return false;
+  unmountApp();
+  reactRoot = ReactDOM.createRoot(rootEl);
+  reactRoot.render(
+    <React.StrictMode>
+      <App />
+    </React.StrictMode>
+  );
+  return true;
+};
+
+// The module only runs once per page, so the inline embeds remount through this
+window.__EVEVE_APP__ = { mount: mountApp, unmount: unmountApp };
+
+mountApp();
@@ -0,0 +1,124 @@
+/**
+ * Booking funnel analytics.
+ *
+ * Each step of the booking flow is reported as a structured event so the
+ * venue can see where guests drop off. Every event carries the same base
+ * fields (est, covers, shiftType, value, currency) from the funnel context,
+ * plus step-specific extras.
+ *
+ * Events go to GTM / GA4 as `eveve_<name>` (`dataLayer.push` and `gtag`
+ * when present) and to the host page as a `booking-funnel` widget event.
+ * When framed, the app's own dataLayer is invisible to the host, so the
+ * push is left to embed-iframe.js.
+ *
+ * Tracking is on by default (opt-out). Hosts that need consent first set
+ * `?analytics=off` or the embed's `data-analytics="off"`, then call
+ * `EveveWidget.setAnalyticsConsent(true)` from their cookie banner; it also
+ * switches tracking off again at runtime.
+ */
+import { WIDGET_EVENTS, emitWidgetEvent } from './embedBridge';
+
+export const FUNNEL_EVENTS = {
+  WIDGET_LOADED: 'widget_loaded',
+  DATE_SELECTED: 'date_selected',
+  GUESTS_SET: 'guests_set',
+  TIME_SELECTED: 'time_selected',
+  ADDON_CHANGED: 'addon_changed',
+  HOLD_CREATED: 'hold_created',
+  HOLD_FAILED: 'hold_failed',
+  DETAILS_SUBMITTED: 'details_submitted',
+  PAYMENT_STARTED: 'payment_started',
+  PAYMENT_SUCCEEDED: 'payment_succeeded',
+  PAYMENT_FAILED: 'payment_failed',
+  BOOKING_CONFIRMED: 'booking_confirmed',
+  MODAL_ABANDONED: 'modal_abandoned'
+};
+
+const DENIED_VALUES = ['off', 'false', '0', 'no', 'denied'];
+
+/**
+ * Reads the embedder's initial consent: `?analytics=` in the URL, or the
+ * inline embed's `data-analytics` (exposed on `window.__EVEVE_EMBED`).
+ *
+ * @returns {boolean} - false only when tracking was explicitly turned off
+ */
+export const getRequestedAnalyticsConsent = () => {
+  if (typeof window === 'undefined') return false;
+  const fromUrl = new URLSearchParams(window.location.search).get('analytics');
+  const requested = String(fromUrl ?? window.__EVEVE_EMBED?.analytics ?? '').trim().toLowerCase();
+  return !DENIED_VALUES.includes(requested);
+};
+
+let consentGranted = getRequestedAnalyticsConsent();
+
+// Base fields merged into every event; kept current by ReservationForm
+let funnelContext = {
+  est: null,
+  covers: null,
+  shiftType: null,
+  value: null,
+  currency: null
+};
+
+/**
+ * Grants or withdraws consent for funnel tracking
+ *
+ * @param {boolean} granted
+ */
+export const setAnalyticsConsent = (granted) => {
+  consentGranted = !!granted;
+};
+
+/**
+ * @returns {boolean} - Whether funnel events are currently sent
+ */
+export const hasAnalyticsConsent = () => consentGranted;
+
+/**
+ * Updates the base fields sent with every funnel event
+ *
+ * @param {Object} partial - Any of `est`, `covers`, `shiftType`, `value` (major units), `currency`
+ */
+export const updateFunnelContext = (partial) => {
+  funnelContext = { ...funnelContext, ...partial };
+};
+
+/**
+ * Converts an amount in cents to the major units GA4 expects for `value`
+ *
+ * @param {number} cents
+ * @returns {number|null}
+ */
+export const centsToValue = (cents) => {
+  const amount = Number(cents);
+  return Number.isFinite(amount) ? Math.round(amount) / 100 : null;
+};
+
+/**
+ * Reports one funnel step. Does nothing without consent – not even the
+ * host page's `funnel` widget event; delivery failures never reach the
+ * booking flow.
+ *
+ * @param {string} name - One of FUNNEL_EVENTS
+ * @param {Object} [detail={}] - Step-specific fields; may override the context fields
+ */
+export const trackFunnelEvent = (name, detail = {}) => {
+  if (!consentGranted || typeof window === 'undefined') return;
+
+  const payload = {
+    event: `eveve_${name}`,
+    ...funnelContext,
+    ...detail,
+    timestamp: new Date().toISOString()
+  };
+
+  const isFramed = window.parent && window.parent !== window;
+  if (!isFramed) {
+    try {
+      window.dataLayer = window.dataLayer || [];
+      window.dataLayer.push(payload);
+      if (typeof window.gtag === 'function') window.gtag('event', payload.event, payload);
+    } catch (_) {}
+  }
+  emitWidgetEvent(WIDGET_EVENTS.FUNNEL, payload);
+};
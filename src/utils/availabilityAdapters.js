@@ -0,0 +1,298 @@
+/**
+ * Response adapters for /web/month-avail and /web/day-avail.
+ *
+ * Eveve sends several shapes for the same data (see
+ * docs/availability-api.md): month-avail as a per-day tuple matrix or as
+ * per-day avail codes, and day-avail times as bare decimals or as
+ * `{ time, addons, usage, event }` objects. These adapters turn every
+ * variant into one model so the rest of the app never checks shapes.
+ *
+ * Malformed payloads throw an error with `code = 'AVAILABILITY_FORMAT'`,
+ * the endpoint and the path of the offending value, rather than quietly
+ * yielding no availability.
+ */
+
+export const AVAILABILITY_FORMAT_ERROR = 'AVAILABILITY_FORMAT';
+
+// Per-day status in the month model
+export const DAY_STATUS = {
+  AVAILABLE: 'available',
+  NO_SERVICE: 'no-service', // no service running that day
+  NO_TIMES: 'no-times', // service runs but nothing is bookable
+  CLOSED: 'closed'
+};
+
+// month-avail avail codes (variant B). 1–3 rank how close times are to a requested `time`
+const AVAIL_CODE_STATUS = {
+  0: DAY_STATUS.NO_SERVICE,
+  1: DAY_STATUS.AVAILABLE,
+  2: DAY_STATUS.AVAILABLE,
+  3: DAY_STATUS.AVAILABLE,
+  4: DAY_STATUS.NO_TIMES,
+  5: DAY_STATUS.CLOSED
+};
+
+const formatError = (endpoint, path, message) => {
+  const err = new Error(`Unexpected ${endpoint} response: ${path ? `${path} ` : ''}${message}`);
+  err.code = AVAILABILITY_FORMAT_ERROR;
+  err.endpoint = endpoint;
+  err.path = path;
+  return err;
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Optional array field: missing → [], anything else but an array → error
+const optionalArray = (value, endpoint, path) => {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) throw formatError(endpoint, path, 'is not an array');
+  return value;
+};
+
+const toNumberList = (value, endpoint, path, what = 'a decimal time') =>
+  optionalArray(value, endpoint, path).map((item, index) => {
+    if (!isNumber(item)) throw formatError(endpoint, `${path}[${index}]`, `is not ${what}`);
+    return item;
+  });
+
+const toMessage = (value) => (value === undefined || value === null ? '' : String(value));
+
+/* ------------------------------------------------------------------
+   month-avail
+------------------------------------------------------------------ */
+
+const statusFromCode = (code, endpoint, path) => {
+  const status = AVAIL_CODE_STATUS[code];
+  if (!status) throw formatError(endpoint, path, `has unknown avail code ${JSON.stringify(code)}`);
+  return status;
+};
+
+// Variant A tuple: [regularTimes, eventTimes, hoursRanges, sessions, message]
+const normalizeMatrixDay = (tuple, date, path) => {
+  const endpoint = 'month-avail';
+  if (!Array.isArray(tuple)) throw formatError(endpoint, path, 'is not a day tuple');
+
+  const times = toNumberList(tuple[0], endpoint, `${path}[0]`);
+  const eventTimes = toNumberList(tuple[1], endpoint, `${path}[1]`);
+  const hours = optionalArray(tuple[2], endpoint, `${path}[2]`)
+    .map((range, index) => {
+      const rangePath = `${path}[2][${index}]`;
+      if (!Array.isArray(range)) throw formatError(endpoint, rangePath, 'is not an hours range');
+      if (range.length === 0) return null;
+      if (!isNumber(range[0]) || !isNumber(range[1])) throw formatError(endpoint, rangePath, 'is not a [start, end] pair');
+      return { start: range[0], end: range[1] };
+    })
+    .filter(Boolean);
+  const sessions = toNumberList(tuple[3], endpoint, `${path}[3]`, 'a session index');
+
+  // Event times alone make a day bookable (the old parser read tuple[0] only
+  // and disabled event-only days)
+  let status = DAY_STATUS.AVAILABLE;
+  if (times.length === 0 && eventTimes.length === 0) {
+    // Service hours without times: the day runs but is fully booked
+    status = hours.length > 0 ? DAY_STATUS.NO_TIMES : DAY_STATUS.CLOSED;
+  }
+
+  return {
+    date,
+    status,
+    bookable: status === DAY_STATUS.AVAILABLE,
+    code: null,
+    times,
+    eventTimes,
+    hours,
+    sessions,
+    message: toMessage(tuple[4])
+  };
+};
+
+// Variant B code: no times, hours or sessions – just the status
+const normalizeCodeDay = (code, date, path) => {
+  const status = statusFromCode(code, 'month-avail', path);
+  return {
+    date,
+    status,
+    bookable: status === DAY_STATUS.AVAILABLE,
+    code,
+    times: [],
+    eventTimes: [],
+    hours: [],
+    sessions: [],
+    message: ''
+  };
+};
+
+const dayDates = (year, month, count, endpoint, path) => {
+  const daysInMonth = new Date(year, month, 0).getDate();
+  if (count > daysInMonth) {
+    throw formatError(endpoint, path, `has ${count} days but ${year}-${String(month).padStart(2, '0')} has ${daysInMonth}`);
+  }
+  return Array.from({ length: count }, (_, index) => new Date(year, month - 1, index + 1));
+};
+
+/**
+ * Normalises a /web/month-avail response (either variant)
+ *
+ * @param {Object} raw - Parsed JSON response
+ * @param {number} [year] - Year of the requested month; read from `from`/`first` when omitted
+ * @param {number} [month] - Requested month (1-12); read from `from`/`first` when omitted
+ * @returns {Object} - `{ variant, year, month, est, estFull, noStandby, days, events }` where
+ *   `days[i]` is `{ date, status, bookable, code, times, eventTimes, hours, sessions, message }`
+ *   and `events[i]` is `{ uid, showCal, days: [{ date, status, bookable, code }] }`
+ * @throws {Error} `code === 'AVAILABILITY_FORMAT'` when the payload doesn't match either variant
+ */
+export const normalizeMonthAvailability = (raw, year, month) => {
+  const endpoint = 'month-avail';
+  if (!isObject(raw)) throw formatError(endpoint, '', 'is not an object');
+
+  if (!year || !month) {
+    const anchor = String(raw.from || raw.first || '').match(/^(\d{4})-(\d{2})/);
+    if (!anchor) throw formatError(endpoint, 'from', 'is missing – cannot tell which month this is');
+    year = Number(anchor[1]);
+    month = Number(anchor[2]);
+  }
+
+  let variant;
+  let days;
+  if (Array.isArray(raw.times)) {
+    variant = 'matrix';
+    days = dayDates(year, month, raw.times.length, endpoint, 'times')
+      .map((date, index) => normalizeMatrixDay(raw.times[index], date, `times[${index}]`));
+  } else if (Array.isArray(raw.avail)) {
+    variant = 'codes';
+    days = dayDates(year, month, raw.avail.length, endpoint, 'avail')
+      .map((date, index) => normalizeCodeDay(raw.avail[index], date, `avail[${index}]`));
+  } else {
+    throw formatError(endpoint, '', 'has neither a times matrix nor avail codes');
+  }
+
+  const events = optionalArray(raw.events, endpoint, 'events').map((event, index) => {
+    const path = `events[${index}]`;
+    if (!isObject(event) || event.uid === undefined) throw formatError(endpoint, path, 'is not an event entry');
+    const avail = optionalArray(event.avail, endpoint, `${path}.avail`);
+    return {
+      uid: event.uid,
+      showCal: event.showCal !== false,
+      days: dayDates(year, month, avail.length, endpoint, `${path}.avail`).map((date, day) => {
+        const status = statusFromCode(avail[day], endpoint, `${path}.avail[${day}]`);
+        return { date, status, bookable: status === DAY_STATUS.AVAILABLE, code: avail[day] };
+      })
+    };
+  });
+
+  return {
+    variant,
+    year,
+    month,
+    est: raw.est || null,
+    estFull: raw.estFull || raw.full || null,
+    noStandby: Array.isArray(raw.noStandby) ? raw.noStandby : [],
+    days,
+    events
+  };
+};
+
+/**
+ * Dates the calendar should disable for a normalised month
+ *
+ * @param {Object} monthAvailability - Result of normalizeMonthAvailability
+ * @returns {Date[]}
+ */
+export const getUnbookableDates = (monthAvailability) =>
+  (monthAvailability?.days || []).filter((day) => !day.bookable).map((day) => day.date);
+
+/**
+ * Bookable dates for one event in a normalised month
+ *
+ * @param {Object} monthAvailability - Result of normalizeMonthAvailability
+ * @param {number|string} eventUid - Event UID
+ * @returns {Date[]} - Empty when the response doesn't list the event
+ */
+export const getEventBookableDates = (monthAvailability, eventUid) => {
+  const event = (monthAvailability?.events || []).find((entry) => String(entry.uid) === String(eventUid));
+  return event ? event.days.filter((day) => day.bookable).map((day) => day.date) : [];
+};
+
+/* ------------------------------------------------------------------
+   day-avail
+------------------------------------------------------------------ */
+
+/**
+ * Normalises one day-avail time entry to `{ time, addons, usage, event }`.
+ * Fields the entry doesn't override are null; negative times (blocked
+ * slots) are kept as Eveve sent them.
+ */
+const normalizeTimeSlot = (entry, path) => {
+  if (isNumber(entry)) return { time: entry, addons: null, usage: null, event: null };
+  if (!isObject(entry) || !isNumber(entry.time)) throw formatError('day-avail', path, 'is not a time');
+  return {
+    ...entry,
+    time: entry.time,
+    addons: Array.isArray(entry.addons) ? entry.addons : null,
+    usage: entry.usage === undefined || entry.usage === null ? null : Number(entry.usage),
+    event: entry.event === undefined || entry.event === null ? null : entry.event
+  };
+};
+
+/**
+ * Normalises a /web/day-avail response
+ *
+ * @param {Object} raw - Parsed JSON response
+ * @returns {Object} - `{ ...raw, shifts, areas, message }`. Every `shift.times` entry is a
+ *   `{ time, addons, usage, event }` object and `shift.addons` / `area.times` are arrays.
+ * @throws {Error} `code === 'AVAILABILITY_FORMAT'` when the payload is malformed
+ */
+export const normalizeDayAvailability = (raw) => {
+  const endpoint = 'day-avail';
+  if (!isObject(raw)) throw formatError(endpoint, '', 'is not an object');
+
+  const shifts = optionalArray(raw.shifts, endpoint, 'shifts').map((shift, index) => {
+    const path = `shifts[${index}]`;
+    if (!isObject(shift)) throw formatError(endpoint, path, 'is not a shift');
+    return {
+      ...shift,
+      addons: optionalArray(shift.addons, endpoint, `${path}.addons`),
+      times: optionalArray(shift.times, endpoint, `${path}.times`)
+        .map((entry, timeIndex) => normalizeTimeSlot(entry, `${path}.times[${timeIndex}]`))
+    };
+  });
+
+  const areas = optionalArray(raw.areas, endpoint, 'areas').map((area, index) => {
+    const path = `areas[${index}]`;
+    if (!isObject(area)) throw formatError(endpoint, path, 'is not an area');
+    return { ...area, times: toNumberList(area.times, endpoint, `${path}.times`) };
+  });
+
+  return { ...raw, shifts, areas, message: toMessage(raw.message) };
+};
+
+/**
+ * Add-ons offered at a slot – the time's own list, else the shift's
+ *
+ * @param {Object} shift - Normalised shift
+ * @param {Object} slot - Normalised time entry
+ * @returns {Array}
+ */
+export const getSlotAddons = (shift, slot) => slot?.addons ?? shift?.addons ?? [];
+
+/**
+ * Menu usage policy at a slot – the time's own policy, else the shift's
+ *
+ * @param {Object} shift - Normalised shift
+ * @param {Object} slot - Normalised time entry
+ * @returns {number|undefined} - Undefined when neither sets one
+ */
+export const getSlotUsage = (shift, slot) => slot?.usage ?? shift?.usage;
+
+/**
+ * Event a slot books: an Event shift's UID, else the time's or the shift's `event`
+ *
+ * @param {Object} shift - Normalised shift
+ * @param {Object} slot - Normalised time entry
+ * @returns {number|string|undefined}
+ */
+export const getSlotEventId = (shift, slot) => {
+  if (shift?.type === 'Event' && shift?.uid !== undefined) return shift.uid;
+  return slot?.event ?? shift?.event ?? undefined;
+};
@@ -0,0 +1,97 @@
+/**
+ * Request control for month-avail and day-avail: short-lived in-memory
+ * caches and latest-wins cancellation.
+ *
+ * Availability changes as other guests book, so cached results expire
+ * quickly (DAY_AVAIL_TTL_MS / MONTH_AVAIL_TTL_MS). Only normalised,
+ * successful responses are cached.
+ */
+
+export const DAY_AVAIL_TTL_MS = 60 * 1000;
+export const MONTH_AVAIL_TTL_MS = 5 * 60 * 1000;
+
+// Oldest entries are dropped beyond this, so a long session can't grow the cache unbounded
+const MAX_CACHE_ENTRIES = 200;
+
+/**
+ * Creates a key/value cache whose entries expire after `ttlMs`
+ *
+ * @param {number} ttlMs - Entry lifetime in milliseconds
+ * @returns {{get: Function, set: Function, clear: Function}}
+ */
+export const createTtlCache = (ttlMs) => {
+  const entries = new Map();
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (Date.now() - entry.storedAt > ttlMs) {
+        entries.delete(key);
+        return undefined;
+      }
+      return entry.value;
+    },
+    set(key, value) {
+      entries.delete(key);
+      entries.set(key, { value, storedAt: Date.now() });
+      if (entries.size > MAX_CACHE_ENTRIES) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    clear() {
+      entries.clear();
+    }
+  };
+};
+
+// Keyed by `est|yyyy-MM-dd|covers` and `est|yyyy-MM|covers`
+export const dayAvailCache = createTtlCache(DAY_AVAIL_TTL_MS);
+export const monthAvailCache = createTtlCache(MONTH_AVAIL_TTL_MS);
+
+/**
+ * Drops every cached availability result, e.g. after a booking changes what's left
+ */
+export const clearAvailabilityCache = () => {
+  dayAvailCache.clear();
+  monthAvailCache.clear();
+};
+
+/**
+ * Whether an error comes from a cancelled or superseded request
+ *
+ * @param {Error} err
+ * @returns {boolean}
+ */
+export const isAbortError = (err) => err?.name === 'AbortError';
+
+const supersededError = () => {
+  const err = new Error('Request superseded by a newer one');
+  err.name = 'AbortError';
+  return err;
+};
+
+/**
+ * Latest-wins runner: starting a request aborts the one before it, and a
+ * superseded request rejects with an AbortError even if its response had
+ * already arrived, so an older response can never overwrite newer state.
+ *
+ * @returns {{run: Function, abort: Function}} - `run(task)` calls `task(signal)`
+ *   and resolves with its result; `abort()` cancels the current request
+ */
+export const createLatestRequest = () => {
+  let current = null;
+  return {
+    async run(task) {
+      current?.abort();
+      const controller = new AbortController();
+      current = controller;
+      const result = await task(controller.signal);
+      if (current !== controller || controller.signal.aborted) throw supersededError();
+      return result;
+    },
+    abort() {
+      current?.abort();
+      current = null;
+    }
+  };
+};
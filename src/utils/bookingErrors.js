@@ -0,0 +1,233 @@
+/**
+ * Booking error taxonomy.
+ *
+ * Availability, hold, update and payment failures are tagged with one of
+ * BOOKING_ERROR_TYPES on `err.code`, so the guest sees a localised message
+ * with recovery actions (retry, pick another time, call the venue) instead
+ * of a raw HTTP body or Stripe text, and the host page gets a consistent
+ * `booking-error` event. The raw response stays on `err.detail` for the console.
+ */
+import { WIDGET_EVENTS, emitWidgetEvent } from './embedBridge';
+
+export const BOOKING_ERROR_TYPES = {
+  NETWORK: 'network',
+  TIMEOUT: 'timeout',
+  SLOT_TAKEN: 'slot-taken',
+  VALIDATION: 'validation',
+  PAYMENT_DECLINED: 'payment-declined',
+  THREE_DS_FAILED: '3ds-failed',
+  CONFIG_MISSING: 'config-missing',
+  UNKNOWN: 'unknown'
+};
+
+export const RECOVERY_ACTIONS = {
+  RETRY: 'retry',
+  PICK_ANOTHER_TIME: 'pickAnotherTime',
+  CALL_VENUE: 'callVenue'
+};
+
+// Hold and update requests give up after this long
+export const BOOKING_REQUEST_TIMEOUT_MS = 20 * 1000;
+
+const { RETRY, PICK_ANOTHER_TIME, CALL_VENUE } = RECOVERY_ACTIONS;
+
+// Guest-facing copy (language key + English fallback) and the actions offered per type
+const ERROR_COPY = {
+  [BOOKING_ERROR_TYPES.NETWORK]: {
+    key: 'errNetwork',
+    fallback: "We couldn't reach the booking system. Please check your connection and try again.",
+    actions: [RETRY, CALL_VENUE]
+  },
+  [BOOKING_ERROR_TYPES.TIMEOUT]: {
+    key: 'errTimeout',
+    fallback: 'The booking system is taking too long to respond. Please try again.',
+    actions: [RETRY, CALL_VENUE]
+  },
+  [BOOKING_ERROR_TYPES.SLOT_TAKEN]: {
+    key: 'errSlotTaken',
+    fallback: 'Sorry, that time is no longer available. Please pick another time.',
+    actions: [PICK_ANOTHER_TIME, CALL_VENUE]
+  },
+  [BOOKING_ERROR_TYPES.VALIDATION]: {
+    key: 'errValidation',
+    fallback: "Some of your booking details weren't accepted. Please check them and try again.",
+    actions: [RETRY, CALL_VENUE]
+  },
+  [BOOKING_ERROR_TYPES.PAYMENT_DECLINED]: {
+    key: 'errPaymentDeclined',
+    fallback: 'Your card was declined. Please check the details or try another card.',
+    actions: [RETRY, CALL_VENUE]
+  },
+  [BOOKING_ERROR_TYPES.THREE_DS_FAILED]: {
+    key: 'errThreeDsFailed',
+    fallback: "Your bank couldn't verify this payment. Please try again or use another card.",
+    actions: [RETRY, CALL_VENUE]
+  },
+  [BOOKING_ERROR_TYPES.CONFIG_MISSING]: {
+    key: 'errConfigMissing',
+    fallback: "Online booking isn't available for this venue right now.",
+    actions: [CALL_VENUE]
+  },
+  [BOOKING_ERROR_TYPES.UNKNOWN]: {
+    key: 'errorServer',
+    fallback: 'A server error occurred. Please try again later.',
+    actions: [RETRY, CALL_VENUE]
+  }
+};
+
+// Eveve's wording when a slot went while the guest was deciding
+const SLOT_TAKEN_PATTERN = /no longer available|not available|unavailable|fully booked|already (been )?(taken|booked)|expired/i;
+
+/**
+ * Creates a tagged booking error
+ *
+ * @param {string} type - One of BOOKING_ERROR_TYPES
+ * @param {string} message - Developer-facing summary (never shown to guests)
+ * @param {Object} [options]
+ * @param {number} [options.status] - HTTP status
+ * @param {string} [options.detail] - Raw response body / provider message
+ * @param {Error} [options.cause] - Underlying error
+ * @returns {Error} - With `code` set to `type`
+ */
+export const createBookingError = (type, message, { status, detail, cause } = {}) => {
+  const err = new Error(message);
+  err.code = type;
+  if (status !== undefined) err.status = status;
+  if (detail !== undefined) err.detail = detail;
+  if (cause !== undefined) err.cause = cause;
+  return err;
+};
+
+/**
+ * @param {*} err
+ * @returns {boolean} - Whether `err` already carries a BOOKING_ERROR_TYPES code
+ */
+export const isBookingError = (err) => Object.values(BOOKING_ERROR_TYPES).includes(err?.code);
+
+const typeForStatus = (status) => {
+  if (status === 408 || status === 504) return BOOKING_ERROR_TYPES.TIMEOUT;
+  if (status === 409 || status === 410) return BOOKING_ERROR_TYPES.SLOT_TAKEN;
+  if (status === 400 || status === 422) return BOOKING_ERROR_TYPES.VALIDATION;
+  return BOOKING_ERROR_TYPES.UNKNOWN;
+};
+
+/**
+ * Tags a failed Eveve response: an HTTP error by its status, an `ok: false`
+ * body by its message
+ *
+ * @param {string} request - Request name for the summary, e.g. 'Hold'
+ * @param {Object} failure
+ * @param {number} [failure.status] - HTTP status of a non-OK response
+ * @param {string} [failure.detail] - Response text or the API's `message`
+ * @param {string} [failure.fallbackType=UNKNOWN] - Type for an `ok: false` body that doesn't say why
+ * @returns {Error}
+ */
+export const createApiError = (request, { status, detail, fallbackType = BOOKING_ERROR_TYPES.UNKNOWN }) => {
+  if (status) {
+    return createBookingError(typeForStatus(status), `${request} request failed: ${status}`, { status, detail });
+  }
+  const type = SLOT_TAKEN_PATTERN.test(detail || '') ? BOOKING_ERROR_TYPES.SLOT_TAKEN : fallbackType;
+  return createBookingError(type, `${request} request rejected by the API`, { detail });
+};
+
+/**
+ * Tags a Stripe failure (see handleStripeError in api/stripe.js)
+ *
+ * @param {Object} [details] - `{ message, code, type, decline_code }`
+ * @returns {Error}
+ */
+export const createPaymentError = (details = {}) => {
+  const { message, code, type, decline_code: declineCode } = details;
+  let errorType = BOOKING_ERROR_TYPES.UNKNOWN;
+  if (/authentication_failure/.test(code || '')) errorType = BOOKING_ERROR_TYPES.THREE_DS_FAILED;
+  else if (type === 'card_error' || declineCode || code === 'card_declined') errorType = BOOKING_ERROR_TYPES.PAYMENT_DECLINED;
+  else if (type === 'validation_error') errorType = BOOKING_ERROR_TYPES.VALIDATION;
+  else if (type === 'api_connection_error') errorType = BOOKING_ERROR_TYPES.NETWORK;
+  return createBookingError(errorType, `Payment failed${code ? ` (${code})` : ''}`, { detail: message });
+};
+
+/**
+ * Tags any error with a booking error type (tagged errors pass through)
+ *
+ * @param {*} err
+ * @returns {Error}
+ */
+export const classifyBookingError = (err) => {
+  if (isBookingError(err)) return err;
+  if (err?.name === 'TimeoutError') {
+    return createBookingError(BOOKING_ERROR_TYPES.TIMEOUT, err.message, { cause: err });
+  }
+  // fetch rejects with a TypeError when the request never got a response
+  if (err instanceof TypeError) {
+    return createBookingError(BOOKING_ERROR_TYPES.NETWORK, err.message, { cause: err });
+  }
+  if (err?.status) {
+    return createBookingError(typeForStatus(err.status), err.message, { status: err.status, cause: err });
+  }
+  return createBookingError(BOOKING_ERROR_TYPES.UNKNOWN, err?.message || String(err || 'Unknown error'), { cause: err });
+};
+
+/**
+ * fetch() that gives up after `timeoutMs`, rejecting with a tagged
+ * `timeout` or `network` error
+ *
+ * @param {string|URL} url
+ * @param {Object} [options] - fetch options plus `timeoutMs`
+ * @returns {Promise<Response>}
+ */
+export const fetchWithTimeout = async (url, { timeoutMs = BOOKING_REQUEST_TIMEOUT_MS, ...options } = {}) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } catch (err) {
+    if (controller.signal.aborted) {
+      throw createBookingError(BOOKING_ERROR_TYPES.TIMEOUT, `Request timed out after ${timeoutMs}ms`, { cause: err });
+    }
+    throw createBookingError(BOOKING_ERROR_TYPES.NETWORK, err.message || 'Network request failed', { cause: err });
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * What the guest sees for an error
+ *
+ * @param {Error|string} err - Any error (classified first), or an already
+ *   localised message, which is shown as-is with no actions
+ * @param {Object} [appConfig] - Loaded app configuration (`lng`, `estPhone`)
+ * @returns {{type: (string|null), message: string, actions: string[]}} - Calling the
+ *   venue is only offered when it has a phone number
+ */
+export const describeBookingError = (err, appConfig) => {
+  if (typeof err === 'string') return { type: null, message: err, actions: [] };
+  const { code: type } = classifyBookingError(err);
+  const copy = ERROR_COPY[type];
+  return {
+    type,
+    message: appConfig?.lng?.[copy.key] || copy.fallback,
+    actions: copy.actions.filter((action) => action !== CALL_VENUE || !!appConfig?.estPhone)
+  };
+};
+
+/**
+ * Emits a `booking-error` widget event for the host page
+ *
+ * @param {Error} err - Error (classified first)
+ * @param {Object} context
+ * @param {string} context.est - Establishment ID
+ * @param {string} context.source - `config`, `availability`, `hold`, `update` or `payment`
+ * @param {Object} [context.appConfig] - For the localised message
+ */
+export const reportBookingError = (err, { est, source, appConfig }) => {
+  const bookingError = classifyBookingError(err);
+  const { type, message, actions } = describeBookingError(bookingError, appConfig);
+  emitWidgetEvent(WIDGET_EVENTS.ERROR, {
+    est,
+    source,
+    type,
+    message,
+    actions,
+    status: bookingError.status ?? null
+  });
+};
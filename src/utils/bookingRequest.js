@@ -0,0 +1,184 @@
+/**
+ * Utility functions for opening the form at a requested booking – a deep
+ * link (`?date=friday&time=7pm&guests=4`), the embed's `data-default-*`
+ * attributes, or the embed API's `EveveWidget.open({ date, guests, time,
+ * event, area, shift })`.
+ *
+ * Each part is checked against the venue config on its own: a date outside
+ * the booking window or a party size the venue doesn't take is dropped,
+ * the rest of the request still applies.
+ */
+import { addDays, startOfDay } from 'date-fns';
+import { isDateInBookingWindow } from './bookingWindow';
+import { parseBookingDate, parseBookingTime } from './manageBooking';
+import { getBookableTimes } from './dayAvailability';
+
+// Parameter names shared by the URL, the inline embed config and open()
+const REQUEST_KEYS = ['date', 'guests', 'time', 'event', 'area', 'shift'];
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Case-insensitive match on uid or name
+const matchesUidOrName = (item, wanted) => {
+  if (!item || isBlank(wanted)) return false;
+  const target = String(wanted).trim().toLowerCase();
+  return String(item.uid).toLowerCase() === target ||
+    String(item.name || '').trim().toLowerCase() === target;
+};
+
+/**
+ * Parses a requested date: `YYYY-MM-DD`, an Excel serial, `today`,
+ * `tomorrow` or a weekday name (`friday`, `fri`) for its next occurrence
+ *
+ * @param {string|number|Date} value - Raw date value
+ * @param {Date} [now=new Date()] - Reference date (today)
+ * @returns {Date|null}
+ */
+export const parseRequestDate = (value, now = new Date()) => {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : startOfDay(value);
+  if (isBlank(value)) return null;
+
+  const text = String(value).trim().toLowerCase();
+  const today = startOfDay(now);
+  if (text === 'today') return today;
+  if (text === 'tomorrow') return addDays(today, 1);
+
+  const weekday = WEEKDAYS.findIndex((day) => text.length >= 3 && day.startsWith(text));
+  if (weekday !== -1) {
+    return addDays(today, (weekday - today.getDay() + 7) % 7);
+  }
+  return parseBookingDate(value);
+};
+
+/**
+ * Parses a requested time: decimal (`19.5`), `HH:MM` or 12-hour (`7pm`, `7:30 pm`)
+ *
+ * @param {string|number} value - Raw time value
+ * @returns {number|null} - Decimal time
+ */
+export const parseRequestTime = (value) => {
+  if (isBlank(value)) return null;
+  const match = String(value).trim().toLowerCase().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)$/);
+  if (match) {
+    const hours = Number(match[1]);
+    if (hours < 1 || hours > 12) return null;
+    const base = (hours % 12) + (match[3] === 'pm' ? 12 : 0);
+    return base + Number(match[2] || 0) / 60;
+  }
+  return parseBookingTime(value);
+};
+
+/**
+ * Finds an event from config by uid or (case-insensitive) name
+ *
+ * @param {string|number} value - Event uid or name
+ * @param {Array} events - appConfig.eventsB
+ * @returns {Object|null}
+ */
+export const findConfigEvent = (value, events) => {
+  if (isBlank(value) || !Array.isArray(events)) return null;
+  return events.find((event) => matchesUidOrName(event, value)) || null;
+};
+
+/**
+ * Reads a prefill request from the page URL, falling back to the inline
+ * embed's `data-default-*` attributes (exposed on `window.__EVEVE_EMBED`)
+ *
+ * @returns {Object|null} - Raw `{ date, guests, time, event, area, shift }`, or null when nothing is requested
+ */
+export const getPrefillRequest = () => {
+  if (typeof window === 'undefined') return null;
+  const params = new URLSearchParams(window.location.search);
+  const embedCfg = window.__EVEVE_EMBED || {};
+
+  const request = {};
+  REQUEST_KEYS.forEach((key) => {
+    const value = params.get(key) || embedCfg[key];
+    if (!isBlank(value)) request[key] = value;
+  });
+  return Object.keys(request).length > 0 ? request : null;
+};
+
+/**
+ * Validates a booking request against the venue config
+ *
+ * @param {Object} raw - `{ date, guests, time, event, area, shift }` as given by the host page
+ * @param {Object} appConfig - Loaded app configuration
+ * @param {Object} bookingWindow - Result of getBookingWindow
+ * @returns {Object} - `{ date, guests, time, event, area, shift }`; parts that don't apply are null.
+ *   `area` and `shift` stay as given until day-avail can resolve them.
+ */
+export const normalizeBookingRequest = (raw, appConfig, bookingWindow) => {
+  const request = raw || {};
+
+  let date = parseRequestDate(request.date);
+  if (date && !isDateInBookingWindow(date, bookingWindow)) {
+    console.warn('[bookingRequest] Date is outside the booking window:', request.date);
+    date = null;
+  }
+
+  let guests = parseInt(request.guests, 10);
+  const partyMin = parseInt(appConfig?.partyMin, 10) || 1;
+  const partyMax = parseInt(appConfig?.partyMax, 10) || Infinity;
+  if (!Number.isFinite(guests) || guests < partyMin || guests > partyMax) {
+    if (!isBlank(request.guests)) {
+      console.warn('[bookingRequest] Party size not bookable online:', request.guests);
+    }
+    guests = null;
+  }
+
+  const event = findConfigEvent(request.event, appConfig?.eventsB);
+  if (!isBlank(request.event) && !event) {
+    console.warn('[bookingRequest] Event not found:', request.event);
+  }
+
+  return {
+    date,
+    guests,
+    time: parseRequestTime(request.time),
+    event,
+    area: isBlank(request.area) ? null : String(request.area).trim(),
+    shift: isBlank(request.shift) ? null : String(request.shift).trim()
+  };
+};
+
+/**
+ * Resolves a requested area against the areas offered for a time
+ *
+ * @param {Array<Object>} areas - Day-avail areas that include the chosen time
+ * @param {string|null} area - Requested area uid or name, or `any`
+ * @returns {Object|string|null} - The area object, `'any'`, or null when it isn't offered
+ */
+export const findRequestedArea = (areas, area) => {
+  if (isBlank(area)) return null;
+  if (String(area).trim().toLowerCase() === 'any') return 'any';
+  return (areas || []).find((candidate) => matchesUidOrName(candidate, area)) || null;
+};
+
+/**
+ * Resolves a requested slot against a day-avail response
+ *
+ * @param {Object} availabilityData - Day-avail response
+ * @param {Object} selection - `{ time, shift, area }` (from normalizeBookingRequest)
+ * @returns {Object|null} - `{ slot, shiftIndex, area }`. `slot` is a getBookableTimes entry, or
+ *   null when only a shift was asked for; `area` is an area object, `'any'` or null. Null when
+ *   the requested time or shift isn't bookable.
+ */
+export const findRequestedSlot = (availabilityData, { time = null, shift = null, area = null } = {}) => {
+  const slots = getBookableTimes(availabilityData)
+    .filter((slot) => !shift || matchesUidOrName(slot.shift, shift));
+
+  if (time === null) {
+    if (!shift || slots.length === 0) return null;
+    return { slot: null, shiftIndex: slots[0].shiftIndex, area: null };
+  }
+
+  const slot = slots.find((candidate) => candidate.time === time);
+  if (!slot) return null;
+
+  const areasAtTime = (availabilityData?.areas || [])
+    .filter((candidate) => Array.isArray(candidate.times) && candidate.times.includes(time));
+  return { slot, shiftIndex: slot.shiftIndex, area: findRequestedArea(areasAtTime, area) };
+};
@@ -0,0 +1,91 @@
+/**
+ * Utility functions for the venue's booking window (how far ahead / behind
+ * guests may book) and the time-slot step.
+ *
+ * Config variables from /web/form:
+ *   horizon  – days ahead that can be booked, or an Excel date serial for the
+ *              last bookable date (values above SERIAL_THRESHOLD)
+ *   days     – days ahead that can be booked (used when `horizon` is absent)
+ *   trailing – read but not applied: it may mean past days that stay bookable
+ *              for late-night services, but Eveve hasn't confirmed that, so the
+ *              window never starts before today
+ *   timeStep – minutes between offered slots (e.g. 15, 30)
+ *   onTheHour – only offer whole-hour slots
+ */
+import { addDays, startOfDay } from 'date-fns';
+import { excelSerialToDate } from './dateConversion';
+
+// Anything larger than this is an Excel date serial (45000 ≈ 2023) rather than a day count
+const SERIAL_THRESHOLD = 20000;
+
+const toPositiveNumber = (value) => {
+  const num = Number(value);
+  return Number.isFinite(num) && num > 0 ? num : 0;
+};
+
+const isTruthyFlag = (value) => value === true || value === 1 || value === '1' || value === 'true';
+
+/**
+ * Resolves the first and last bookable dates from config
+ *
+ * @param {Object} appConfig - Loaded app configuration
+ * @param {Date} [now=new Date()] - Reference date (today)
+ * @returns {{minDate: Date, maxDate: (Date|null)}} - maxDate is null when the venue sets no horizon
+ */
+export const getBookingWindow = (appConfig, now = new Date()) => {
+  const today = startOfDay(now);
+  // Past days stay closed whatever `trailing` says (see above)
+  const minDate = today;
+
+  const horizon = toPositiveNumber(appConfig?.horizon);
+  const days = toPositiveNumber(appConfig?.days);
+
+  let maxDate = null;
+  if (horizon > SERIAL_THRESHOLD) {
+    maxDate = startOfDay(excelSerialToDate(horizon));
+  } else if (horizon > 0) {
+    maxDate = addDays(today, horizon);
+  } else if (days > 0) {
+    maxDate = addDays(today, days);
+  }
+
+  return { minDate, maxDate };
+};
+
+/**
+ * Checks whether a date falls inside the booking window
+ *
+ * @param {Date} date - Date to check
+ * @param {{minDate: Date, maxDate: (Date|null)}} window - Result of getBookingWindow
+ * @returns {boolean}
+ */
+export const isDateInBookingWindow = (date, { minDate, maxDate } = {}) => {
+  if (!date) return false;
+  const day = startOfDay(date);
+  if (minDate && day < minDate) return false;
+  if (maxDate && day > maxDate) return false;
+  return true;
+};
+
+/**
+ * Checks whether a decimal time lands on the venue's slot step.
+ * `onTheHour` wins over `timeStep`; with neither set every time is kept.
+ *
+ * @param {number} time - Time in decimal format (e.g. 19.25)
+ * @param {Object} appConfig - Loaded app configuration
+ * @returns {boolean}
+ */
+export const isTimeOnStep = (time, appConfig) => {
+  if (typeof time !== 'number') return false;
+  const minutes = Math.round(Math.abs(time) * 60);
+
+  if (isTruthyFlag(appConfig?.onTheHour)) {
+    return minutes % 60 === 0;
+  }
+
+  const step = toPositiveNumber(appConfig?.timeStep);
+  if (step > 0 && step < 24 * 60) {
+    return minutes % step === 0;
+  }
+  return true;
+};
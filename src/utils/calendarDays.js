@@ -0,0 +1,105 @@
+/**
+ * Calendar day states derived from normalised month-avail data
+ * (see availabilityAdapters.js). They drive the tile styling, legend and
+ * closure / opening-hours panel under the date picker.
+ */
+import { format } from 'date-fns';
+import { DAY_STATUS } from './availabilityAdapters';
+import { isTimeOnStep } from './bookingWindow';
+
+export const CALENDAR_DAY_STATE = {
+  OPEN: 'open',
+  LIMITED: 'limited', // bookable, but most of the day's slots are gone
+  EVENT_ONLY: 'event-only', // only event times are bookable
+  CLOSED: 'closed', // venue closed (no service hours)
+  UNAVAILABLE: 'unavailable' // service runs but nothing can be booked online
+};
+
+// A day counts as limited when fewer than this share of its slots is left
+const LIMITED_SHARE = 0.5;
+
+const getStepHours = (appConfig) => {
+  if (appConfig?.onTheHour === true || appConfig?.onTheHour === 'true') return 1;
+  const step = Number(appConfig?.timeStep);
+  return Number.isFinite(step) && step > 0 ? step / 60 : 0.25;
+};
+
+/**
+ * Merges a day's service hours into sorted, non-overlapping ranges. Eveve
+ * repeats a range once per session (e.g. `[[12,16],[12,16],[17,22],[17,22]]`).
+ *
+ * @param {Array<{start: number, end: number}>} hours - Normalised hours ranges
+ * @returns {Array<{start: number, end: number}>}
+ */
+export const mergeHoursRanges = (hours) =>
+  [...hours]
+    .filter(({ start, end }) => end > start)
+    .sort((a, b) => a.start - b.start)
+    .reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range.start <= last.end) {
+        last.end = Math.max(last.end, range.end);
+      } else {
+        merged.push({ ...range });
+      }
+      return merged;
+    }, []);
+
+// Number of slots the day's service hours would offer with nothing booked
+const getSlotCapacity = (day, appConfig) => {
+  const step = getStepHours(appConfig);
+  return mergeHoursRanges(day.hours).reduce((total, { start, end }) => {
+    if (!(end > start)) return total;
+    return total + Math.floor((end - start) / step + 1e-9) + 1;
+  }, 0);
+};
+
+/**
+ * Calendar state of one normalised month-avail day
+ *
+ * @param {Object} day - Entry of normalizeMonthAvailability(...).days
+ * @param {Object} appConfig - Loaded app configuration (timeStep / onTheHour)
+ * @returns {string} - One of CALENDAR_DAY_STATE
+ */
+export const getCalendarDayState = (day, appConfig) => {
+  if (!day.bookable) {
+    return day.status === DAY_STATUS.CLOSED ? CALENDAR_DAY_STATE.CLOSED : CALENDAR_DAY_STATE.UNAVAILABLE;
+  }
+
+  // Avail codes (variant B) carry no times, so those days are simply open
+  if (day.code !== null) return CALENDAR_DAY_STATE.OPEN;
+
+  const regular = day.times.filter((time) => time >= 0 && isTimeOnStep(time, appConfig));
+  if (regular.length === 0) {
+    return day.eventTimes.length > 0 ? CALENDAR_DAY_STATE.EVENT_ONLY : CALENDAR_DAY_STATE.OPEN;
+  }
+
+  const capacity = getSlotCapacity(day, appConfig);
+  if (capacity > 0 && regular.length < capacity * LIMITED_SHARE) return CALENDAR_DAY_STATE.LIMITED;
+  return CALENDAR_DAY_STATE.OPEN;
+};
+
+/**
+ * Date key used by the calendar day-state map
+ *
+ * @param {Date} date
+ * @returns {string} - `yyyy-MM-dd`
+ */
+export const getCalendarDayKey = (date) => format(date, 'yyyy-MM-dd');
+
+/**
+ * Builds the calendar's day-state map for a list of normalised days
+ *
+ * @param {Object[]} days - Normalised month-avail days (any months)
+ * @param {Object} appConfig - Loaded app configuration
+ * @returns {Object} - `{ [yyyy-MM-dd]: { state, message, hours } }`
+ */
+export const buildCalendarDayStates = (days, appConfig) =>
+  days.reduce((states, day) => {
+    states[getCalendarDayKey(day.date)] = {
+      state: getCalendarDayState(day, appConfig),
+      message: day.message,
+      hours: mergeHoursRanges(day.hours)
+    };
+    return states;
+  }, {});
@@ -0,0 +1,165 @@
+/**
+ * Utility functions for fetching /web/day-avail and picking the times the
+ * widget offers from it. Shared by the main time list, "Find next
+ * available" and the flexible-dates matrix so they all agree on which
+ * slots are bookable.
+ */
+import { format } from 'date-fns';
+import { normalizeDayAvailability } from './availabilityAdapters';
+import { isTimeOnStep } from './bookingWindow';
+import { dayAvailCache } from './availabilityRequests';
+import { isShiftTypeAllowed } from './embedOptions';
+
+// Preferred time windows guests can narrow a search to (decimal hours, end exclusive)
+export const PREFERRED_TIME_WINDOWS = [
+  { key: 'any', labelKey: 'nextAvailAnyTime', fallback: 'Any time', from: 0, to: 24 },
+  { key: 'morning', labelKey: 'nextAvailMorning', fallback: 'Morning (before 12pm)', from: 0, to: 12 },
+  { key: 'afternoon', labelKey: 'nextAvailAfternoon', fallback: 'Afternoon (12pm–5pm)', from: 12, to: 17 },
+  { key: 'evening', labelKey: 'nextAvailEvening', fallback: 'Evening (5pm onwards)', from: 17, to: 24 }
+];
+
+/**
+ * Whether a decimal time falls inside a preferred time window
+ *
+ * @param {number} time - Decimal time
+ * @param {Object} [window] - `{ from, to }`; null or the 'any' window accepts every time
+ * @returns {boolean}
+ */
+export const isInTimeWindow = (time, window) => !window || (time >= window.from && time < window.to);
+
+/**
+ * Extracts every bookable (non-negative) time from a day-avail response.
+ *
+ * @param {Object} data - Normalised day-avail response (see normalizeDayAvailability)
+ * @returns {Array<{shift: Object, shiftIndex: number, timeObj: Object, time: number}>}
+ */
+export const getBookableTimes = (data) => {
+  if (!data || !Array.isArray(data.shifts)) return [];
+
+  const bookable = [];
+  data.shifts.forEach((shift, shiftIndex) => {
+    shift.times.forEach((timeObj) => {
+      if (timeObj.time >= 0) {
+        bookable.push({ shift, shiftIndex, timeObj, time: timeObj.time });
+      }
+    });
+  });
+  return bookable;
+};
+
+/**
+ * Whether a day's availability is in the TTL cache (so fetching it costs no request)
+ *
+ * @param {string} est - Establishment ID
+ * @param {Date} date - Day
+ * @param {number} covers - Number of guests
+ * @returns {boolean}
+ */
+export const isDayAvailabilityCached = (est, date, covers) =>
+  dayAvailCache.get(`${est}|${format(date, 'yyyy-MM-dd')}|${covers}`) !== undefined;
+
+/**
+ * Fetches day availability for one date. Results are cached briefly per
+ * (est, date, covers) – see availabilityRequests.js.
+ *
+ * @param {string} est - Establishment ID
+ * @param {Date} date - Day to fetch
+ * @param {number} covers - Number of guests
+ * @param {string} baseApiUrl - Base API URL
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<Object>} - Normalised day (see normalizeDayAvailability)
+ * @throws {Error} On a failed request (`err.status` set), a malformed response, or an AbortError
+ */
+export const fetchDayAvailability = async (est, date, covers, baseApiUrl = "https://nz6.eveve.com", { signal } = {}) => {
+  const formattedDate = format(date, 'yyyy-MM-dd');
+  const cacheKey = `${est}|${formattedDate}|${covers}`;
+  const cached = dayAvailCache.get(cacheKey);
+  if (cached) return cached;
+
+  const apiUrl = `${baseApiUrl}/web/day-avail?est=${est}&covers=${covers}&date=${formattedDate}`;
+  console.log(`Fetching: ${apiUrl}`);
+
+  const response = await fetch(apiUrl, { signal });
+  if (!response.ok) {
+    console.error("API Error Response Text:", await response.text());
+    const err = new Error(`Day availability API error: ${response.status} ${response.statusText}`);
+    err.status = response.status;
+    throw err;
+  }
+  const data = normalizeDayAvailability(await response.json());
+  dayAvailCache.set(cacheKey, data);
+  return data;
+};
+
+/**
+ * Whether a time is offered as a button: blocked (negative) times and
+ * shifts the embedder's `shiftTypes` excludes never are, Event shifts show
+ * every time the API returns, other shifts only times on the venue's slot
+ * step (timeStep / onTheHour).
+ *
+ * @param {Object} shift - Normalised shift
+ * @param {Object} timeObj - Normalised time entry
+ * @param {Object} appConfig - Loaded app configuration
+ * @returns {boolean}
+ */
+export const isDisplayableSlot = (shift, timeObj, appConfig) => {
+  if (timeObj.time < 0 || !isShiftTypeAllowed(shift, appConfig)) return false;
+  if (shift.type === "Event") return true;
+  return isTimeOnStep(timeObj.time, appConfig);
+};
+
+/**
+ * Every slot of a day-avail response that the widget would offer
+ *
+ * @param {Object} data - Normalised day-avail response
+ * @param {Object} appConfig - Loaded app configuration
+ * @returns {Array<{shift: Object, shiftIndex: number, timeObj: Object, time: number}>}
+ */
+export const getDisplayableSlots = (data, appConfig) =>
+  getBookableTimes(data).filter(({ shift, timeObj }) => isDisplayableSlot(shift, timeObj, appConfig));
+
+/**
+ * Fetches day availability for several dates, a few at a time (cached days
+ * come straight from the day-avail cache)
+ *
+ * @param {Object} options
+ * @param {string} options.est - Establishment ID
+ * @param {Date[]} options.dates - Days to fetch
+ * @param {number} options.covers - Number of guests
+ * @param {string} options.baseApiUrl - Base API URL
+ * @param {number} [options.concurrency=3] - Requests in flight at once
+ * @param {AbortSignal} [options.signal] - Cancels the remaining requests
+ * @returns {Promise<Array<{date: Date, data: (Object|null), error: (Error|null)}>>} - In `dates` order;
+ *   a failed day carries its error instead of rejecting the whole range
+ */
+export const fetchDayAvailabilityRange = async ({
+  est,
+  dates,
+  covers,
+  baseApiUrl,
+  concurrency = 3,
+  signal
+}) => {
+  const results = new Array(dates.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < dates.length) {
+      const index = next;
+      next += 1;
+      const date = dates[index];
+      if (signal?.aborted) return;
+      try {
+        const data = await fetchDayAvailability(est, date, covers, baseApiUrl, { signal });
+        results[index] = { date, data, error: null };
+      } catch (error) {
+        console.error(`Failed to fetch day availability for ${format(date, 'yyyy-MM-dd')}:`, error);
+        results[index] = { date, data: null, error };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, dates.length) }, worker));
+  return results;
+};
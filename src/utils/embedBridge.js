@@ -0,0 +1,67 @@
+/**
+ * Messaging between the booking app and the embed scripts' public
+ * `window.EveveWidget` API.
+ *
+ * Events leave the app as a DOM CustomEvent on `document` (what the inline
+ * embeds listen to) and, when framed, as a `booking-event` postMessage to
+ * the parent (what embed-iframe.js listens to). Commands such as `open` and
+ * `setTheme` come back the same two ways.
+ */
+
+// App → host events. The embed scripts map these onto their public names
+export const WIDGET_EVENTS = {
+  READY: 'booking-ready',
+  STEP_CHANGE: 'booking-step-change',
+  SUCCESS: 'booking-success',
+  ERROR: 'booking-error',
+  // Funnel analytics, see analytics.js
+  FUNNEL: 'booking-funnel'
+};
+
+// DOM event the inline embeds dispatch to send a command to the app
+export const WIDGET_COMMAND_EVENT = 'eveve-command';
+
+/**
+ * Emits a widget event to whichever embed is hosting the app
+ *
+ * @param {string} eventName - One of WIDGET_EVENTS
+ * @param {Object} [detail={}] - Event payload
+ */
+export const emitWidgetEvent = (eventName, detail = {}) => {
+  if (typeof window === 'undefined') return;
+  if (window.parent && window.parent !== window) {
+    try {
+      window.parent.postMessage({ type: 'booking-event', eventName, detail }, '*');
+    } catch (_) {}
+  }
+  try {
+    document.dispatchEvent(new CustomEvent(eventName, { detail, bubbles: true }));
+  } catch (_) {}
+};
+
+/**
+ * Subscribes to commands sent by the embed scripts
+ *
+ * @param {Function} handler - Called with `(command, payload)`
+ * @returns {Function} - Unsubscribe
+ */
+export const onWidgetCommand = (handler) => {
+  if (typeof window === 'undefined') return () => {};
+
+  // Only the page that framed us may drive the app
+  const handleMessage = (event) => {
+    if (event.source !== window.parent || event.data?.type !== 'eveve-command') return;
+    handler(event.data.command, event.data.payload || {});
+  };
+  const handleDomCommand = (event) => {
+    if (!event.detail?.command) return;
+    handler(event.detail.command, event.detail.payload || {});
+  };
+
+  window.addEventListener('message', handleMessage);
+  document.addEventListener(WIDGET_COMMAND_EVENT, handleDomCommand);
+  return () => {
+    window.removeEventListener('message', handleMessage);
+    document.removeEventListener(WIDGET_COMMAND_EVENT, handleDomCommand);
+  };
+};
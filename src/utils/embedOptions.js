@@ -0,0 +1,147 @@
+/**
+ * Embedder options: presentation-level overrides a host page can apply on
+ * top of the venue config, e.g. a landing page that only sells lunch, or
+ * one with its own heading.
+ *
+ * Each option is read from the URL (`?hideEvents=true`, also how the iframe
+ * embeds pass them on), or from `window.__EVEVE_EMBED` (set by the inline
+ * embed from its `data-*` attributes, or by the host page itself). Values
+ * are validated against EMBED_OPTION_SCHEMA; invalid ones are logged and
+ * ignored. Options can only narrow what the venue allows, never widen it.
+ * Preselecting an area is not an option here: the `data-default-area` prefill
+ * already covers it, applied whenever the guest picks a time that offers it.
+ */
+
+const MAX_LIST_ENTRIES = 10;
+
+const TRUE_VALUES = ['true', '1', 'yes', 'on'];
+const FALSE_VALUES = ['false', '0', 'no', 'off'];
+
+export const EMBED_OPTION_SCHEMA = {
+  // Hide the events carousel
+  hideEvents: { type: 'boolean' },
+  // Open (true) or collapse (false) the events carousel on load, whatever the venue's showEventOnLoad
+  showEventOnLoad: { type: 'boolean' },
+  // Only offer shifts whose type or name is listed, e.g. "Lunch,Brunch". Applies to
+  // a day's times only: month-avail carries no shift types, so the calendar
+  // can still show a day whose only shifts are excluded
+  shiftTypes: { type: 'list' },
+  // Narrow the guest picker inside the venue's partyMin / partyMax
+  minGuests: { type: 'integer', min: 1 },
+  maxGuests: { type: 'integer', min: 1 },
+  // Hide the mailing-list opt-in; the guest is then not subscribed
+  hideOptin: { type: 'boolean' },
+  // Replaces "Make a Booking at {estFull}"; `{estFull}` is filled in
+  heading: { type: 'string', maxLength: 120 }
+};
+
+// Each parser returns the validated value, or undefined when invalid
+const PARSERS = {
+  boolean: (raw) => {
+    if (typeof raw === 'boolean') return raw;
+    const value = String(raw).trim().toLowerCase();
+    if (TRUE_VALUES.includes(value)) return true;
+    if (FALSE_VALUES.includes(value)) return false;
+    return undefined;
+  },
+  integer: (raw, { min }) => {
+    const value = String(raw).trim();
+    if (!/^\d+$/.test(value)) return undefined;
+    const number = parseInt(value, 10);
+    return number >= min ? number : undefined;
+  },
+  list: (raw) => {
+    const entries = (Array.isArray(raw) ? raw : String(raw).split(','))
+      .map((entry) => String(entry).trim())
+      .filter(Boolean);
+    return entries.length > 0 && entries.length <= MAX_LIST_ENTRIES ? entries : undefined;
+  },
+  string: (raw, { maxLength }) => {
+    if (typeof raw !== 'string' && typeof raw !== 'number') return undefined;
+    const value = String(raw).trim();
+    return value && value.length <= maxLength ? value : undefined;
+  }
+};
+
+/**
+ * Reads and validates the embedder's options
+ *
+ * @returns {Object} - Only the options that were supplied and valid, keyed as in EMBED_OPTION_SCHEMA
+ */
+export const getEmbedOptions = () => {
+  if (typeof window === 'undefined') return {};
+  const params = new URLSearchParams(window.location.search);
+  const embed = window.__EVEVE_EMBED || {};
+  const options = {};
+
+  Object.entries(EMBED_OPTION_SCHEMA).forEach(([name, rule]) => {
+    const raw = params.has(name) ? params.get(name) : embed[name];
+    if (raw === undefined || raw === null || raw === '') return;
+    const value = PARSERS[rule.type](raw, rule);
+    if (value === undefined) {
+      console.warn(`[embedOptions] Ignoring invalid ${name}:`, raw);
+      return;
+    }
+    options[name] = value;
+  });
+
+  return options;
+};
+
+/**
+ * Applies embedder options to a loaded venue config. The options are kept on
+ * `embedOptions` for the components; `showEventOnLoad` and a narrowed
+ * `partyMin` / `partyMax` replace the venue's values.
+ *
+ * @param {Object} config - Loaded app configuration
+ * @param {Object} [options] - Result of getEmbedOptions
+ * @returns {Object} - New config (the input is not modified)
+ */
+export const applyEmbedOptions = (config, options = getEmbedOptions()) => {
+  if (!config) return config;
+  const applied = { ...config, embedOptions: options };
+
+  if (options.showEventOnLoad !== undefined) applied.showEventOnLoad = options.showEventOnLoad;
+
+  if (options.minGuests !== undefined || options.maxGuests !== undefined) {
+    const partyMin = parseInt(config.partyMin, 10) || 1;
+    const partyMax = parseInt(config.partyMax, 10) || Infinity;
+    const min = Math.max(partyMin, options.minGuests ?? partyMin);
+    const max = Math.min(partyMax, options.maxGuests ?? partyMax);
+    if (min > max) {
+      console.warn(`[embedOptions] Guest range ${options.minGuests ?? partyMin}–${options.maxGuests ?? partyMax} is outside the venue's ${partyMin}–${partyMax}; ignoring it`);
+    } else {
+      applied.partyMin = min;
+      if (Number.isFinite(max)) applied.partyMax = max;
+    }
+  }
+
+  return applied;
+};
+
+/**
+ * Whether the embedder's `shiftTypes` allows a shift (matched case-insensitively
+ * against its type or name)
+ *
+ * @param {Object} shift - Normalised shift
+ * @param {Object} appConfig - Loaded app configuration
+ * @returns {boolean}
+ */
+export const isShiftTypeAllowed = (shift, appConfig) => {
+  const allowed = appConfig?.embedOptions?.shiftTypes;
+  if (!allowed) return true;
+  const names = [shift?.type, shift?.name].filter(Boolean).map((name) => String(name).toLowerCase());
+  return allowed.some((entry) => names.includes(entry.toLowerCase()));
+};
+
+/**
+ * Drops the shifts the embedder's `shiftTypes` excludes from a day-avail response
+ *
+ * @param {Object} data - Normalised day-avail response
+ * @param {Object} appConfig - Loaded app configuration
+ * @returns {Object} - Same response, or a copy with fewer shifts
+ */
+export const filterShiftsByType = (data, appConfig) => {
+  if (!appConfig?.embedOptions?.shiftTypes || !Array.isArray(data?.shifts)) return data;
+  return { ...data, shifts: data.shifts.filter((shift) => isShiftTypeAllowed(shift, appConfig)) };
+};
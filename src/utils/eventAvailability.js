@@ -9,7 +9,7 @@
  * This function extracts all available times from non-Event shifts (like Lunch, Dinner, etc.)
  * and returns a deduplicated array of times that Event bookings should be restricted to.
  * 
- * @param {Array} shifts - The shifts array from the API response
+ * @param {Array} shifts - Normalised day-avail shifts (see normalizeDayAvailability)
  * @returns {Array} - Sorted array of available times for Event bookings
  */
 export const getEventAvailableTimes = (shifts) => {
@@ -29,20 +29,14 @@ export const getEventAvailableTimes = (shifts) => {
   }
 
   // Extract available times from all non-Event shifts
-  // Some shifts use 'times' array, others might use 'hours' array
   const availableTimes = [];
   
   nonEventShifts.forEach(shift => {
-    // Check if the shift has a times array
-    if (shift.times && Array.isArray(shift.times)) {
-      shift.times.forEach(time => {
-        // Handle both object format {time: 12.5} and direct decimal format 12.5
-        const timeValue = typeof time === 'object' ? time.time : time;
-        if (typeof timeValue === 'number' && timeValue >= 0) {
-          availableTimes.push(timeValue);
-        }
-      });
-    }
+    shift.times.forEach(({ time }) => {
+      if (time >= 0) {
+        availableTimes.push(time);
+      }
+    });
   });
 
   // Remove duplicates and sort the times
@@ -52,7 +46,7 @@ export const getEventAvailableTimes = (shifts) => {
 /**
  * Filters Event shift times to only include times that are available in non-Event shifts
  * 
- * @param {Array} eventShiftTimes - Array of times from an Event shift
+ * @param {Array} eventShiftTimes - Normalised time entries from an Event shift
  * @param {Array} availableTimes - Array of available times from non-Event shifts
  * @returns {Array} - Filtered array of Event shift times
  */
@@ -67,9 +61,5 @@ export const filterEventTimes = (eventShiftTimes, availableTimes) => {
   }
 
   // Filter event times to only include those that are in the available times
-  return eventShiftTimes.filter(time => {
-    // Handle both object format {time: 12.5} and direct decimal format 12.5
-    const timeValue = typeof time === 'object' ? time.time : time;
-    return availableTimes.includes(timeValue);
-  });
+  return eventShiftTimes.filter(({ time }) => availableTimes.includes(time));
 };
@@ -2,6 +2,7 @@
  * Event Month Availability Utilities
  * Handles fetching and parsing month availability specifically for events
  */
+import { normalizeMonthAvailability, getEventBookableDates } from './availabilityAdapters';
 
 /**
  * Calculate the midpoint time from an event's available time range
@@ -30,7 +31,7 @@ export function calculateEventMidpointTime(event) {
  * @param {string} baseApiUrl - Base API URL
  * @param {string} monthDate - Date string for the month (YYYY-MM-01 format)
  * @param {number} covers - Number of guests (default 2)
- * @returns {Promise<Object>} - Month availability response
+ * @returns {Promise<Object>} - Normalised month (see normalizeMonthAvailability)
  */
 export async function fetchEventMonthAvailability(est, event, baseApiUrl, monthDate, covers = 2) {
   const midpointTime = calculateEventMidpointTime(event);
@@ -44,9 +45,10 @@ export async function fetchEventMonthAvailability(est, event, baseApiUrl, monthD
     if (!response.ok) {
       throw new Error(`Failed to fetch event availability. Status: ${response.status}`);
     }
-    const data = await response.json();
-    console.log('Event month availability response:', data);
-    return data;
+    const [year, month] = monthDate.split('-').map(Number);
+    const monthAvailability = normalizeMonthAvailability(await response.json(), year, month);
+    console.log('Event month availability:', monthAvailability);
+    return monthAvailability;
   } catch (error) {
     console.error('Error fetching event month availability:', error);
     throw error;
@@ -54,71 +56,28 @@ export async function fetchEventMonthAvailability(est, event, baseApiUrl, monthD
 }
 
 /**
- * Parse event month availability response to get available dates
- * @param {Object} monthAvailResponse - Response from month-avail API
+ * Get the available dates for an event from month availability
+ * @param {Object} monthAvailability - Result of fetchEventMonthAvailability
  * @param {number} eventUid - UID of the event to extract availability for
- * @param {number} year - Year for date generation
- * @param {number} month - Month for date generation (1-based)
  * @returns {Date[]} - Array of available Date objects
  */
-export function parseEventAvailableDates(monthAvailResponse, eventUid, year, month) {
-  if (!monthAvailResponse || !monthAvailResponse.events) {
-    console.warn('No events data in month availability response');
-    return [];
-  }
-
-  // Find the event in the response
-  const eventData = monthAvailResponse.events.find(e => e.uid === eventUid);
-  if (!eventData || !eventData.avail) {
-    console.warn(`Event ${eventUid} not found in month availability response`);
-    return [];
-  }
-
-  const availableDates = [];
-  const availArray = eventData.avail;
-
-  // Convert avail codes to actual dates
-  // Codes 1, 2, 3 indicate availability (according to the docs)
-  availArray.forEach((availCode, dayIndex) => {
-    if (availCode === 1 || availCode === 2 || availCode === 3) {
-      // Day index is 0-based, but we need 1-based day
-      const dayOfMonth = dayIndex + 1;
-      
-      // Create date object for this available day
-      const date = new Date(year, month - 1, dayOfMonth); // month-1 because Date constructor uses 0-based months
-      availableDates.push(date);
-    }
-  });
-
+export function parseEventAvailableDates(monthAvailability, eventUid) {
+  const availableDates = getEventBookableDates(monthAvailability, eventUid);
   console.log(`Found ${availableDates.length} available dates for event ${eventUid}:`, availableDates);
   return availableDates;
 }
 
 /**
  * Check if a specific date is available for an event based on month availability
- * @param {Object} monthAvailResponse - Response from month-avail API
+ * @param {Object} monthAvailability - Result of fetchEventMonthAvailability
  * @param {number} eventUid - UID of the event
  * @param {Date} date - Date to check
  * @returns {boolean} - True if date is available
  */
-export function isDateAvailableForEvent(monthAvailResponse, eventUid, date) {
-  if (!monthAvailResponse || !monthAvailResponse.events) {
-    return false;
-  }
-
-  const eventData = monthAvailResponse.events.find(e => e.uid === eventUid);
-  if (!eventData || !eventData.avail) {
-    return false;
-  }
-
-  // Get the day of month (1-based) and convert to 0-based index
-  const dayOfMonth = date.getDate();
-  const dayIndex = dayOfMonth - 1;
-
-  if (dayIndex < 0 || dayIndex >= eventData.avail.length) {
-    return false;
-  }
-
-  const availCode = eventData.avail[dayIndex];
-  return availCode === 1 || availCode === 2 || availCode === 3;
-}
\ No newline at end of file
+export function isDateAvailableForEvent(monthAvailability, eventUid, date) {
+  return getEventBookableDates(monthAvailability, eventUid).some((available) =>
+    available.getFullYear() === date.getFullYear() &&
+    available.getMonth() === date.getMonth() &&
+    available.getDate() === date.getDate()
+  );
+}
@@ -0,0 +1,63 @@
+/**
+ * Utility functions for the booking-hold countdown.
+ *
+ * /web/hold returns `until` – when the hold lapses and the table goes back
+ * on sale. It arrives as an epoch timestamp (seconds, like `created`, or
+ * milliseconds) or a full date-time string. Older venues send an empty
+ * string or just a clock time (the table's vacate time), in which case we
+ * fall back to Eveve's standard hold length.
+ */
+
+// Standard Eveve hold length when `until` gives no expiry
+export const DEFAULT_HOLD_SECONDS = 3 * 60;
+
+// Offer "need more time" once this little of the hold is left
+export const HOLD_WARNING_SECONDS = 60;
+
+/**
+ * Parses a hold `until` value into an epoch time
+ *
+ * @param {string|number} until - `until` from the hold response
+ * @returns {number|null} - Epoch milliseconds, or null when it isn't an expiry
+ */
+export const parseHoldUntil = (until) => {
+  if (until === undefined || until === null || until === '') return null;
+
+  const num = Number(until);
+  if (Number.isFinite(num)) {
+    if (num > 1e12) return num;
+    if (num > 1e9) return num * 1000;
+    return null;
+  }
+
+  // A bare "21:30" is a vacate time, not an expiry – require a date as well
+  if (typeof until === 'string' && /^\d{4}-\d{2}-\d{2}[T ]\d{1,2}:\d{2}/.test(until.trim())) {
+    const ms = Date.parse(until.trim().replace(' ', 'T'));
+    return Number.isFinite(ms) ? ms : null;
+  }
+  return null;
+};
+
+/**
+ * Resolves when a hold expires
+ *
+ * @param {Object} holdData - Normalised hold response (with `receivedAt`)
+ * @param {number} [now=Date.now()] - Used when the hold carries no `receivedAt`
+ * @returns {number|null} - Epoch milliseconds, or null without a hold
+ */
+export const getHoldExpiresAt = (holdData, now = Date.now()) => {
+  if (!holdData) return null;
+  const until = parseHoldUntil(holdData.until);
+  if (until) return until;
+  return (holdData.receivedAt || now) + DEFAULT_HOLD_SECONDS * 1000;
+};
+
+/**
+ * Whole seconds left before a hold expires
+ *
+ * @param {number} expiresAt - Result of getHoldExpiresAt
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {number} - Never negative
+ */
+export const getSecondsRemaining = (expiresAt, now = Date.now()) =>
+  Math.max(0, Math.ceil((expiresAt - now) / 1000));
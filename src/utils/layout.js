@@ -0,0 +1,28 @@
+/**
+ * Utility functions for the form layout.
+ *
+ * `page` (default) stacks every section on one long page. `wizard` splits
+ * the flow into Date & Guests → Time & Add-ons → Review steps, chosen with
+ * `?layout=wizard` or the embed's `data-layout="wizard"`.
+ */
+
+export const LAYOUTS = {
+  PAGE: 'page',
+  WIZARD: 'wizard'
+};
+
+// Wizard steps in order; the index is what goes into history state
+export const WIZARD_STEPS = ['dateGuests', 'timeAddons', 'review'];
+
+/**
+ * Reads the embedder's layout choice: `?layout=` in the URL, or the inline
+ * embed's `data-layout` (exposed on `window.__EVEVE_EMBED`).
+ *
+ * @returns {string} - One of LAYOUTS; unknown values fall back to `page`
+ */
+export const getRequestedLayout = () => {
+  if (typeof window === 'undefined') return LAYOUTS.PAGE;
+  const fromUrl = new URLSearchParams(window.location.search).get('layout');
+  const requested = String(fromUrl || window.__EVEVE_EMBED?.layout || '').trim().toLowerCase();
+  return requested === LAYOUTS.WIZARD ? LAYOUTS.WIZARD : LAYOUTS.PAGE;
+};
@@ -0,0 +1,118 @@
+/**
+ * Utility functions for localised calendar and date-summary text.
+ *
+ * The venue's config carries its own day / month names (`weekDays`,
+ * `months`, `month3`) in the venue language. We use those when the widget is
+ * rendering in that language, and fall back to Intl for any other locale.
+ * English without config names keeps the existing date-fns formats.
+ */
+import { format } from 'date-fns';
+import { normaliseLocale, DEFAULT_LOCALE } from '../i18n';
+
+const isNameList = (value, length) =>
+  Array.isArray(value) && value.length === length && value.every((name) => typeof name === 'string' && name.trim());
+
+/**
+ * Builds the date-localisation settings for the active locale
+ *
+ * @param {Object} appConfig - Loaded app configuration (with `locale`)
+ * @returns {{locale: string, weekDays: (string[]|null), months: (string[]|null), month3: (string[]|null), startSun: (boolean|null)}}
+ *   weekDays are Sunday-first (indexable by Date#getDay); null when unusable
+ */
+export const getDateLocalisation = (appConfig) => {
+  const locale = appConfig?.locale || DEFAULT_LOCALE;
+  const venueLocale = normaliseLocale(appConfig?.usrLang) || normaliseLocale(appConfig?.estLang) || DEFAULT_LOCALE;
+  // Config names are in the venue language – ignore them when the guest picked another one
+  const useConfigNames = locale === venueLocale;
+
+  const startSun = appConfig?.startSun;
+  return {
+    locale,
+    weekDays: useConfigNames && isNameList(appConfig?.weekDays, 7) ? appConfig.weekDays : null,
+    months: useConfigNames && isNameList(appConfig?.months, 12) ? appConfig.months : null,
+    month3: useConfigNames && isNameList(appConfig?.month3, 12) ? appConfig.month3 : null,
+    startSun: startSun === undefined || startSun === null || startSun === ''
+      ? null
+      : (startSun === true || startSun === 1 || startSun === '1' || startSun === 'true')
+  };
+};
+
+const intlFormat = (date, locale, options) => {
+  try {
+    return new Intl.DateTimeFormat(locale, options).format(date);
+  } catch (_) {
+    return new Intl.DateTimeFormat(DEFAULT_LOCALE, options).format(date);
+  }
+};
+
+/**
+ * Short weekday label for calendar headers (e.g. "Mon", "lun.")
+ *
+ * @param {Date} date - Any date on that weekday
+ * @param {Object} dateLoc - Result of getDateLocalisation
+ * @returns {string}
+ */
+export const formatWeekdayShort = (date, dateLoc) => {
+  if (dateLoc?.weekDays) return dateLoc.weekDays[date.getDay()];
+  return intlFormat(date, dateLoc?.locale || DEFAULT_LOCALE, { weekday: 'short' });
+};
+
+/**
+ * Month + year label for calendar navigation (e.g. "October 2025")
+ *
+ * @param {Date} date - Any date in the month
+ * @param {Object} dateLoc - Result of getDateLocalisation
+ * @returns {string}
+ */
+export const formatMonthYear = (date, dateLoc) => {
+  if (dateLoc?.months) return `${dateLoc.months[date.getMonth()]} ${date.getFullYear()}`;
+  return intlFormat(date, dateLoc?.locale || DEFAULT_LOCALE, { month: 'long', year: 'numeric' });
+};
+
+/**
+ * Long date summary (e.g. "Saturday 5th October", "samedi 5 octobre")
+ *
+ * @param {Date} date - Date to format
+ * @param {Object} dateLoc - Result of getDateLocalisation
+ * @returns {string}
+ */
+export const formatSummaryDate = (date, dateLoc) => {
+  if (!date) return '';
+  const locale = dateLoc?.locale || DEFAULT_LOCALE;
+  if (dateLoc?.weekDays && dateLoc?.months) {
+    return `${dateLoc.weekDays[date.getDay()]} ${date.getDate()} ${dateLoc.months[date.getMonth()]}`;
+  }
+  if (locale === DEFAULT_LOCALE) return format(date, 'EEEE do MMMM');
+  return intlFormat(date, locale, { weekday: 'long', day: 'numeric', month: 'long' });
+};
+
+/**
+ * Compact date (e.g. "Oct 5, 2025", "5 oct. 2025")
+ *
+ * @param {Date} date - Date to format
+ * @param {Object} dateLoc - Result of getDateLocalisation
+ * @param {string} [dateFormat] - date-fns pattern used for English
+ * @returns {string}
+ */
+export const formatShortDate = (date, dateLoc, dateFormat) => {
+  if (!date) return '';
+  const locale = dateLoc?.locale || DEFAULT_LOCALE;
+  if (locale === DEFAULT_LOCALE) return format(date, dateFormat || 'MMM d, yyyy');
+  if (dateLoc?.month3) return `${date.getDate()} ${dateLoc.month3[date.getMonth()]} ${date.getFullYear()}`;
+  return intlFormat(date, locale, { day: 'numeric', month: 'short', year: 'numeric' });
+};
+
+/**
+ * Day + short month (e.g. "Oct 5", "5 oct.") for compact date buttons
+ *
+ * @param {Date} date - Date to format
+ * @param {Object} dateLoc - Result of getDateLocalisation
+ * @returns {string}
+ */
+export const formatDayMonth = (date, dateLoc) => {
+  if (!date) return '';
+  const locale = dateLoc?.locale || DEFAULT_LOCALE;
+  if (locale === DEFAULT_LOCALE) return format(date, 'MMM d');
+  if (dateLoc?.month3) return `${date.getDate()} ${dateLoc.month3[date.getMonth()]}`;
+  return intlFormat(date, locale, { day: 'numeric', month: 'short' });
+};
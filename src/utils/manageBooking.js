@@ -0,0 +1,115 @@
+/**
+ * Utility functions for manage-my-booking mode.
+ *
+ * Guests arrive from their confirmation link with
+ * `?manage=<uid>&created=<ts>`. /api/restore only confirms that the booking
+ * exists, so the summary we show comes from the rest of the link (`date`,
+ * `time`, `covers`, `name`) unless the restore response carries those
+ * fields itself.
+ */
+import { parseISO, isValid, startOfDay } from 'date-fns';
+import { excelSerialToDate } from './dateConversion';
+
+const toPositiveInt = (value) => {
+  const num = parseInt(value, 10);
+  return Number.isFinite(num) && num > 0 ? num : null;
+};
+
+/**
+ * Parses a booking date given as `YYYY-MM-DD` or an Excel date serial
+ *
+ * @param {string|number} value - Raw date value
+ * @returns {Date|null}
+ */
+export const parseBookingDate = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number' || /^\d{5}$/.test(String(value))) {
+    const date = excelSerialToDate(Number(value));
+    return isValid(date) ? startOfDay(date) : null;
+  }
+  const date = parseISO(String(value).substring(0, 10));
+  return isValid(date) ? date : null;
+};
+
+/**
+ * Parses a booking time given as a decimal (`19.5`) or `HH:MM`
+ *
+ * @param {string|number} value - Raw time value
+ * @returns {number|null} - Decimal time
+ */
+export const parseBookingTime = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const match = String(value).match(/^(\d{1,2}):(\d{2})$/);
+  if (match) return Number(match[1]) + Number(match[2]) / 60;
+  const num = Number(value);
+  return Number.isFinite(num) && num >= 0 && num < 48 ? num : null;
+};
+
+/**
+ * Reads the manage-my-booking request from the page URL
+ *
+ * @returns {Object|null} - `{ uid, created, date, time, covers, name }`, or null when not in manage mode
+ */
+export const getManageRequest = () => {
+  if (typeof window === 'undefined') return null;
+  const params = new URLSearchParams(window.location.search);
+  const uid = toPositiveInt(params.get('manage'));
+  const created = toPositiveInt(params.get('created'));
+  if (!uid || !created) return null;
+
+  return {
+    uid,
+    created,
+    date: parseBookingDate(params.get('date')),
+    time: parseBookingTime(params.get('time')),
+    covers: toPositiveInt(params.get('covers')),
+    name: params.get('name') || null
+  };
+};
+
+/**
+ * Merges the restore response with the details carried by the manage link.
+ * Fields returned by restore win; the link fills any gaps.
+ *
+ * @param {Object} restoreData - Response from /api/restore
+ * @param {Object} request - Result of getManageRequest
+ * @returns {Object} - `{ uid, created, date, time, covers, name, firstName, lastName, email, phone, cancelled }`
+ */
+export const normalizeManagedBooking = (restoreData, request) => {
+  const source = restoreData?.booking || restoreData || {};
+  const firstName = source.firstName || source.first || '';
+  const lastName = source.lastName || source.last || '';
+  const fullName = [firstName, lastName].filter(Boolean).join(' ');
+  const status = String(source.status || '').toLowerCase();
+
+  return {
+    uid: request.uid,
+    created: request.created,
+    date: parseBookingDate(source.date) || request.date,
+    time: parseBookingTime(source.time) ?? request.time,
+    covers: toPositiveInt(source.covers ?? source.pax) || request.covers,
+    name: fullName || source.name || request.name,
+    firstName,
+    lastName,
+    email: source.email || '',
+    phone: source.phone || '',
+    cancelled: source.cancelled === true || status === 'cancelled' || status === 'canceled'
+  };
+};
+
+/**
+ * Interprets a deposit-get response for an existing booking.
+ * On a confirmed booking `code: 2` means the deposit was charged when it was
+ * made; `code: 1` means a card is held against no-shows only.
+ *
+ * @param {Object} depositData - Response from /int/deposit-get
+ * @returns {{type: ('deposit'|'noshow'|null), total: number, currency: (string|null)}}
+ */
+export const getDepositStatus = (depositData) => {
+  const code = Number(depositData?.code) || 0;
+  return {
+    type: code === 2 ? 'deposit' : code === 1 ? 'noshow' : null,
+    total: Number(depositData?.total) || 0,
+    currency: depositData?.currency || null
+  };
+};
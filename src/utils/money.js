@@ -0,0 +1,100 @@
+/**
+ * Utility functions for currency-aware price formatting.
+ *
+ * Eveve amounts are integer cents. The currency is resolved, in order, from
+ * the deposit-get response (`currency`), the venue `country`, and the config
+ * currency symbol (`currSym`). When only an ambiguous symbol such as `$` is
+ * known we format with that symbol rather than guess a currency.
+ */
+import { DEFAULT_LOCALE } from '../i18n';
+
+// ISO 3166 alpha-2 → ISO 4217 for the markets Eveve serves
+const COUNTRY_CURRENCIES = {
+  NZ: 'NZD', AU: 'AUD', US: 'USD', CA: 'CAD', GB: 'GBP', UK: 'GBP', IE: 'EUR',
+  FR: 'EUR', DE: 'EUR', ES: 'EUR', IT: 'EUR', NL: 'EUR', BE: 'EUR', AT: 'EUR',
+  PT: 'EUR', FI: 'EUR', LU: 'EUR', GR: 'EUR', CH: 'CHF', DK: 'DKK', SE: 'SEK',
+  NO: 'NOK', SG: 'SGD', HK: 'HKD', ZA: 'ZAR', AE: 'AED', JP: 'JPY'
+};
+
+// Country names occasionally supplied instead of codes
+const COUNTRY_NAMES = {
+  'NEW ZEALAND': 'NZ', AUSTRALIA: 'AU', 'UNITED STATES': 'US', USA: 'US', CANADA: 'CA',
+  'UNITED KINGDOM': 'GB', ENGLAND: 'GB', SCOTLAND: 'GB', WALES: 'GB', IRELAND: 'IE',
+  FRANCE: 'FR', GERMANY: 'DE', SPAIN: 'ES', ITALY: 'IT', NETHERLANDS: 'NL'
+};
+
+// Unambiguous symbols only – `$` and `kr` need a country to resolve
+const SYMBOL_CURRENCIES = {
+  '£': 'GBP', '€': 'EUR', '¥': 'JPY', 'CHF': 'CHF', 'R': 'ZAR',
+  'NZ$': 'NZD', 'A$': 'AUD', 'AU$': 'AUD', 'US$': 'USD', 'C$': 'CAD', 'CA$': 'CAD'
+};
+
+const normaliseCountry = (country) => {
+  if (typeof country !== 'string' || !country.trim()) return null;
+  const upper = country.trim().toUpperCase();
+  if (upper.length === 2) return upper;
+  return COUNTRY_NAMES[upper] || null;
+};
+
+const isCurrencyCode = (value) => typeof value === 'string' && /^[A-Za-z]{3}$/.test(value.trim());
+
+/**
+ * Resolves how money should be displayed for the venue
+ *
+ * @param {Object} appConfig - Loaded app configuration
+ * @param {string} [responseCurrency] - `currency` from deposit-get, when known
+ * @returns {{currency: (string|null), symbol: string, locale: string}}
+ *   currency is null when only a symbol is known
+ */
+export const getMoneyFormat = (appConfig, responseCurrency) => {
+  const country = normaliseCountry(appConfig?.country) || normaliseCountry(appConfig?.prefCountry);
+  const symbol = typeof appConfig?.currSym === 'string' && appConfig.currSym.trim()
+    ? appConfig.currSym.trim()
+    : '$';
+
+  let currency = null;
+  if (isCurrencyCode(responseCurrency)) {
+    currency = responseCurrency.trim().toUpperCase();
+  } else if (SYMBOL_CURRENCIES[symbol]) {
+    currency = SYMBOL_CURRENCIES[symbol];
+  } else if (country && COUNTRY_CURRENCIES[country]) {
+    currency = COUNTRY_CURRENCIES[country];
+  }
+
+  // Region subtag gives local separators / symbol placement (en-NZ, fr-FR …)
+  const language = appConfig?.locale || DEFAULT_LOCALE;
+  const locale = country && country !== 'UK' ? `${language}-${country}` : language;
+
+  return { currency, symbol, locale };
+};
+
+/**
+ * Formats an amount in cents
+ *
+ * @param {number} cents - Amount in cents
+ * @param {Object} moneyFormat - Result of getMoneyFormat
+ * @returns {string} - e.g. "$25.00", "£25.00", "25,00 €"
+ */
+export const formatMoney = (cents, moneyFormat) => {
+  const amount = (Number(cents) || 0) / 100;
+  if (moneyFormat?.currency) {
+    try {
+      return new Intl.NumberFormat(moneyFormat.locale || DEFAULT_LOCALE, {
+        style: 'currency',
+        currency: moneyFormat.currency
+      }).format(amount);
+    } catch (_) {
+      // Unknown locale/currency – fall through to symbol formatting
+    }
+  }
+  return `${moneyFormat?.symbol || '$'}${amount.toFixed(2)}`;
+};
+
+/**
+ * ISO currency code for analytics / API payloads
+ *
+ * @param {Object} moneyFormat - Result of getMoneyFormat
+ * @param {string} [fallback='USD'] - Code to use when only a symbol is known
+ * @returns {string}
+ */
+export const getCurrencyCode = (moneyFormat, fallback = 'USD') => moneyFormat?.currency || fallback;
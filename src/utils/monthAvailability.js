@@ -1,118 +1,131 @@
 /**
  * Utility functions for fetching and processing month availability data from Eveve API
  */
+import { normalizeMonthAvailability } from './availabilityAdapters';
+import { monthAvailCache } from './availabilityRequests';
 
-// Default number of covers (guests) to use when checking month availability
-// This is kept constant regardless of actual guest selection
+// Covers (guests) to check month availability for until a party size is chosen
 export const defaultCoversForMonthAvail = 2;
 
 /**
- * Fetches availability data for a specific month from the Eveve API
- * 
+ * Picks the covers to request month availability for
+ *
+ * @param {number|string} guests - Selected party size ('' before one is chosen)
+ * @returns {number} - The party size, or defaultCoversForMonthAvail when none is set
+ */
+export const getMonthAvailCovers = (guests) => {
+  const covers = parseInt(guests, 10);
+  return covers > 0 ? covers : defaultCoversForMonthAvail;
+};
+
+/**
+ * Cache key for one month's availability at one party size
+ *
+ * @param {number} year - Year (YYYY)
+ * @param {number} month - Month (1-12)
+ * @param {number} covers - Party size the month was fetched for
+ * @returns {string} - e.g. `2025-10@4`
+ */
+export const getMonthAvailCacheKey = (year, month, covers) =>
+  `${year}-${String(month).padStart(2, '0')}@${covers}`;
+
+// Key in the month-avail TTL cache
+const monthCacheKey = (est, year, month, covers) =>
+  `${est}|${year}-${String(month).padStart(2, '0')}|${covers}`;
+
+/**
+ * Whether a month's availability is in the TTL cache (so fetching it costs no request)
+ *
  * @param {string} est - Establishment ID
  * @param {number} year - Year (YYYY)
  * @param {number} month - Month (1-12)
- * @param {string} baseApiUrl - Base API URL (defaults to "https://nz.eveve.com")
- * @returns {Promise<Object>} - Month availability data
+ * @param {number} covers - Party size
+ * @returns {boolean}
  */
-export const fetchMonthAvailability = async (est, year, month, baseApiUrl = "https://nz.eveve.com") => {
-  try {
-    // Format date as YYYY-MM-01 (first day of month)
-    const formattedDate = `${year}-${month.toString().padStart(2, '0')}-01`;
-    
-    console.log(`Fetching month availability for: ${formattedDate}`);
-    
-    // Make API request to month-avail endpoint
-    const response = await fetch(
-      `${baseApiUrl}/web/month-avail?est=${est}&covers=${defaultCoversForMonthAvail}&date=${formattedDate}`
-    );
-    
-    if (!response.ok) {
-      throw new Error(`Month availability API error: ${response.status} ${response.statusText}`);
-    }
-    
-    return await response.json();
-  } catch (error) {
-    console.error(`Failed to fetch month availability for ${year}-${month}:`, error);
-    return null;
-  }
-};
+export const isMonthAvailabilityCached = (est, year, month, covers = defaultCoversForMonthAvail) =>
+  monthAvailCache.get(monthCacheKey(est, year, month, covers)) !== undefined;
 
 /**
- * Parses the month availability response to identify closed dates
+ * Fetches availability for a specific month from the Eveve API. Results are
+ * cached briefly per (est, month, covers) – see availabilityRequests.js.
  * 
- * @param {Object} monthData - Response from month-avail API
+ * @param {string} est - Establishment ID
  * @param {number} year - Year (YYYY)
  * @param {number} month - Month (1-12)
- * @returns {Date[]} - Array of Date objects representing closed dates
+ * @param {string} baseApiUrl - Base API URL (defaults to "https://nz.eveve.com")
+ * @param {number} covers - Party size to check capacity for (defaults to defaultCoversForMonthAvail)
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<Object>} - Normalised month (see normalizeMonthAvailability)
+ * @throws {Error} On a failed request, a malformed response, or an AbortError
  */
-export const parseClosedDatesFromMonthResponse = (monthData, year, month) => {
-  if (!monthData || !monthData.times || !Array.isArray(monthData.times)) {
-    console.error('Invalid month data format', monthData);
-    return [];
-  }
+export const fetchMonthAvailability = async (
+  est,
+  year,
+  month,
+  baseApiUrl = "https://nz.eveve.com",
+  covers = defaultCoversForMonthAvail,
+  { signal } = {}
+) => {
+  // Format date as YYYY-MM-01 (first day of month)
+  const formattedDate = `${year}-${month.toString().padStart(2, '0')}-01`;
+  const cacheKey = monthCacheKey(est, year, month, covers);
+  const cached = monthAvailCache.get(cacheKey);
+  if (cached) return cached;
   
-  const closedDates = [];
+  console.log(`Fetching month availability for: ${formattedDate} (${covers} covers)`);
   
-  // Iterate through each day in the times array
-  monthData.times.forEach((dayData, index) => {
-    // A day is closed if the first element (primary availability array) is empty
-    // The structure for closed days is typically: [[],[],[[],[],[],[]],[],""]]
-    const isDayClosed = Array.isArray(dayData[0]) && dayData[0].length === 0;
-    
-    if (isDayClosed) {
-      // Index is 0-based, so add 1 to get the actual day of month
-      const day = index + 1;
-      // Create a Date object for the closed date
-      // Note: Month in JS Date is 0-based, so subtract 1
-      const closedDate = new Date(year, month - 1, day);
-      closedDates.push(closedDate);
-    }
-  });
+  // Make API request to month-avail endpoint
+  const response = await fetch(
+    `${baseApiUrl}/web/month-avail?est=${est}&covers=${covers}&date=${formattedDate}`,
+    { signal }
+  );
+  
+  if (!response.ok) {
+    throw new Error(`Month availability API error: ${response.status} ${response.statusText}`);
+  }
   
-  console.log(`Found ${closedDates.length} closed dates for ${year}-${month}`);
-  return closedDates;
+  const monthAvailability = normalizeMonthAvailability(await response.json(), year, month);
+  monthAvailCache.set(cacheKey, monthAvailability);
+  return monthAvailability;
 };
 
 /**
- * Fetches availability data for multiple consecutive months
+ * Fetches availability data for multiple consecutive months, one after another
  * 
  * @param {string} est - Establishment ID
- * @param {Date} startDate - Starting date
+ * @param {Date} startDate - Any date in the first month
  * @param {number} monthCount - Number of months to fetch (default: 3)
  * @param {string} baseApiUrl - Base API URL
- * @returns {Promise<Date[]>} - Combined array of all closed dates
+ * @param {number} covers - Party size to check capacity for
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the remaining requests
+ * @returns {Promise<Object[]>} - Normalised months in order (see normalizeMonthAvailability)
+ * @throws {Error} When any month fails to load, or an AbortError
  */
 export const fetchMultipleMonthsAvailability = async (
   est, 
   startDate = new Date(), 
   monthCount = 3,
-  baseApiUrl = "https://nz.eveve.com"
+  baseApiUrl = "https://nz.eveve.com",
+  covers = defaultCoversForMonthAvail,
+  { signal } = {}
 ) => {
-  try {
-    const allClosedDates = [];
-    let currentDate = new Date(startDate);
+  const months = [];
+  // Step from the 1st so a start on the 31st can't skip a short month
+  let currentDate = new Date(startDate.getFullYear(), startDate.getMonth(), 1);
+  
+  // Fetch data for each month
+  for (let i = 0; i < monthCount; i++) {
+    const year = currentDate.getFullYear();
+    const month = currentDate.getMonth() + 1; // Convert from 0-based to 1-based
     
-    // Fetch data for each month
-    for (let i = 0; i < monthCount; i++) {
-      const year = currentDate.getFullYear();
-      const month = currentDate.getMonth() + 1; // Convert from 0-based to 1-based
-      
-      const monthData = await fetchMonthAvailability(est, year, month, baseApiUrl);
-      
-      if (monthData) {
-        const closedDates = parseClosedDatesFromMonthResponse(monthData, year, month);
-        allClosedDates.push(...closedDates);
-      }
-      
-      // Move to next month
-      currentDate.setMonth(currentDate.getMonth() + 1);
-    }
+    months.push(await fetchMonthAvailability(est, year, month, baseApiUrl, covers, { signal }));
     
-    console.log(`Fetched availability for ${monthCount} months, found ${allClosedDates.length} total closed dates`);
-    return allClosedDates;
-  } catch (error) {
-    console.error('Failed to fetch multiple months availability:', error);
-    return [];
+    // Move to next month
+    currentDate = new Date(year, month, 1);
   }
+  
+  console.log(`Fetched availability for ${monthCount} months (${covers} covers)`);
+  return months;
 };
@@ -0,0 +1,96 @@
+/**
+ * "Find next available" search.
+ *
+ * Walks forward from a date through month-avail (to skip closed and full
+ * days cheaply) and then day-avail (for the actual times) until it has
+ * collected the nearest bookable slots for a party size, optionally
+ * inside a preferred time window. Never looks past the venue's booking
+ * window.
+ */
+import { addDays, startOfDay } from 'date-fns';
+import { fetchMonthAvailability } from './monthAvailability';
+import { fetchDayAvailability, getDisplayableSlots, isInTimeWindow } from './dayAvailability';
+
+// How far to look when the venue sets no horizon
+const DEFAULT_SEARCH_DAYS = 90;
+// Upper bound on day-avail requests per search, so a fully booked season can't flood the API
+const MAX_DAY_REQUESTS = 20;
+
+// Matrix months list each day's times, so days with nothing in the window can be skipped unfetched
+const mayHaveTimesInWindow = (day, window) => {
+  if (day.code !== null || !window) return true;
+  return [...day.times, ...day.eventTimes].some((time) => time >= 0 && isInTimeWindow(time, window));
+};
+
+/**
+ * Finds the nearest bookable slots after a date
+ *
+ * @param {Object} options
+ * @param {string} options.est - Establishment ID
+ * @param {number} options.covers - Party size
+ * @param {Date} options.fromDate - Search starts the day after this date
+ * @param {Object} options.bookingWindow - `{ minDate, maxDate }` from getBookingWindow
+ * @param {Object} options.appConfig - Loaded app configuration (timeStep / onTheHour)
+ * @param {string} options.baseApiUrl - Base API URL
+ * @param {Object} [options.timeWindow] - `{ from, to }` decimal hours; null for any time
+ * @param {number} [options.limit=6] - Number of slots to return
+ * @param {number} [options.perDay=3] - Most slots taken from a single date, so results span several dates
+ * @param {Function} [options.isCancelled] - Returns true once the caller no longer wants the result
+ * @returns {Promise<Array<{date: Date, shift: Object, shiftIndex: number, timeObj: Object, time: number}>>}
+ * @throws {Error} When month or day availability can't be loaded
+ */
+export const findNextAvailable = async ({
+  est,
+  covers,
+  fromDate,
+  bookingWindow,
+  appConfig,
+  baseApiUrl,
+  timeWindow = null,
+  limit = 6,
+  perDay = 3,
+  isCancelled = () => false
+}) => {
+  const today = startOfDay(new Date());
+  let start = addDays(startOfDay(fromDate || today), 1);
+  if (bookingWindow?.minDate && start < bookingWindow.minDate) start = bookingWindow.minDate;
+  if (start < today) start = today;
+  const end = bookingWindow?.maxDate || addDays(today, DEFAULT_SEARCH_DAYS);
+
+  const results = [];
+  let dayRequests = 0;
+  let monthCursor = new Date(start.getFullYear(), start.getMonth(), 1);
+
+  while (monthCursor <= end && results.length < limit && dayRequests < MAX_DAY_REQUESTS) {
+    const month = await fetchMonthAvailability(
+      est,
+      monthCursor.getFullYear(),
+      monthCursor.getMonth() + 1,
+      baseApiUrl,
+      covers
+    );
+    if (isCancelled()) return [];
+
+    const candidates = month.days.filter((day) =>
+      day.bookable && day.date >= start && day.date <= end && mayHaveTimesInWindow(day, timeWindow)
+    );
+
+    for (const day of candidates) {
+      if (results.length >= limit || dayRequests >= MAX_DAY_REQUESTS) break;
+      dayRequests += 1;
+      const data = await fetchDayAvailability(est, day.date, covers, baseApiUrl);
+      if (isCancelled()) return [];
+
+      const slots = getDisplayableSlots(data, appConfig)
+        .filter(({ time }) => isInTimeWindow(time, timeWindow))
+        .sort((a, b) => a.time - b.time)
+        .slice(0, Math.min(perDay, limit - results.length));
+      slots.forEach((slot) => results.push({ ...slot, date: day.date }));
+    }
+
+    monthCursor = new Date(monthCursor.getFullYear(), monthCursor.getMonth() + 1, 1);
+  }
+
+  console.log(`Next-available search for ${covers} covers found ${results.length} slots (${dayRequests} days checked)`);
+  return results;
+};
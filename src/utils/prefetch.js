@@ -0,0 +1,125 @@
+/**
+ * Background prefetching of month-avail and day-avail so calendar
+ * navigation and date picks are served from the availability cache
+ * (see availabilityRequests.js).
+ *
+ * Prefetches run when the browser is idle and draw from a shared request
+ * budget; once it is spent, prefetching stops until the window rolls over.
+ * Requests the guest actually makes never count against it.
+ */
+import { addMonths } from 'date-fns';
+import { fetchMultipleMonthsAvailability, isMonthAvailabilityCached } from './monthAvailability';
+import { fetchDayAvailability, isDayAvailabilityCached } from './dayAvailability';
+
+// At most this many prefetch requests per window
+export const PREFETCH_MAX_REQUESTS = 12;
+export const PREFETCH_WINDOW_MS = 60 * 1000;
+
+/**
+ * Creates a sliding-window request budget
+ *
+ * @param {number} maxRequests - Requests allowed per window
+ * @param {number} windowMs - Window length in milliseconds
+ * @returns {{take: Function, remaining: Function}} - `take(n)` reserves n requests and
+ *   returns false (reserving nothing) when fewer are left
+ */
+export const createRequestBudget = (maxRequests, windowMs) => {
+  let spent = [];
+  const prune = () => {
+    const cutoff = Date.now() - windowMs;
+    spent = spent.filter((at) => at > cutoff);
+  };
+  return {
+    take(count = 1) {
+      prune();
+      if (spent.length + count > maxRequests) return false;
+      const now = Date.now();
+      for (let i = 0; i < count; i += 1) spent.push(now);
+      return true;
+    },
+    remaining() {
+      prune();
+      return maxRequests - spent.length;
+    }
+  };
+};
+
+export const prefetchBudget = createRequestBudget(PREFETCH_MAX_REQUESTS, PREFETCH_WINDOW_MS);
+
+/**
+ * Runs a callback when the browser is idle (setTimeout where
+ * requestIdleCallback is unavailable, e.g. Safari)
+ *
+ * @param {Function} callback
+ * @param {number} [timeout=2000] - Run by then even if the browser never idles
+ * @returns {Function} - Cancels the callback if it hasn't run yet
+ */
+export const runWhenIdle = (callback, timeout = 2000) => {
+  if (typeof window !== 'undefined' && typeof window.requestIdleCallback === 'function') {
+    const handle = window.requestIdleCallback(callback, { timeout });
+    return () => window.cancelIdleCallback(handle);
+  }
+  const handle = setTimeout(callback, 200);
+  return () => clearTimeout(handle);
+};
+
+/**
+ * Prefetches the months after a given month
+ *
+ * @param {Object} options
+ * @param {string} options.est - Establishment ID
+ * @param {number} options.year - Year of the month already shown
+ * @param {number} options.month - Month already shown (1-12)
+ * @param {number} [options.count=2] - Months to prefetch after it
+ * @param {number} options.covers - Party size
+ * @param {string} options.baseApiUrl - Base API URL
+ * @param {Date} [options.maxDate] - Last bookable date; later months are skipped
+ * @param {AbortSignal} [options.signal] - Cancels the prefetch
+ * @returns {Promise<Object[]>} - Normalised months (empty when over budget or nothing to fetch)
+ */
+export const prefetchMonths = async ({
+  est,
+  year,
+  month,
+  count = 2,
+  covers,
+  baseApiUrl,
+  maxDate = null,
+  signal
+}) => {
+  const first = new Date(year, month, 1); // month is 1-based, so this is the month after
+  const months = Array.from({ length: count }, (_, index) => addMonths(first, index))
+    .filter((start) => !maxDate || start <= maxDate);
+  if (months.length === 0) return [];
+
+  const uncached = months.filter((start) =>
+    !isMonthAvailabilityCached(est, start.getFullYear(), start.getMonth() + 1, covers)
+  ).length;
+  if (uncached > 0 && !prefetchBudget.take(uncached)) {
+    console.log(`Prefetch budget spent – skipping ${uncached} month(s)`);
+    return [];
+  }
+
+  return fetchMultipleMonthsAvailability(est, first, months.length, baseApiUrl, covers, { signal });
+};
+
+/**
+ * Prefetches one day's availability (e.g. for a hovered calendar tile).
+ * Failures are swallowed – the real fetch will report them.
+ *
+ * @param {Object} options
+ * @param {string} options.est - Establishment ID
+ * @param {Date} options.date - Day to prefetch
+ * @param {number} options.covers - Party size
+ * @param {string} options.baseApiUrl - Base API URL
+ * @param {AbortSignal} [options.signal] - Cancels the prefetch
+ * @returns {Promise<void>}
+ */
+export const prefetchDay = async ({ est, date, covers, baseApiUrl, signal }) => {
+  if (isDayAvailabilityCached(est, date, covers) || !prefetchBudget.take(1)) return;
+  try {
+    await fetchDayAvailability(est, date, covers, baseApiUrl, { signal });
+  } catch (err) {
+    console.log('Day prefetch skipped:', err.message);
+  }
+};
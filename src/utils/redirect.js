@@ -0,0 +1,91 @@
+/**
+ * Utility functions for the post-confirmation "thank you" redirect.
+ *
+ * Eveve's /web/form config may carry `thankURL` (destination page) and
+ * `redirect` (enable flag, or a destination URL itself). When present we
+ * send the guest to that page after a confirmed booking so the venue's
+ * conversion tracking can fire.
+ */
+import { formatDecimalTime } from './time';
+
+const DEFAULT_REDIRECT_DELAY_SECONDS = 5;
+
+const isHttpUrl = (value) => typeof value === 'string' && /^https?:\/\//i.test(value.trim());
+
+const isDisabledFlag = (value) => value === false || value === 0 || value === '0' || value === 'false';
+
+/**
+ * Reads the redirect delay override from the URL (`?redirectDelay=`) or the
+ * inline embed globals (`data-redirect-delay`).
+ *
+ * @returns {number|null} - Delay in seconds, or null when not overridden
+ */
+const getEmbedderDelayOverride = () => {
+  if (typeof window === 'undefined') return null;
+  const fromUrl = new URLSearchParams(window.location.search).get('redirectDelay');
+  const fromEmbed = window.__EVEVE_EMBED?.redirectDelay;
+  const raw = fromUrl ?? fromEmbed;
+  if (raw === undefined || raw === null || raw === '') return null;
+  const seconds = Number(raw);
+  return Number.isFinite(seconds) && seconds >= 0 ? seconds : null;
+};
+
+/**
+ * Resolves the thank-you redirect settings from config
+ *
+ * @param {Object} appConfig - Loaded app configuration
+ * @returns {{url: string, delayMs: number}|null} - null when no redirect is configured
+ */
+export const getThankYouRedirect = (appConfig) => {
+  if (!appConfig || isDisabledFlag(appConfig.redirect)) return null;
+
+  const url = isHttpUrl(appConfig.thankURL)
+    ? appConfig.thankURL.trim()
+    : (isHttpUrl(appConfig.redirect) ? appConfig.redirect.trim() : null);
+  if (!url) return null;
+
+  const configDelay = Number(appConfig.redirectDelay);
+  const delaySeconds = getEmbedderDelayOverride()
+    ?? (Number.isFinite(configDelay) && configDelay >= 0 ? configDelay : DEFAULT_REDIRECT_DELAY_SECONDS);
+
+  return { url, delayMs: Math.round(delaySeconds * 1000) };
+};
+
+/**
+ * Appends booking details to the thank-you URL as query parameters
+ *
+ * @param {string} baseUrl - thankURL from config
+ * @param {Object} details - Booking details
+ * @param {string} details.date - Date in YYYY-MM-DD format
+ * @param {number} details.time - Time in decimal format (e.g. 19.5)
+ * @param {number} details.covers - Number of guests
+ * @param {(number|string)} [details.uid] - Booking UID
+ * @param {number} [details.totalPaid] - Amount charged in cents (0 when nothing was taken)
+ * @returns {string} - Redirect URL
+ */
+export const buildThankYouUrl = (baseUrl, { date, time, covers, uid, totalPaid } = {}) => {
+  const url = new URL(baseUrl);
+  if (date) url.searchParams.set('date', date);
+  if (typeof time === 'number') url.searchParams.set('time', formatDecimalTime(time, 24));
+  if (covers) url.searchParams.set('covers', covers);
+  if (uid !== undefined && uid !== null) url.searchParams.set('uid', uid);
+  url.searchParams.set('total', ((Number(totalPaid) || 0) / 100).toFixed(2));
+  return url.toString();
+};
+
+/**
+ * Navigates to the thank-you page. Inside the iframe embed we cannot move the
+ * top window ourselves, so we ask the parent (embed-iframe.js) to do it.
+ *
+ * @param {string} url - Fully built redirect URL
+ */
+export const performThankYouRedirect = (url) => {
+  if (!isHttpUrl(url)) return;
+  console.log(`Redirecting to thank-you page: ${url}`);
+
+  if (window.parent && window.parent !== window) {
+    window.parent.postMessage({ type: 'redirect', url }, '*');
+    return;
+  }
+  window.location.assign(url);
+};
@@ -0,0 +1,122 @@
+/**
+ * Utility functions for the sister-restaurant availability fallback.
+ *
+ * When the chosen venue has no bookable times for a date/party size we
+ * query /web/day-avail for each sister establishment listed in the
+ * /web/form config (`sisters`) and offer their open slots instead. Sisters
+ * can live on another Eveve shard, so each is asked on its own `dapi`.
+ */
+import { fetchDayAvailability, getBookableTimes } from './dayAvailability';
+import { loadAppConfig } from '../config/configLoader';
+
+// Sister est → its API host, resolved once per session
+const sisterHosts = new Map();
+
+/**
+ * Normalises the `sisters` config value into a list of `{ est, name }`.
+ *
+ * Eveve supplies `sisters` either as an array of establishment codes or as
+ * an array of objects. `sisterName` (when an array) holds display names in
+ * the same order as a plain code list.
+ *
+ * @param {Object} appConfig - Loaded app configuration
+ * @param {string} currentEst - Establishment currently being booked (excluded)
+ * @returns {Array<{est: string, name: string}>}
+ */
+export const parseSisterList = (appConfig, currentEst) => {
+  const raw = appConfig?.sisters;
+  if (!Array.isArray(raw) || raw.length === 0) return [];
+
+  const names = Array.isArray(appConfig?.sisterName) ? appConfig.sisterName : [];
+
+  return raw
+    .map((entry, index) => {
+      if (typeof entry === 'string') {
+        return { est: entry, name: names[index] || entry };
+      }
+      if (entry && typeof entry === 'object') {
+        const est = entry.est || entry.uid || entry.code;
+        if (!est) return null;
+        return {
+          est: String(est),
+          name: entry.name || entry.estFull || names[index] || String(est),
+          ...(entry.dapi ? { dapi: String(entry.dapi) } : {})
+        };
+      }
+      return null;
+    })
+    .filter((sister) => sister && sister.est && sister.est.toLowerCase() !== String(currentEst || '').toLowerCase());
+};
+
+/**
+ * Resolves the API host a sister venue is served from: the `dapi` on its
+ * `sisters` entry, else the `dapi` in its own /web/form config.
+ *
+ * @param {Object} sister - Sister venue `{ est, name, dapi? }`
+ * @param {string} fallbackBaseUrl - Used when the sister's config can't be loaded
+ * @returns {Promise<string>}
+ */
+export const resolveSisterHost = async (sister, fallbackBaseUrl) => {
+  if (sister.dapi) return sister.dapi;
+  if (!sisterHosts.has(sister.est)) {
+    sisterHosts.set(sister.est, loadAppConfig(sister.est)
+      .then((config) => config?.dapi || null)
+      .catch((error) => {
+        console.warn(`Could not load config for sister venue ${sister.est}:`, error?.message || error);
+        sisterHosts.delete(sister.est);
+        return null;
+      }));
+  }
+  return (await sisterHosts.get(sister.est)) || fallbackBaseUrl;
+};
+
+/**
+ * Fetches day availability for a single sister establishment
+ *
+ * @param {Object} sister - Sister venue `{ est, name, dapi? }`
+ * @param {Date} date - Day to fetch
+ * @param {number} covers - Number of guests
+ * @param {string} baseApiUrl - Current venue's API base, used when the sister's host is unknown
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<Object>} - `{ est, name, times, message }` (times empty on failure)
+ */
+export const fetchSisterAvailability = async (sister, date, covers, baseApiUrl = "https://nz6.eveve.com", { signal } = {}) => {
+  try {
+    const sisterBaseUrl = await resolveSisterHost(sister, baseApiUrl);
+    const data = await fetchDayAvailability(sister.est, date, covers, sisterBaseUrl, { signal });
+    return {
+      ...sister,
+      times: getBookableTimes(data),
+      message: data.message || null
+    };
+  } catch (error) {
+    if (error?.name !== 'AbortError') {
+      console.error(`Failed to fetch sister availability for ${sister.est}:`, error);
+    }
+    return { ...sister, times: [], message: null };
+  }
+};
+
+/**
+ * Fetches day availability for every sister venue in parallel and returns
+ * only those with at least one bookable time.
+ *
+ * @param {Array<{est: string, name: string}>} sisters - Sister venues
+ * @param {Date} date - Day to fetch
+ * @param {number} covers - Number of guests
+ * @param {string} baseApiUrl - Current venue's API base, used when a sister's host is unknown
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the requests
+ * @returns {Promise<Array>} - Sister venues with open slots
+ */
+export const fetchSistersAvailability = async (sisters, date, covers, baseApiUrl, { signal } = {}) => {
+  if (!Array.isArray(sisters) || sisters.length === 0) return [];
+
+  const results = await Promise.all(
+    sisters.map((sister) => fetchSisterAvailability(sister, date, covers, baseApiUrl, { signal }))
+  );
+  const withTimes = results.filter((result) => result.times.length > 0);
+  console.log(`Found ${withTimes.length} of ${sisters.length} sister venues with availability for ${date.toDateString()}`);
+  return withTimes;
+};
@@ -0,0 +1,76 @@
+/**
+ * Utility functions for standby (waitlist) requests on full dates
+ */
+import { format } from 'date-fns';
+import { dateToExcelSerial } from './dateConversion';
+
+/**
+ * Checks whether a date appears in the `noStandby` config list.
+ * Entries may be `YYYY-MM-DD` strings or Excel date serials (as used by eventsB).
+ *
+ * @param {Array} noStandby - `noStandby` value from config
+ * @param {Date} date - Date to check
+ * @returns {boolean} - True if standby requests are blocked for the date
+ */
+export const isNoStandbyDate = (noStandby, date) => {
+  if (!Array.isArray(noStandby) || noStandby.length === 0 || !date) return false;
+
+  const isoDate = format(date, 'yyyy-MM-dd');
+  const serial = dateToExcelSerial(new Date(date.getFullYear(), date.getMonth(), date.getDate()));
+
+  return noStandby.some((entry) => {
+    if (typeof entry === 'number') return entry === serial;
+    if (typeof entry === 'string') return entry.trim().substring(0, 10) === isoDate;
+    return false;
+  });
+};
+
+/**
+ * Determines whether a standby request may be offered for a date/party size
+ *
+ * @param {Object} appConfig - Loaded app configuration
+ * @param {Date} date - Selected date
+ * @param {number} covers - Number of guests
+ * @returns {{allowed: boolean, reason: (string|null)}} - reason is a code when not allowed
+ */
+export const getStandbyEligibility = (appConfig, date, covers) => {
+  const standbyOnline = appConfig?.standbyOnline === true || appConfig?.standbyOnline === 'true' || appConfig?.standbyOnline === 1;
+  if (!standbyOnline) {
+    return { allowed: false, reason: 'STANDBY_DISABLED' };
+  }
+  if (isNoStandbyDate(appConfig?.noStandby, date)) {
+    return { allowed: false, reason: 'NO_STANDBY_DATE' };
+  }
+  const maxRequest = Number(appConfig?.maxRequest) || 0;
+  if (maxRequest > 0 && covers > maxRequest) {
+    return { allowed: false, reason: 'MAX_REQUEST_EXCEEDED' };
+  }
+  return { allowed: true, reason: null };
+};
+
+/**
+ * Builds the list of times a guest can choose as their preferred standby window.
+ * Blocked (negative) day-avail times are included as their absolute value,
+ * since a full date typically only returns blocked times. Falls back to
+ * quarter-hour steps across each shift's start/end.
+ *
+ * @param {Object} availabilityData - Normalised day-avail response
+ * @returns {number[]} - Sorted decimal times
+ */
+export const getStandbyWindowOptions = (availabilityData) => {
+  const shifts = Array.isArray(availabilityData?.shifts) ? availabilityData.shifts : [];
+  const times = new Set();
+
+  shifts.forEach((shift) => {
+    const shiftTimes = shift.times;
+    shiftTimes.forEach(({ time }) => times.add(Math.abs(time)));
+
+    if (shiftTimes.length === 0 && typeof shift.start === 'number' && typeof shift.end === 'number') {
+      for (let t = shift.start; t <= shift.end; t += 0.25) {
+        times.add(t);
+      }
+    }
+  });
+
+  return [...times].sort((a, b) => a - b);
+};
@@ -97,6 +97,51 @@ export function applyTheme(theme) {
   return false;
 }
 
+/**
+ * Switch the widget theme at runtime (EveveWidget.setTheme)
+ * Custom themes ship as a stylesheet, which replaces any theme stylesheet
+ * loaded earlier so the old theme's rules don't linger.
+ * @param {string} theme - DaisyUI or custom theme name
+ * @param {string} [themeCss] - Theme stylesheet URL; custom themes default to themes/{theme}.css
+ * @returns {boolean} - True if theme was applied successfully
+ */
+export function setWidgetTheme(theme, themeCss) {
+  if (!theme) return false;
+
+  // Inline embeds run on the host page, so resolve against the app's own origin
+  const appOrigin = window.__EVEVE_EMBED?.appOrigin;
+  const base = appOrigin ? `${appOrigin}/` : document.baseURI;
+  let href = null;
+  try {
+    if (themeCss) href = new URL(themeCss, base).href;
+    else if (!isValidTheme(theme)) href = new URL(`themes/${theme}.css`, base).href;
+  } catch (_) {
+    console.warn(`[themeUtils] Invalid theme stylesheet: ${themeCss}`);
+  }
+
+  const existing = document.getElementById('external-theme-css');
+  if (href && existing?.href !== href) {
+    const link = document.createElement('link');
+    link.rel = 'stylesheet';
+    link.id = 'external-theme-css';
+    link.href = href;
+    if (existing) existing.replaceWith(link);
+    else document.head.appendChild(link);
+  } else if (!href && existing) {
+    existing.remove();
+  }
+
+  if (isValidTheme(theme)) return applyTheme(theme);
+
+  const widget = document.getElementById('eveve-widget');
+  if (widget) {
+    widget.setAttribute('data-theme', theme);
+    return true;
+  }
+  console.error('[themeUtils] Widget container #eveve-widget not found');
+  return false;
+}
+
 /**
  * Get theme categories for easier organization
  * @returns {Object} - Themes organized by category
@@ -1,10 +1,12 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
+import eveveMockServer from './mock/eveveMockServer.js';
 
 export default defineConfig({
   // Production is hosted at the domain root
   base: '/',
-  plugins: [react()],
+  // eveveMockServer: local Eveve stand-in for ?mock=<scenario> (dev + preview only)
+  plugins: [react(), eveveMockServer()],
 
   /* ------------------------------------------------------------------
      Development-only server tweaks so the embed script works when